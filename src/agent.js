@@ -1,58 +1,150 @@
-import { ChatGroq } from '@langchain/groq';
-import { StateGraph, MessagesAnnotation, START, END } from "@langchain/langgraph";
+import { StateGraph, MessagesAnnotation, Annotation, START, END, Command, interrupt } from "@langchain/langgraph";
 import { ToolNode } from "@langchain/langgraph/prebuilt";
-import { DatabaseTool } from './tools/database-tool.js';
-import { FileTool } from './tools/file-tool.js';
-import { TerminalTool } from './tools/terminal-tool.js';
-import { HumanMessage, AIMessage } from '@langchain/core/messages';
+import { createSqlRepairer } from './tools/sql-repair.js';
+import { DataWatcher } from './data-watcher.js';
+import { readLlmOptions, createChatModel, checkToolCalling } from './llm.js';
+import { loadConfig } from './config.js';
+import { ToolRegistry } from './tool-registry.js';
+import { TurnResult } from './turn-result.js';
+import { TurnTrace, TraceExporter, readTraceOptions } from './tracing.js';
+import { resolvePricing, estimateCost } from './pricing.js';
+import { FileCheckpointSaver } from './checkpointer.js';
+import { SessionStore, sessionsDirectory } from './session-store.js';
+import { readHistoryOptions, selectHistory, splitTurns, summarizeMessages } from './history.js';
+import { HumanMessage, AIMessage, ToolMessage, SystemMessage, RemoveMessage } from '@langchain/core/messages';
+import { randomUUID } from 'crypto';
+import path from 'path';
 import chalk from 'chalk';
+import { logger } from './logger.js';
+
+const log = logger.child({ component: 'agent' });
+
+// Sent as a SystemMessage in front of every model call; it is never stored in the thread.
+// systemPrompt / systemPromptFile in agent.config replace it.
+export const DEFAULT_SYSTEM_PROMPT = `You are an intelligent AI agent with access to multiple tools. Your goal is to assist the user based on their request.
+
+Your tools:
+1.  **database_query**: Use for questions about music (artists, albums, songs, music data).
+2.  **file_search**: Use for questions about economics, economic theory, economists, or specific content from the loaded text files.
+3.  **get_weather**, **get_exchange_rate**, **get_ip_info**, **get_news**: Use for live external data (weather in a city, currency rates and conversions, the user's IP address or location, news headlines). Prefer these over execute_command; they need no approval.
+4.  **execute_command**: Use for other current/system information (e.g., date and time, system info) that the tools above do not cover. Call it directly with the command you need; the user is asked to approve, edit or deny it before it runs, so do not ask for permission yourself. If a command is denied, do not retry it.
+
+Analyze the user's question and decide which tool(s) to use. If no tools are needed, respond directly.
+Earlier tool calls and results in the conversation are context for follow-up questions (e.g. "and their albums?" refers to the artists found before).`;
+
+// Messages plus the running summary written by the "summary" history strategy
+const AgentState = Annotation.Root({
+    ...MessagesAnnotation.spec,
+    summary: Annotation({
+        reducer: (current, update) => update,
+        default: () => '',
+    }),
+});
+
+// Tool start events carry the arguments as a JSON string under "input"
+function toolInput(input) {
+    const raw = input && typeof input === 'object' && 'input' in input ? input.input : input;
+    if (typeof raw !== 'string') {
+        return raw;
+    }
+    try {
+        return JSON.parse(raw);
+    } catch {
+        return raw;
+    }
+}
+
+export function hasChanges(changes) {
+    return ['added', 'changed', 'removed', 'failed'].some(key => changes[key]?.length > 0) || Boolean(changes.error);
+}
+
+// Used when nobody is there to answer an approval request
+export function denyAll(request, reason) {
+    return Object.fromEntries(request.commands.map(({ toolCallId }) => [toolCallId, { action: 'deny', reason }]));
+}
+
+export function approveAll(request) {
+    return Object.fromEntries(request.commands.map(({ toolCallId }) => [toolCallId, { action: 'approve' }]));
+}
 
 export class MultiSourceAgent {
-    constructor() {
-        this.llm = null;
+    // Options are for tests and embedding: llm replaces the configured provider,
+    // tools replaces the configured tool set, sessionsPath overrides SESSIONS_DIR and
+    // config is a loadConfig() result used instead of reading agent.config from disk
+    constructor({ llm = null, tools = null, sessionsPath = null, config = null } = {}) {
+        this.llm = llm;
+        this.customTools = tools;
+        this.config = config;
+        this.systemPrompt = DEFAULT_SYSTEM_PROMPT;
         this.tools = [];
         this.toolNode = null;
         this.graph = null;
-        this.conversationHistory = [];
+        // Each session is a graph thread; checkpoints and session metadata are kept on disk
+        this.sessionsPath = sessionsPath || sessionsDirectory();
+        this.checkpointer = new FileCheckpointSaver({ directory: path.join(this.sessionsPath, 'checkpoints') });
+        this.sessionStore = new SessionStore({ directory: this.sessionsPath });
+        this.sessionId = randomUUID();
+        this.historyOptions = readHistoryOptions();
+        this.baseLlm = null;
+        this.toolRegistry = null;
+        this.modelInfo = null; // { provider, model } when the model comes from the configuration
+        this.pricing = null; // USD per million tokens, null when the model's price is unknown
+        // TRACE_FILE turns on trace export; usage and cost are always added to the session
+        const { file: traceFile } = readTraceOptions();
+        this.traceExporter = traceFile ? new TraceExporter({ file: traceFile }) : null;
+        this.watcher = null;
+        this.reloading = Promise.resolve();
     }
 
     async initialize() {
-        console.log(chalk.blue('🔧 Initializing Multi-Source AI Agent...'));
-
-        // Initialize LLM
-        this.llm = new ChatGroq({
-            apiKey: process.env.GROQ_API_KEY,
-            model: process.env.MODEL_NAME || 'openai/gpt-oss-120b',
-            temperature: parseFloat(process.env.TEMPERATURE || '0.3'),
-            maxTokens: parseInt(process.env.MAX_TOKENS || '10000'),
-        });
+        log.info(chalk.blue('🔧 Initializing Multi-Source AI Agent...'));
 
-        console.log(chalk.gray('  🛠️  Initializing tools...'));
-        
-        // Initialize tools
-        const databaseTool = new DatabaseTool();
-        const fileTool = new FileTool();
-        const terminalTool = new TerminalTool();
-
-        // Initialize each tool
-        const toolsToInit = [
-            { name: 'database', tool: databaseTool },
-            { name: 'file', tool: fileTool },
-            { name: 'terminal', tool: terminalTool }
-        ];
-
-        for (const { name, tool } of toolsToInit) {
+        // agent.config.(json|yaml) is validated before anything else starts
+        this.config = this.config || loadConfig();
+        if (this.config.file) {
+            log.info(chalk.gray(`  📋 Using ${path.relative(process.cwd(), this.config.file) || this.config.file}`));
+        }
+        this.systemPrompt = this.config.systemPrompt || DEFAULT_SYSTEM_PROMPT;
+
+        // Initialize LLM (LLM_PROVIDER or model.provider picks Groq, OpenAI, an OpenAI-compatible server or Ollama)
+        if (!this.llm) {
+            const llmOptions = readLlmOptions(process.env, this.config.model);
+            this.llm = await createChatModel(llmOptions);
+            this.modelInfo = { provider: llmOptions.provider, model: llmOptions.model };
+            log.info(chalk.gray(`  🧠 Using ${llmOptions.provider} model ${llmOptions.model}`));
+            if (llmOptions.checkTools) {
+                await checkToolCalling(this.llm, llmOptions);
+            }
+        }
+
+        this.pricing = resolvePricing(this.modelInfo, this.config.model.pricing);
+
+        log.info(chalk.gray('  🛠️  Initializing tools...'));
+
+        const toolsToInit = this.customTools
+            ? this.customTools.map(tool => ({ name: tool.name, create: () => tool }))
+            : await this.configuredTools();
+
+        for (const { name, create } of toolsToInit) {
             try {
-                await tool.initialize();
+                const tool = await create();
+                if (this.getTool(tool.name)) {
+                    throw new Error(`another tool is already called ${tool.name}`);
+                }
+                await tool.initialize?.();
                 this.tools.push(tool);
-                console.log(chalk.green(`  ✅ ${name} tool ready`));
+                log.info(chalk.green(`  ✅ ${name} tool ready`));
             } catch (error) {
-                console.warn(chalk.yellow(`  ⚠️  ${name} tool failed to initialize: ${error.message}`));
+                log.warn(chalk.yellow(`  ⚠️  ${name} tool failed to initialize: ${error.message}`));
             }
         }
 
+        // Failed SQL is repaired with the plain model, without tools bound
+        this.baseLlm = this.llm;
+        this.getTool('database_query')?.setQueryRepairer(createSqlRepairer(this.baseLlm));
+
         // Bind tools to LLM
-        this.llm = this.llm.bindTools(this.tools);
+        this.refreshToolBindings();
         
         // Create tool node
         this.toolNode = new ToolNode(this.tools);
@@ -60,53 +152,147 @@ export class MultiSourceAgent {
         // Build the agent graph
         this.buildGraph();
 
-        console.log(chalk.green('✅ Agent initialized successfully!\\n'));
+        log.info(chalk.green('✅ Agent initialized successfully!\\n'));
+    }
+
+    // Built-in tools plus plugins, filtered and configured by the "tools" section of agent.config
+    async configuredTools() {
+        this.toolRegistry = new ToolRegistry();
+        if (this.config.plugins.enabled) {
+            await this.toolRegistry.loadPlugins(this.config.plugins.directory);
+        }
+        return this.toolRegistry.resolveTools(this.config.tools, { baseDirectory: this.config.directory });
     }
 
     buildGraph() {
-        console.log(chalk.blue('🏗️  Building agent workflow graph...'));
+        log.debug(chalk.blue('🏗️  Building agent workflow graph...'));
         
         // Define the graph state
-        const workflow = new StateGraph(MessagesAnnotation);
+        const workflow = new StateGraph(AgentState);
+
+        // Tools marked with requiresApproval (execute_command) never run without a human decision
+        const approvalTools = new Set(this.tools.filter(tool => tool.requiresApproval).map(tool => tool.name));
 
         // Define the function that determines whether to continue or not
         const shouldContinue = (state) => {
             const messages = state.messages;
             const lastMessage = messages[messages.length - 1];
             
-            // If the LLM makes a tool call, then we route to the "tools" node
+            // If the LLM makes a tool call, then we route to the "tools" node,
+            // stopping at "human_review" first when one of the calls needs approval
             if (lastMessage.tool_calls?.length > 0) {
-                return "tools";
+                return lastMessage.tool_calls.some(call => approvalTools.has(call.name)) ? "human_review" : "tools";
             }
             // Otherwise, we stop (this is the normal case)  
             return END;
         };
 
-        // Define the function that calls the model
-        const callModel = async (state) => {
-            console.log(chalk.blue('🧠 LLM is thinking and deciding which tools to use...'));
-            
-            const messages = state.messages;
-            const response = await this.llm.invoke(messages);
-            
-            // Log tool calls if any
-            if (response.tool_calls?.length > 0) {
-                console.log(chalk.blue(`🔧 LLM decided to use ${response.tool_calls.length} tool(s):`));
-                for (const toolCall of response.tool_calls) {
-                    console.log(chalk.cyan(`  - ${toolCall.name}: ${JSON.stringify(toolCall.args)}`));
+        // Pauses the graph until the user approves, edits or denies each command.
+        // The resume value maps tool call ids to { action: 'approve' | 'deny' | 'edit', command?, reason? }.
+        const reviewCommands = (state) => {
+            const lastMessage = state.messages[state.messages.length - 1];
+            const reviewed = lastMessage.tool_calls.filter(call => approvalTools.has(call.name));
+
+            const decisions = interrupt({
+                type: 'command_approval',
+                commands: reviewed.map(call => ({ toolCallId: call.id, tool: call.name, command: call.args.command })),
+            });
+
+            const denials = [];
+            const toolCalls = lastMessage.tool_calls.map((call) => {
+                if (!approvalTools.has(call.name)) {
+                    return call;
                 }
+                const decision = decisions?.[call.id] || { action: 'deny', reason: 'No decision was given' };
+                if (decision.action === 'edit' && decision.command) {
+                    log.info(chalk.cyan(`  ✏️  Command edited: ${decision.command}`));
+                    return { ...call, args: { ...call.args, command: decision.command } };
+                }
+                if (decision.action !== 'approve') {
+                    log.info(chalk.yellow(`  🚫 Command denied: ${call.args.command}`));
+                    denials.push(new ToolMessage({
+                        tool_call_id: call.id,
+                        name: call.name,
+                        content: `The user denied running "${call.args.command}"${decision.reason ? `: ${decision.reason}` : ''}. Do not run it again; answer without it or suggest an alternative.`,
+                    }));
+                }
+                return call;
+            });
+
+            // Same id, so the reducer replaces the model's message and edits are what actually runs
+            const reviewedMessage = new AIMessage({
+                id: lastMessage.id,
+                content: lastMessage.content,
+                tool_calls: toolCalls,
+                additional_kwargs: lastMessage.additional_kwargs,
+                response_metadata: lastMessage.response_metadata,
+                usage_metadata: lastMessage.usage_metadata,
+            });
+            const runnable = toolCalls.length > denials.length;
+
+            return new Command({
+                goto: runnable ? "tools" : "agent",
+                update: { messages: [reviewedMessage, ...denials] },
+            });
+        };
+
+        // Runs only the calls of the last AI message that were not answered yet (e.g. denied in review)
+        const runTools = async (state, config) => {
+            const aiMessage = [...state.messages].reverse().find(message => message._getType() === 'ai');
+            const answered = new Set(state.messages
+                .filter(message => message._getType() === 'tool')
+                .map(message => message.tool_call_id));
+            const pending = aiMessage.tool_calls.filter(call => !answered.has(call.id));
+            if (pending.length === 0) {
+                return { messages: [] };
             }
-            
+            return this.toolNode.invoke({ messages: [new AIMessage({ content: '', tool_calls: pending })] }, config);
+        };
+
+        // Define the function that calls the model
+        // Progress (tokens, tool calls) is reported through streamMessage() events
+        const callModel = async (state) => {
+            // The stored transcript is complete; only a window of it fits in the model's context
+            const history = await selectHistory(state.messages, this.historyOptions);
+            const summary = state.summary ? `\n\nSummary of the earlier conversation:\n${state.summary}` : '';
+            const response = await this.llm.invoke([new SystemMessage(`${this.systemPrompt}${summary}`), ...history]);
             return { messages: [response] };
         };
 
-        // Define the two nodes we will cycle between
+        // With the "summary" strategy, turns beyond twice the window are folded into the
+        // summary and removed from the thread, leaving the last windowTurns turns
+        const summarizeHistory = async (state) => {
+            const { strategy, windowTurns } = this.historyOptions;
+            const previousTurns = splitTurns(state.messages).slice(0, -1);
+            if (strategy !== 'summary' || previousTurns.length <= windowTurns * 2) {
+                return {};
+            }
+
+            const folded = previousTurns.slice(0, previousTurns.length - windowTurns).flat();
+            log.info(chalk.blue(`📝 Summarizing ${folded.length} older message(s)...`));
+            let summary;
+            try {
+                summary = await summarizeMessages(this.baseLlm, state.summary, folded);
+            } catch (error) {
+                // The turn still runs; the window keeps the context small until the next try
+                log.warn(chalk.yellow(`⚠️  Could not summarize history: ${error.message}`));
+                return {};
+            }
+            return {
+                summary,
+                messages: folded.map(message => new RemoveMessage({ id: message.id })),
+            };
+        };
+
+        // Define the nodes: history upkeep once per turn, then the model/tools cycle
+        workflow.addNode("summarize_history", summarizeHistory);
         workflow.addNode("agent", callModel);
-        workflow.addNode("tools", this.toolNode);
+        workflow.addNode("human_review", reviewCommands, { ends: ["tools", "agent"] });
+        workflow.addNode("tools", runTools);
 
-        // Set the entrypoint as `agent`
-        // This means that this node is the first one called
-        workflow.addEdge(START, "agent");
+        // Every turn starts with history upkeep, then `agent`
+        workflow.addEdge(START, "summarize_history");
+        workflow.addEdge("summarize_history", "agent");
 
         // We now add a conditional edge
         workflow.addConditionalEdges(
@@ -121,73 +307,323 @@ export class MultiSourceAgent {
         // This means that after `tools` is called, `agent` node is called next.
         workflow.addEdge("tools", "agent");
 
-        // Finally, we compile it!
-        this.graph = workflow.compile();
+        // Finally, we compile it! Interrupts need a checkpointer to resume from
+        this.graph = workflow.compile({ checkpointer: this.checkpointer });
         
-        console.log(chalk.green('✅ Agent workflow graph built successfully!'));
+        log.debug(chalk.green('✅ Agent workflow graph built successfully!'));
     }
 
-    async processMessage(userInput) {
-        console.log(chalk.blue('🚀 Processing user message with AI agent...'));
-        
-        try {
-            // Add system message to guide the LLM's tool usage decisions
-            const systemMessage = new HumanMessage(`You are an intelligent AI agent with access to multiple tools. Your goal is to assist the user based on their request.
+    // Runs one turn and returns a TurnResult (answer, tool calls, sources, usage, timings, error),
+    // logging progress to the console. String(result) and result.text give the answer.
+    // onApproval(request) receives { commands: [{ toolCallId, tool, command }] } and resolves to
+    // { [toolCallId]: decision }. Without it, every command is denied.
+    // sessionId runs the turn on another saved session than the current one (used by the HTTP server).
+    async processMessage(userInput, { onApproval, signal, sessionId = this.sessionId } = {}) {
+        log.info(chalk.blue('🚀 Processing user message with AI agent...'), { sessionId });
 
-Your tools:
-1.  **database_query**: Use for questions about music (artists, albums, songs, music data).
-2.  **file_search**: Use for questions about economics, economic theory, economists, or specific content from the loaded text files.
-3.  **execute_command**: Use for current/external information (e.g., weather, time, news, system info). This tool requires a two-step process:
-    a. First, you must ask the user for permission to execute a specific command.
-    b. If the user replies with "yes" or confirms, you must call the tool again with the exact same command to execute it.
+        const result = new TurnResult({ question: userInput });
+        for await (const event of this.streamMessage(userInput, { onApproval, signal, sessionId })) {
+            if (event.type === 'tool_start') {
+                log.info(chalk.cyan(`  🔧 ${event.name}: ${JSON.stringify(event.input)}`), { tool: event.name, input: event.input });
+            } else if (event.type === 'error') {
+                log.error(chalk.red(`❌ Agent processing error: ${event.message}`), { error: event.message });
+            }
+            result.record(event);
+        }
 
-Analyze the user's question and decide which tool(s) to use. If no tools are needed, respond directly.
+        log.info(chalk.green('✅ Agent workflow completed!'));
+        return result;
+    }
 
-User question: ${userInput}`);
+    // Async iterator over the events of one turn:
+    //   { type: 'token', text }                     answer text as the model writes it
+    //   { type: 'model_end', node, usage, durationMs }
+    //   { type: 'tool_start', name, input, runId }
+    //   { type: 'tool_end', name, output, artifact, toolCallId, runId, durationMs }
+    //   { type: 'approval_required', request }      emitted before onApproval is called
+    //   { type: 'approval_decided', decisions }
+    //   { type: 'error', message }
+    //   { type: 'cancelled' }                       signal was aborted; the turn is closed in the thread
+    //   { type: 'done', answer }                    always last
+    async *streamMessage(userInput, { onApproval, signal, sessionId = this.sessionId } = {}) {
+        // A command left waiting for approval (e.g. the app was closed) is denied first,
+        // so the thread never has tool calls without results
+        const leftover = await this.getPendingApproval(sessionId);
+        if (leftover) {
+            const denial = this.streamTurn(new Command({ resume: denyAll(leftover, 'The user moved on to a new question') }), { sessionId });
+            for await (const event of this.observeTurn(denial, { sessionId })) {
+                if (event.type === 'error') {
+                    yield event;
+                }
+            }
+        }
 
-            // Create the initial state with the conversation history + new message
-            const initialState = {
-                messages: [...this.conversationHistory, systemMessage]
-            };
+        // Recorded before running, so a turn interrupted by closing the app can be resumed
+        this.sessionStore.recordTurn(sessionId, userInput);
 
-            console.log(chalk.blue('🔄 Running agent workflow...'));
-            
-            // Run the graph
-            const finalState = await this.graph.invoke(initialState);
-            
-            // Get the final response
-            const messages = finalState.messages;
-            const lastMessage = messages[messages.length - 1];
-            
-            // Update conversation history
-            this.conversationHistory.push(new HumanMessage(userInput));
-            this.conversationHistory.push(lastMessage);
-            
-            console.log(chalk.green('✅ Agent workflow completed!'));
-            
-            return lastMessage.content;
-            
+        // Earlier turns are already in the session's thread, only the new question is sent
+        const turn = this.streamTurn({ messages: [new HumanMessage(userInput)] }, { onApproval, signal, sessionId });
+        yield* this.observeTurn(turn, { sessionId, question: userInput });
+    }
+
+    // Same events as streamMessage() for a turn that was waiting for approval when the session was saved
+    async *streamPendingTurn({ onApproval, signal, sessionId = this.sessionId } = {}) {
+        const request = await this.getPendingApproval(sessionId);
+        if (!request) {
+            yield { type: 'done', answer: null };
+            return;
+        }
+        yield { type: 'approval_required', request };
+        const decisions = onApproval ? await onApproval(request) : denyAll(request, 'No one is available to approve commands');
+        yield { type: 'approval_decided', decisions };
+        yield* this.observeTurn(this.streamTurn(new Command({ resume: decisions }), { onApproval, signal, sessionId }), { sessionId });
+    }
+
+    // Passes the events of a turn through while tracing it; once the turn is over (or the
+    // caller stops reading) its token usage and cost are added to the session and the trace
+    // is written to TRACE_FILE
+    async *observeTurn(events, { sessionId, question = null }) {
+        const trace = new TurnTrace({ sessionId, question, model: this.modelInfo });
+        try {
+            for await (const event of events) {
+                trace.record(event);
+                yield event;
+            }
+        } finally {
+            const costUsd = estimateCost(trace.usage, this.pricing);
+            trace.end({ costUsd });
+            if (trace.usage.modelCalls > 0) {
+                this.sessionStore.recordUsage(sessionId, trace.usage, costUsd);
+            }
+            if (this.traceExporter) {
+                try {
+                    this.traceExporter.export(trace);
+                } catch (error) {
+                    log.warn(chalk.yellow(`⚠️  Could not write the trace: ${error.message}`), { error: error.message });
+                }
+            }
+            log.debug(chalk.gray(`  🧾 Turn took ${Math.round(trace.root.durationMs)}ms, ${trace.usage.totalTokens} tokens in ${trace.usage.modelCalls} model call(s)`), {
+                sessionId,
+                traceId: trace.traceId,
+                durationMs: Math.round(trace.root.durationMs),
+                ...trace.usage,
+                costUsd,
+            });
+        }
+    }
+
+    threadConfig(sessionId = this.sessionId) {
+        return { configurable: { thread_id: sessionId } };
+    }
+
+    // Streams the graph on the session thread; it stops at every approval interrupt
+    // and is resumed with the user's decisions
+    async *streamTurn(input, { onApproval, signal, sessionId = this.sessionId } = {}) {
+        const config = this.threadConfig(sessionId);
+        const toolStarts = new Map();
+        const modelStarts = new Map();
+        let next = input;
+
+        try {
+            while (next) {
+                const events = this.graph.streamEvents(next, { ...config, version: 'v2', signal });
+                for await (const event of events) {
+                    // Only the answering model streams tokens; summaries and SQL repairs stay silent
+                    if (event.event === 'on_chat_model_stream' && event.metadata?.langgraph_node === 'agent') {
+                        const text = event.data.chunk?.content;
+                        if (typeof text === 'string' && text) {
+                            yield { type: 'token', text };
+                        }
+                    } else if (event.event === 'on_chat_model_start') {
+                        modelStarts.set(event.run_id, Date.now());
+                    } else if (event.event === 'on_chat_model_end') {
+                        const usage = event.data.output?.usage_metadata;
+                        yield {
+                            type: 'model_end',
+                            node: event.metadata?.langgraph_node ?? null,
+                            usage: usage ? { inputTokens: usage.input_tokens, outputTokens: usage.output_tokens, totalTokens: usage.total_tokens } : null,
+                            durationMs: Date.now() - (modelStarts.get(event.run_id) ?? Date.now()),
+                        };
+                    } else if (event.event === 'on_tool_start') {
+                        toolStarts.set(event.run_id, Date.now());
+                        yield { type: 'tool_start', name: event.name, input: toolInput(event.data.input), runId: event.run_id };
+                    } else if (event.event === 'on_tool_end') {
+                        const output = event.data.output;
+                        yield {
+                            type: 'tool_end',
+                            name: event.name,
+                            output: typeof output?.content === 'string' ? output.content : output,
+                            artifact: output?.artifact ?? null,
+                            toolCallId: output?.tool_call_id ?? null,
+                            runId: event.run_id,
+                            durationMs: Date.now() - (toolStarts.get(event.run_id) ?? Date.now()),
+                        };
+                    }
+                }
+
+                next = null;
+                const request = await this.getPendingApproval(sessionId);
+                if (request) {
+                    yield { type: 'approval_required', request };
+                    const decisions = onApproval
+                        ? await onApproval(request)
+                        : denyAll(request, 'No one is available to approve commands');
+                    yield { type: 'approval_decided', decisions };
+                    next = new Command({ resume: decisions });
+                }
+            }
         } catch (error) {
-            console.error(chalk.red('❌ Agent processing error:'), error.message);
-            console.error(error.stack);
-            return `I'm sorry, I encountered an error while processing your request: ${error.message}`;
+            if (signal?.aborted) {
+                await this.closeCancelledTurn(sessionId);
+                yield { type: 'cancelled' };
+                yield { type: 'done', answer: null };
+                return;
+            }
+            yield { type: 'error', message: error.message };
+            yield { type: 'done', answer: `I'm sorry, I encountered an error while processing your request: ${error.message}` };
+            return;
         }
+
+        const snapshot = await this.graph.getState(config);
+        const messages = snapshot.values.messages || [];
+        yield { type: 'done', answer: messages[messages.length - 1]?.content ?? '' };
     }
 
-    // Helper method to get conversation history
-    getConversationHistory() {
-        return this.conversationHistory;
+    // Ends a turn that was cancelled part-way: unanswered tool calls get a result and the
+    // turn gets a closing answer, so the next question starts from a consistent thread
+    async closeCancelledTurn(sessionId = this.sessionId) {
+        const config = this.threadConfig(sessionId);
+        const snapshot = await this.graph.getState(config);
+        const messages = snapshot.values.messages || [];
+        const last = messages[messages.length - 1];
+        if (!last || (snapshot.next.length === 0 && last._getType() === 'ai' && !last.tool_calls?.length)) {
+            return;
+        }
+
+        const lastAi = [...messages].reverse().find(message => message._getType() === 'ai');
+        const answered = new Set(messages.filter(message => message._getType() === 'tool').map(message => message.tool_call_id));
+        const unanswered = (lastAi?.tool_calls || []).filter(call => !answered.has(call.id));
+        await this.graph.updateState(config, {
+            messages: [
+                ...unanswered.map(call => new ToolMessage({ tool_call_id: call.id, name: call.name, content: 'Cancelled by the user before it finished.' })),
+                new AIMessage('(The user cancelled this turn.)'),
+            ],
+        }, 'agent');
+    }
+
+    // The approval request the session is waiting on, or null
+    async getPendingApproval(sessionId = this.sessionId) {
+        const snapshot = await this.graph.getState(this.threadConfig(sessionId));
+        const pending = snapshot.tasks.flatMap(task => task.interrupts || [])[0];
+        return pending ? pending.value : null;
     }
 
-    // Helper method to clear conversation history
+    // Finishes a turn that was waiting for approval when the session was saved
+    async continuePendingTurn({ onApproval } = {}) {
+        let answer = null;
+        for await (const event of this.streamPendingTurn({ onApproval })) {
+            if (event.type === 'done') {
+                answer = event.answer;
+            }
+        }
+        return answer;
+    }
+
+    getCurrentSession() {
+        return this.sessionStore.get(this.sessionId) || { id: this.sessionId, title: null, turns: 0 };
+    }
+
+    listSessions() {
+        return this.sessionStore.list();
+    }
+
+    // Starts an empty conversation; it is saved once the first question is answered
+    newSession() {
+        this.sessionId = randomUUID();
+        return this.getCurrentSession();
+    }
+
+    resumeSession(idOrPrefix) {
+        const session = this.sessionStore.find(idOrPrefix);
+        if (!session) {
+            throw new Error(`No saved session matches "${idOrPrefix}"`);
+        }
+        this.sessionId = session.id;
+        return session;
+    }
+
+    renameSession(title) {
+        return this.sessionStore.rename(this.sessionId, title);
+    }
+
+    // Tool descriptions embed schemas and file lists, so the model is re-bound after reloads
+    refreshToolBindings() {
+        this.llm = this.baseLlm.bindTools(this.tools);
+    }
+
+    // Re-scans the data directories of every tool that supports reload().
+    // Returns { [toolName]: { added, changed, removed, failed } }; reloads never overlap.
+    reloadData() {
+        const run = async () => {
+            const report = {};
+            for (const tool of this.tools) {
+                if (typeof tool.reload !== 'function') {
+                    continue;
+                }
+                try {
+                    report[tool.name] = await tool.reload();
+                } catch (error) {
+                    report[tool.name] = { added: [], changed: [], removed: [], failed: [], error: error.message };
+                }
+            }
+
+            if (Object.values(report).some(hasChanges)) {
+                this.refreshToolBindings();
+            }
+            return report;
+        };
+
+        this.reloading = this.reloading.then(run, run);
+        return this.reloading;
+    }
+
+    // Reloads automatically when files in the data directories change
+    startWatching(onReload) {
+        const paths = this.tools.filter(tool => typeof tool.reload === 'function').map(tool => tool.dataPath);
+        this.watcher = new DataWatcher({
+            paths,
+            onChange: async () => {
+                const report = await this.reloadData();
+                if (Object.values(report).some(hasChanges)) {
+                    onReload(report);
+                }
+            },
+        });
+        return this.watcher.start();
+    }
+
+    // Helper method to look up an initialized tool by name
+    getTool(name) {
+        return this.tools.find(tool => tool.name === name);
+    }
+
+    // Helper method to get the messages of the current (or given) session
+    async getConversationHistory(sessionId = this.sessionId) {
+        const snapshot = await this.graph.getState(this.threadConfig(sessionId));
+        return snapshot.values.messages || [];
+    }
+
+    // Helper method to clear conversation history; the old session stays saved
     clearConversationHistory() {
-        this.conversationHistory = [];
-        console.log(chalk.blue('🗑️  Conversation history cleared'));
+        this.newSession();
+        log.info(chalk.blue('🗑️  Conversation history cleared'));
     }
 
     // Cleanup method
     async cleanup() {
-        console.log(chalk.blue('🧹 Cleaning up agent resources...'));
+        log.info(chalk.blue('🧹 Cleaning up agent resources...'));
+
+        this.watcher?.stop();
         
         // Close database connections if any tools have them
         for (const tool of this.tools) {
@@ -195,11 +631,11 @@ User question: ${userInput}`);
                 try {
                     await tool.close();
                 } catch (error) {
-                    console.warn(chalk.yellow(`Warning: Error closing tool ${tool.name}: ${error.message}`));
+                    log.warn(chalk.yellow(`Warning: Error closing tool ${tool.name}: ${error.message}`));
                 }
             }
         }
         
-        console.log(chalk.green('✅ Agent cleanup completed'));
+        log.info(chalk.green('✅ Agent cleanup completed'));
     }
 }
@@ -0,0 +1,113 @@
+import fs from 'fs';
+import path from 'path';
+import { MemorySaver } from '@langchain/langgraph';
+
+const decoder = new TextDecoder();
+
+// Serialized checkpoints are JSON bytes; they are stored as strings, which loadsTyped also accepts
+const asText = (value) => (typeof value === 'string' || value === undefined ? value : decoder.decode(value));
+
+// MemorySaver that mirrors each thread to data/sessions/checkpoints/<thread>.json, so a
+// conversation (including pending tool calls and approvals) survives restarts.
+// Threads are read from disk the first time they are used.
+export class FileCheckpointSaver extends MemorySaver {
+    constructor({ directory, maxCheckpoints = 20 } = {}) {
+        super();
+        this.directory = directory;
+        this.maxCheckpoints = maxCheckpoints;
+        this.loadedThreads = new Set();
+    }
+
+    threadFile(threadId) {
+        return path.join(this.directory, `${String(threadId).replace(/[^A-Za-z0-9_-]/g, '_')}.json`);
+    }
+
+    ensureLoaded(threadId) {
+        if (threadId === undefined || this.loadedThreads.has(threadId)) {
+            return;
+        }
+        this.loadedThreads.add(threadId);
+
+        const filePath = this.threadFile(threadId);
+        if (!fs.existsSync(filePath)) {
+            return;
+        }
+        const saved = JSON.parse(fs.readFileSync(filePath, 'utf-8'));
+        this.storage[threadId] = saved.storage || {};
+        Object.assign(this.writes, saved.writes || {});
+    }
+
+    async getTuple(config) {
+        this.ensureLoaded(config.configurable?.thread_id);
+        return super.getTuple(config);
+    }
+
+    async *list(config, options) {
+        this.ensureLoaded(config.configurable?.thread_id);
+        yield* super.list(config, options);
+    }
+
+    async put(config, checkpoint, metadata) {
+        const threadId = config.configurable?.thread_id;
+        this.ensureLoaded(threadId);
+        const result = await super.put(config, checkpoint, metadata);
+        this.persist(threadId);
+        return result;
+    }
+
+    async putWrites(config, writes, taskId) {
+        const threadId = config.configurable?.thread_id;
+        this.ensureLoaded(threadId);
+        await super.putWrites(config, writes, taskId);
+        this.persist(threadId);
+    }
+
+    writeKeysFor(threadId) {
+        return Object.keys(this.writes).filter(key => JSON.parse(key)[0] === threadId);
+    }
+
+    // Only the newest checkpoints are kept; older ones are never resumed from
+    prune(threadId) {
+        for (const [namespace, checkpoints] of Object.entries(this.storage[threadId] || {})) {
+            const stale = Object.keys(checkpoints).sort((a, b) => b.localeCompare(a)).slice(this.maxCheckpoints);
+            for (const checkpointId of stale) {
+                delete checkpoints[checkpointId];
+                delete this.writes[JSON.stringify([threadId, namespace, checkpointId])];
+            }
+        }
+    }
+
+    persist(threadId) {
+        this.prune(threadId);
+
+        const storage = {};
+        for (const [namespace, checkpoints] of Object.entries(this.storage[threadId] || {})) {
+            storage[namespace] = Object.fromEntries(Object.entries(checkpoints).map(([checkpointId, [checkpoint, metadata, parentId]]) => [
+                checkpointId,
+                [asText(checkpoint), asText(metadata), parentId],
+            ]));
+        }
+        const writes = {};
+        for (const key of this.writeKeysFor(threadId)) {
+            writes[key] = Object.fromEntries(Object.entries(this.writes[key]).map(([innerKey, [taskId, channel, value]]) => [
+                innerKey,
+                [taskId, channel, asText(value)],
+            ]));
+        }
+
+        // Written to a temporary file first so a crash never leaves half a thread behind
+        fs.mkdirSync(this.directory, { recursive: true });
+        const filePath = this.threadFile(threadId);
+        fs.writeFileSync(`${filePath}.tmp`, JSON.stringify({ threadId, storage, writes }), 'utf-8');
+        fs.renameSync(`${filePath}.tmp`, filePath);
+    }
+
+    deleteThread(threadId) {
+        delete this.storage[threadId];
+        for (const key of this.writeKeysFor(threadId)) {
+            delete this.writes[key];
+        }
+        this.loadedThreads.delete(threadId);
+        fs.rmSync(this.threadFile(threadId), { force: true });
+    }
+}
@@ -0,0 +1,319 @@
+import fs from 'fs';
+import path from 'path';
+import { parseArgs } from 'util';
+import { randomUUID } from 'crypto';
+import chalk from 'chalk';
+import { z } from 'zod';
+import { shortId } from './session-store.js';
+import { approveAll, denyAll } from './agent.js';
+import { DEFAULT_DATASET, loadDataset, runEval, formatScorecard } from './eval.js';
+import { formatStats, sessionUsage, totalUsage } from './stats.js';
+import { logger } from './logger.js';
+
+// Non-interactive modes: "ask" prints one answer, "batch" answers a JSONL file of questions,
+// "eval" scores the agent on a dataset and "stats" shows the token usage of saved sessions.
+// Answers go to stdout (or the output file), everything else is logged to stderr.
+
+export const EXIT_CODES = {
+    ok: 0,
+    failed: 1, // the agent could not start or at least one question (or eval case) failed
+    usage: 2, // bad arguments or input file
+    interrupted: 130,
+};
+
+export const USAGE = `Usage:
+  node src/index.js                                  start the interactive chat
+  node src/index.js ask "question" [options]         print one answer and exit
+  node src/index.js batch questions.jsonl [options]  answer every question in a JSONL file
+  node src/index.js eval [dataset.json] [options]    score the agent on an eval dataset
+  node src/index.js stats [options]                  token usage and cost of the saved sessions
+
+Options:
+  --json             ask: print the whole turn result as JSON; eval: print the report as JSON;
+                     stats: print the usage as JSON
+  --session <id>     ask: continue a saved session (id or prefix); stats: only this session
+  --output <file>    batch: where to write the answers (default: <input>.answers.jsonl)
+                     eval: where to write the report (default: data/eval/<dataset>-<time>.json)
+  --category <name>  eval: only run this category (can be repeated)
+  --allow-commands   ask, batch: approve every execute_command call (they are denied by default)
+  --quiet            no progress logs on stderr
+  -h, --help         show this help`;
+
+export class UsageError extends Error {}
+
+const COMMANDS = ['ask', 'batch', 'eval', 'stats'];
+
+// Returns { command: 'chat' | 'ask' | 'batch' | 'eval' | 'stats' | 'help', ...options }
+export function parseCliArgs(argv) {
+    let parsed;
+    try {
+        parsed = parseArgs({
+            args: argv,
+            allowPositionals: true,
+            options: {
+                json: { type: 'boolean', default: false },
+                session: { type: 'string' },
+                output: { type: 'string', short: 'o' },
+                category: { type: 'string', multiple: true },
+                'allow-commands': { type: 'boolean', default: false },
+                quiet: { type: 'boolean', short: 'q', default: false },
+                help: { type: 'boolean', short: 'h', default: false },
+            },
+        });
+    } catch (error) {
+        throw new UsageError(error.message);
+    }
+
+    const { values, positionals } = parsed;
+    const [command, ...rest] = positionals;
+    if (values.help) {
+        return { command: 'help' };
+    }
+    if (command === undefined) {
+        return { command: 'chat' };
+    }
+    if (!COMMANDS.includes(command)) {
+        throw new UsageError(`Unknown command "${command}"`);
+    }
+
+    if (values.category && command !== 'eval') {
+        throw new UsageError('--category is only used by eval');
+    }
+    if (command === 'eval') {
+        if (rest.length > 1) {
+            throw new UsageError('eval takes at most one dataset file');
+        }
+        if (values.session || values['allow-commands']) {
+            throw new UsageError(`${values.session ? '--session' : '--allow-commands'} is not used by eval, every case runs in a new session and commands are denied`);
+        }
+        return { command, dataset: rest[0] || DEFAULT_DATASET, output: values.output || null, json: values.json, categories: values.category || [], quiet: values.quiet };
+    }
+
+    if (command === 'stats') {
+        if (rest.length > 0) {
+            throw new UsageError('stats takes no arguments, use --session <id> for one session');
+        }
+        if (values.output || values['allow-commands']) {
+            throw new UsageError(`${values.output ? '--output' : '--allow-commands'} is not used by stats`);
+        }
+        return { command, session: values.session || null, json: values.json };
+    }
+
+    const options = { command, allowCommands: values['allow-commands'], quiet: values.quiet };
+    if (command === 'ask') {
+        const question = rest.join(' ').trim();
+        if (!question) {
+            throw new UsageError('ask needs a question, e.g. ask "How many artists are there?"');
+        }
+        if (values.output) {
+            throw new UsageError('--output is only used by batch');
+        }
+        return { ...options, question, json: values.json, session: values.session || null };
+    }
+
+    if (rest.length !== 1) {
+        throw new UsageError('batch needs exactly one input file, e.g. batch questions.jsonl');
+    }
+    if (values.json || values.session) {
+        throw new UsageError(`${values.json ? '--json' : '--session'} is only used by ask`);
+    }
+    const [input] = rest;
+    const parsedInput = path.parse(input);
+    const output = values.output || path.join(parsedInput.dir, `${parsedInput.name}.answers.jsonl`);
+    return { ...options, input, output };
+}
+
+// A line is either a JSON string or { id?, question, session? }. Lines that share a
+// "session" label are asked in order in one conversation; the others get their own.
+const batchLineSchema = z.union([
+    z.string().trim().min(1),
+    z.object({
+        id: z.union([z.string(), z.number()]).optional(),
+        question: z.string().trim().min(1),
+        session: z.string().min(1).optional(),
+    }),
+]);
+
+export function readBatchFile(file) {
+    let content;
+    try {
+        content = fs.readFileSync(file, 'utf8');
+    } catch (error) {
+        throw new UsageError(`Cannot read ${file}: ${error.message}`);
+    }
+
+    const questions = [];
+    content.split(/\r?\n/).forEach((line, index) => {
+        if (!line.trim()) {
+            return;
+        }
+        let value;
+        try {
+            value = JSON.parse(line);
+        } catch (error) {
+            throw new UsageError(`${file}:${index + 1} is not valid JSON (${error.message})`);
+        }
+        const parsed = batchLineSchema.safeParse(value);
+        if (!parsed.success) {
+            throw new UsageError(`${file}:${index + 1} must be a question string or { "id", "question", "session" }`);
+        }
+        const entry = typeof parsed.data === 'string' ? { question: parsed.data } : parsed.data;
+        questions.push({ id: entry.id ?? index + 1, question: entry.question, session: entry.session ?? null });
+    });
+
+    if (questions.length === 0) {
+        throw new UsageError(`${file} has no questions`);
+    }
+    return questions;
+}
+
+// Nobody can answer approval prompts in these modes, so commands run only with --allow-commands
+function approvalHandler(allowCommands) {
+    return async (request) => {
+        if (allowCommands) {
+            console.log(chalk.yellow(`⚡ Auto-approved: ${request.commands.map(({ command }) => command).join(', ')}`));
+            return approveAll(request);
+        }
+        console.log(chalk.yellow(`🚫 Denied: ${request.commands.map(({ command }) => command).join(', ')} (pass --allow-commands to run commands)`));
+        return denyAll(request, 'Commands are not allowed in non-interactive mode');
+    };
+}
+
+// Sends the agent's console output to stderr (or nowhere) so stdout only carries answers.
+// JSON logs already go to stderr; --quiet keeps only their errors.
+export function redirectLogs({ quiet = false } = {}) {
+    const log = quiet ? () => {} : (...args) => console.error(...args);
+    console.log = log;
+    console.info = log;
+    if (quiet) {
+        console.warn = log;
+        if (logger.isEnabled('warn')) {
+            logger.configure({ level: 'error' });
+        }
+    }
+}
+
+export async function runAsk(agent, { question, json = false, session = null, allowCommands = false }, { stdout = process.stdout, signal } = {}) {
+    if (session) {
+        agent.resumeSession(session);
+    }
+    const result = await agent.processMessage(question, { onApproval: approvalHandler(allowCommands), signal });
+
+    if (json) {
+        stdout.write(`${JSON.stringify({ sessionId: agent.sessionId, ok: result.ok, ...result.toJSON() }, null, 2)}\n`);
+    } else {
+        stdout.write(`${result.text}\n`);
+    }
+    console.log(chalk.gray(`💾 Session ${shortId(agent.sessionId)}`));
+
+    if (result.cancelled) {
+        return EXIT_CODES.interrupted;
+    }
+    if (!result.ok) {
+        console.error(chalk.red(`❌ ${result.error.message}`));
+        return EXIT_CODES.failed;
+    }
+    return EXIT_CODES.ok;
+}
+
+// Writes one JSON line per question as soon as it is answered, so an interrupted
+// run keeps the answers it already has. Stops at the first cancelled turn.
+export async function runBatch(agent, { input, output, allowCommands = false }, { signal } = {}) {
+    const questions = readBatchFile(input);
+    fs.mkdirSync(path.dirname(path.resolve(output)), { recursive: true });
+    fs.writeFileSync(output, '');
+
+    const sessions = new Map(); // session label -> session id
+    const onApproval = approvalHandler(allowCommands);
+    let failed = 0;
+    let answered = 0;
+
+    for (const [index, { id, question, session }] of questions.entries()) {
+        if (signal?.aborted) {
+            break;
+        }
+        if (session && !sessions.has(session)) {
+            sessions.set(session, randomUUID());
+        }
+        const sessionId = session ? sessions.get(session) : randomUUID();
+
+        console.log(chalk.cyan(`\n[${index + 1}/${questions.length}] ${question}`));
+        const result = await agent.processMessage(question, { onApproval, signal, sessionId });
+        if (result.cancelled) {
+            break;
+        }
+
+        answered += 1;
+        if (!result.ok) {
+            failed += 1;
+        }
+        fs.appendFileSync(output, `${JSON.stringify({ id, sessionId, ok: result.ok, ...result.toJSON() })}\n`);
+        const seconds = (result.timings.totalMs / 1000).toFixed(1);
+        console.log(result.ok
+            ? chalk.green(`✅ Answered in ${seconds}s`)
+            : chalk.red(`❌ Failed after ${seconds}s: ${result.error.message}`));
+    }
+
+    console.log(chalk.blue(`\n📄 ${answered}/${questions.length} answers written to ${output}${failed ? chalk.red(` (${failed} failed)`) : ''}`));
+    if (answered < questions.length) {
+        return EXIT_CODES.interrupted;
+    }
+    return failed > 0 ? EXIT_CODES.failed : EXIT_CODES.ok;
+}
+
+// Runs the dataset, writes the JSON report and prints the scorecard (or the report with --json)
+export async function runEvalCommand(agent, { dataset, output = null, json = false, categories = [] }, { stdout = process.stdout, signal } = {}) {
+    let data;
+    try {
+        data = loadDataset(dataset);
+    } catch (error) {
+        throw new UsageError(error.message);
+    }
+
+    console.log(chalk.blue(`🧪 Evaluating ${data.name} v${data.version}`));
+    const report = await runEval(agent, data, {
+        categories,
+        signal,
+        onCase: (testCase, index, total) => {
+            const mark = testCase.pass ? chalk.green('✅') : chalk.red('❌');
+            console.log(`${mark} [${index + 1}/${total}] ${testCase.id} (${(testCase.durationMs / 1000).toFixed(1)}s)`);
+        },
+    });
+
+    const file = output || path.join(process.cwd(), 'data', 'eval', `${data.name}-v${data.version}-${report.startedAt.replace(/[:.]/g, '-')}.json`);
+    fs.mkdirSync(path.dirname(path.resolve(file)), { recursive: true });
+    fs.writeFileSync(file, `${JSON.stringify(report, null, 2)}\n`);
+
+    stdout.write(`${json ? JSON.stringify(report, null, 2) : formatScorecard(report)}\n`);
+    console.log(chalk.blue(`📄 Report written to ${path.relative(process.cwd(), path.resolve(file))}`));
+
+    if (!report.complete) {
+        return EXIT_CODES.interrupted;
+    }
+    return report.summary.passed === report.summary.cases ? EXIT_CODES.ok : EXIT_CODES.failed;
+}
+
+// Prints the token usage and estimated cost of every saved session (or of one)
+export function runStats(sessionStore, { session = null, json = false } = {}, { stdout = process.stdout } = {}) {
+    let sessions = sessionStore.list();
+    if (session) {
+        const found = sessionStore.find(session);
+        if (!found) {
+            throw new UsageError(`No saved session matches "${session}"`);
+        }
+        sessions = [found];
+    }
+
+    if (json) {
+        const report = {
+            sessions: sessions.map(item => ({ id: item.id, title: item.title, turns: item.turns, createdAt: item.createdAt, updatedAt: item.updatedAt, usage: sessionUsage(item) })),
+            total: totalUsage(sessions),
+        };
+        stdout.write(`${JSON.stringify(report, null, 2)}\n`);
+    } else if (sessions.length === 0) {
+        stdout.write('No saved sessions yet.\n');
+    } else {
+        stdout.write(`${formatStats(sessions)}\n`);
+    }
+    return EXIT_CODES.ok;
+}
@@ -0,0 +1,115 @@
+import fs from 'fs';
+import path from 'path';
+import { z } from 'zod';
+import YAML from 'yaml';
+import { LLM_PROVIDERS } from './llm.js';
+
+// agent.config.json / .yaml / .yml in the working directory (or AGENT_CONFIG) sets the model,
+// the system prompt, which tools are enabled with their options, and the plugins directory.
+// Everything is optional: without a file the agent runs with the built-in defaults.
+export const CONFIG_FILES = ['agent.config.json', 'agent.config.yaml', 'agent.config.yml'];
+
+export class ConfigError extends Error {
+    constructor(message, { file = null, issues = [] } = {}) {
+        super(issues.length > 0 ? `${message}\n${issues.map(issue => `  - ${issue}`).join('\n')}` : message);
+        this.name = 'ConfigError';
+        this.file = file;
+        this.issues = issues;
+    }
+}
+
+// Readable lines such as "tools.database.dataPath: Expected string, received number"
+export function formatIssues(error, prefix = []) {
+    return error.issues.map(issue => {
+        const where = [...prefix, ...issue.path].join('.');
+        return where ? `${where}: ${issue.message}` : issue.message;
+    });
+}
+
+// Settings for readLlmOptions(); API keys stay in the environment
+const modelSchema = z.object({
+    provider: z.enum(LLM_PROVIDERS).optional(),
+    model: z.string().min(1).optional(),
+    temperature: z.number().min(0).max(2).optional(),
+    maxTokens: z.number().int().positive().optional(),
+    baseUrl: z.string().url().optional(),
+    checkTools: z.boolean().optional(),
+    checkTimeoutMs: z.number().int().positive().optional(),
+    // USD per million tokens, for the cost shown by "stats" (see pricing.js)
+    pricing: z.object({
+        inputPerMillion: z.number().min(0),
+        outputPerMillion: z.number().min(0),
+    }).strict().optional(),
+}).strict();
+
+// `false` is short for { enabled: false }; the other keys are the tool's options,
+// which are checked against the tool's own schema once the registry is loaded
+const toolSchema = z.union([
+    z.boolean().transform(enabled => ({ enabled })),
+    z.object({ enabled: z.boolean().default(true) }).passthrough(),
+]);
+
+export const configSchema = z.object({
+    model: modelSchema.default({}),
+    systemPrompt: z.string().min(1).optional(),
+    systemPromptFile: z.string().min(1).optional(),
+    tools: z.record(z.string(), toolSchema).default({}),
+    plugins: z.object({
+        enabled: z.boolean().default(true),
+        directory: z.string().min(1).default('plugins'),
+    }).strict().default({}),
+}).strict().refine(config => !(config.systemPrompt && config.systemPromptFile), {
+    message: 'Use either systemPrompt or systemPromptFile, not both',
+});
+
+export function findConfigFile(directory = process.cwd(), env = process.env) {
+    if (env.AGENT_CONFIG) {
+        const file = path.resolve(directory, env.AGENT_CONFIG);
+        if (!fs.existsSync(file)) {
+            throw new ConfigError(`AGENT_CONFIG points to ${file}, which does not exist`);
+        }
+        return file;
+    }
+    return CONFIG_FILES.map(name => path.join(directory, name)).find(file => fs.existsSync(file)) || null;
+}
+
+function parseFile(file) {
+    const text = fs.readFileSync(file, 'utf-8');
+    try {
+        return /\.ya?ml$/i.test(file) ? YAML.parse(text) ?? {} : JSON.parse(text);
+    } catch (error) {
+        throw new ConfigError(`${file} could not be parsed: ${error.message}`, { file });
+    }
+}
+
+// Returns the validated config with paths resolved against the config file's directory:
+// { file, directory, model, systemPrompt, tools: { [id]: { enabled, ...options } }, plugins }
+export function loadConfig({ file = undefined, directory = process.cwd(), env = process.env } = {}) {
+    const configFile = file === undefined ? findConfigFile(directory, env) : file;
+    const raw = configFile ? parseFile(configFile) : {};
+    const parsed = configSchema.safeParse(raw);
+    if (!parsed.success) {
+        throw new ConfigError(`${configFile} is invalid:`, { file: configFile, issues: formatIssues(parsed.error) });
+    }
+
+    const config = parsed.data;
+    const baseDirectory = configFile ? path.dirname(configFile) : directory;
+
+    let systemPrompt = config.systemPrompt || null;
+    if (config.systemPromptFile) {
+        const promptFile = path.resolve(baseDirectory, config.systemPromptFile);
+        if (!fs.existsSync(promptFile)) {
+            throw new ConfigError(`systemPromptFile ${promptFile} does not exist`, { file: configFile });
+        }
+        systemPrompt = fs.readFileSync(promptFile, 'utf-8').trim();
+    }
+
+    return {
+        file: configFile,
+        directory: baseDirectory,
+        model: config.model,
+        systemPrompt,
+        tools: config.tools,
+        plugins: { ...config.plugins, directory: path.resolve(baseDirectory, config.plugins.directory) },
+    };
+}
@@ -0,0 +1,56 @@
+import fs from 'fs';
+import chalk from 'chalk';
+import { logger } from './logger.js';
+
+const log = logger.child({ component: 'data_watcher' });
+
+// Watches the data directories and calls onChange once a burst of file events has
+// settled, so copying a large file triggers a single reload.
+export class DataWatcher {
+    constructor({ paths, onChange, debounceMs = 500 }) {
+        this.paths = paths;
+        this.onChange = onChange;
+        this.debounceMs = debounceMs;
+        this.watchers = [];
+        this.timer = null;
+    }
+
+    start() {
+        for (const watchedPath of this.paths) {
+            if (!fs.existsSync(watchedPath)) {
+                continue;
+            }
+
+            try {
+                const watcher = fs.watch(watchedPath, (eventType, fileName) => {
+                    // SQLite journals and editor swap files change constantly and are never loaded
+                    if (fileName && /(-journal|-wal|-shm|\.swp|~)$/.test(fileName)) {
+                        return;
+                    }
+                    this.schedule();
+                });
+                watcher.on('error', (error) => {
+                    log.warn(chalk.yellow(`⚠️  Stopped watching ${watchedPath}: ${error.message}`));
+                });
+                this.watchers.push(watcher);
+            } catch (error) {
+                log.warn(chalk.yellow(`⚠️  Cannot watch ${watchedPath}: ${error.message}`));
+            }
+        }
+        return this.watchers.length > 0;
+    }
+
+    schedule() {
+        clearTimeout(this.timer);
+        this.timer = setTimeout(() => {
+            this.timer = null;
+            this.onChange();
+        }, this.debounceMs);
+    }
+
+    stop() {
+        clearTimeout(this.timer);
+        this.watchers.forEach(watcher => watcher.close());
+        this.watchers = [];
+    }
+}
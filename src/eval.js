@@ -0,0 +1,332 @@
+import fs from 'fs';
+import path from 'path';
+import { createHash, randomUUID } from 'crypto';
+import { z } from 'zod';
+import chalk from 'chalk';
+import { formatIssues } from './config.js';
+import { denyAll } from './agent.js';
+
+// Evaluation harness: runs a versioned dataset of questions against the agent and scores
+// each answer on up to four checks:
+//   routing   the tools the agent called are exactly expectedTools ([] = answer without tools)
+//   sql       one of its database_query results matches the result of goldSql
+//   answer    the answer mentions the gold values (single values, or text values of small results)
+//   keywords  the answer contains every keyword (an array lists accepted alternatives)
+
+export const DEFAULT_DATASET = path.join(process.cwd(), 'eval', 'datasets', 'agent-v1.json');
+
+const keywordSchema = z.union([z.string().min(1), z.array(z.string().min(1)).min(1)]);
+
+const caseSchema = z.object({
+    id: z.string().min(1),
+    category: z.string().min(1),
+    question: z.string().min(1),
+    expectedTools: z.array(z.string()),
+    goldSql: z.string().min(1).optional(),
+    database: z.string().min(1).optional(),
+    ordered: z.boolean().default(false), // compare gold rows in order (for ORDER BY questions)
+    keywords: z.array(keywordSchema).default([]),
+}).strict();
+
+export const datasetSchema = z.object({
+    name: z.string().min(1),
+    version: z.string().min(1),
+    description: z.string().optional(),
+    cases: z.array(caseSchema).min(1),
+}).strict().superRefine((dataset, context) => {
+    const seen = new Set();
+    dataset.cases.forEach((testCase, index) => {
+        if (seen.has(testCase.id)) {
+            context.addIssue({ code: z.ZodIssueCode.custom, path: ['cases', index, 'id'], message: `Duplicate case id "${testCase.id}"` });
+        }
+        seen.add(testCase.id);
+    });
+});
+
+export function loadDataset(file = DEFAULT_DATASET) {
+    let raw;
+    try {
+        raw = JSON.parse(fs.readFileSync(file, 'utf-8'));
+    } catch (error) {
+        throw new Error(`Cannot read dataset ${file}: ${error.message}`);
+    }
+    const parsed = datasetSchema.safeParse(raw);
+    if (!parsed.success) {
+        throw new Error(`Dataset ${file} is invalid:\n${formatIssues(parsed.error).map(issue => `  - ${issue}`).join('\n')}`);
+    }
+    return { ...parsed.data, file };
+}
+
+// Numbers are compared at 2 decimals so 523.06 matches 523.0600000001
+function normalizeCell(value) {
+    if (value === null || value === undefined) {
+        return 'null';
+    }
+    if (typeof value === 'number') {
+        return String(Math.round(value * 100) / 100);
+    }
+    return String(value).trim().toLowerCase();
+}
+
+// True when every cell of `expected` appears in `actual`; extra columns in actual are fine
+function rowContains(actual, expected) {
+    const remaining = actual.map(normalizeCell);
+    return expected.map(normalizeCell).every(cell => {
+        const index = remaining.indexOf(cell);
+        if (index === -1) {
+            return false;
+        }
+        remaining.splice(index, 1);
+        return true;
+    });
+}
+
+// Compares a query result with the gold result: same number of rows, and each gold row is
+// contained in its own result row. Column order and extra columns are ignored, and so is
+// row order unless `ordered` is set.
+export function resultsMatch(gold, actual, { ordered = false } = {}) {
+    if (!gold || !actual || gold.rows.length !== actual.rows.length) {
+        return false;
+    }
+    if (ordered) {
+        return gold.rows.every((row, index) => rowContains(actual.rows[index], row));
+    }
+    const unused = new Set(actual.rows.keys());
+    return gold.rows.every(row => {
+        const match = [...unused].find(index => rowContains(actual.rows[index], row));
+        if (match === undefined) {
+            return false;
+        }
+        unused.delete(match);
+        return true;
+    });
+}
+
+// Ways a gold number may be written in an answer: 2328.6, 2,328.6, 2328.60, 2,328.60
+function numberForms(value) {
+    const rounded = Math.round(value * 100) / 100;
+    return [...new Set([
+        String(rounded),
+        rounded.toLocaleString('en-US'),
+        rounded.toFixed(2),
+        rounded.toLocaleString('en-US', { minimumFractionDigits: 2, maximumFractionDigits: 2 }),
+    ])];
+}
+
+// Gold values the answer should mention: the value of a 1x1 result, or the text values of
+// results with at most 10 cells (numbers in larger results are too often rounded or reformatted)
+export function expectedMentions(gold) {
+    const cells = gold.rows.flat();
+    if (cells.length === 1 && typeof cells[0] === 'number') {
+        return [numberForms(cells[0])];
+    }
+    if (cells.length > 10) {
+        return [];
+    }
+    return cells
+        .filter(cell => typeof cell === 'string')
+        .map(cell => [cell]);
+}
+
+function containsAny(text, alternatives) {
+    const lower = text.toLowerCase();
+    return alternatives.some(alternative => {
+        const needle = alternative.toLowerCase();
+        // Numbers must not match inside longer numbers ("27" in "275")
+        return /^[\d.,]+$/.test(needle)
+            ? new RegExp(`(^|[^\\d.,])${needle.replace(/[.]/g, '\\.')}(?![\\d]|[.,]\\d)`).test(lower)
+            : lower.includes(needle);
+    });
+}
+
+async function runGoldQuery(agent, testCase) {
+    const tool = agent.getTool('database_query');
+    if (!tool) {
+        throw new Error('database_query is not loaded, so goldSql cannot be checked');
+    }
+    const outcome = await tool.runQuery(testCase.goldSql, tool.resolveDatabase(testCase.database), []);
+    if (outcome.status !== 'ok') {
+        throw new Error(`goldSql failed: ${outcome.error?.message || outcome.text}`);
+    }
+    return outcome.result;
+}
+
+// Runs one case in its own session and returns its checks. Commands are always denied.
+export async function evaluateCase(agent, testCase, { signal } = {}) {
+    const result = await agent.processMessage(testCase.question, {
+        sessionId: randomUUID(),
+        signal,
+        onApproval: async (request) => denyAll(request, 'Commands are not run during evaluations'),
+    });
+
+    const answer = result.text;
+    const toolsCalled = [...new Set(result.toolCalls.map(call => call.name))];
+    const queries = result.toolCalls
+        .filter(call => call.name === 'database_query' && call.artifact?.rows)
+        .map(call => call.artifact);
+    const checks = [];
+
+    const expected = [...testCase.expectedTools].sort();
+    checks.push({
+        name: 'routing',
+        pass: toolsCalled.length === expected.length && [...toolsCalled].sort().every((name, index) => name === expected[index]),
+        detail: `expected ${expected.join(', ') || 'no tool'}, called ${toolsCalled.join(', ') || 'no tool'}`,
+    });
+
+    if (testCase.goldSql) {
+        let gold = null;
+        try {
+            gold = await runGoldQuery(agent, testCase);
+        } catch (error) {
+            checks.push({ name: 'sql', pass: false, detail: error.message });
+        }
+        if (gold) {
+            const matching = queries.find(query => resultsMatch(gold, query, { ordered: testCase.ordered }));
+            checks.push({
+                name: 'sql',
+                pass: Boolean(matching),
+                detail: matching
+                    ? `matched with ${matching.sql}`
+                    : `${queries.length} query result(s), none matched the ${gold.rows.length} gold row(s)`,
+            });
+
+            const mentions = expectedMentions(gold);
+            if (mentions.length > 0) {
+                const missing = mentions.filter(alternatives => !containsAny(answer, alternatives)).map(alternatives => alternatives[0]);
+                checks.push({
+                    name: 'answer',
+                    pass: missing.length === 0,
+                    detail: missing.length === 0 ? 'mentions the gold values' : `missing ${missing.join(', ')}`,
+                });
+            }
+        }
+    }
+
+    if (testCase.keywords.length > 0) {
+        const missing = testCase.keywords
+            .map(keyword => (Array.isArray(keyword) ? keyword : [keyword]))
+            .filter(alternatives => !containsAny(answer, alternatives))
+            .map(alternatives => alternatives.join(' | '));
+        checks.push({
+            name: 'keywords',
+            pass: missing.length === 0,
+            detail: missing.length === 0 ? 'all keywords found' : `missing ${missing.join(', ')}`,
+        });
+    }
+
+    return {
+        id: testCase.id,
+        category: testCase.category,
+        question: testCase.question,
+        pass: result.ok && checks.every(check => check.pass),
+        checks,
+        toolsCalled,
+        sql: queries.map(query => query.sql),
+        answer,
+        error: result.error?.message ?? null,
+        cancelled: result.cancelled,
+        durationMs: result.timings.totalMs,
+        usage: result.usage,
+    };
+}
+
+// { cases, passed, passRate, checks: { routing: { passed, total }, ... }, avgMs, totalTokens }
+export function summarize(cases) {
+    const checks = {};
+    for (const check of cases.flatMap(testCase => testCase.checks)) {
+        checks[check.name] ||= { passed: 0, total: 0 };
+        checks[check.name].total += 1;
+        checks[check.name].passed += check.pass ? 1 : 0;
+    }
+    const passed = cases.filter(testCase => testCase.pass).length;
+    return {
+        cases: cases.length,
+        passed,
+        passRate: cases.length > 0 ? passed / cases.length : 0,
+        checks,
+        avgMs: cases.length > 0 ? Math.round(cases.reduce((total, testCase) => total + testCase.durationMs, 0) / cases.length) : 0,
+        totalTokens: cases.reduce((total, testCase) => total + testCase.usage.totalTokens, 0),
+    };
+}
+
+// Runs the dataset (optionally only some categories) and returns the report.
+// The model and a hash of the system prompt are recorded so reports of different prompts and models can be compared.
+export async function runEval(agent, dataset, { categories = [], signal, onCase = () => {} } = {}) {
+    const selected = dataset.cases.filter(testCase => categories.length === 0 || categories.includes(testCase.category));
+    if (selected.length === 0) {
+        throw new Error(`No cases in categories ${categories.join(', ')}`);
+    }
+
+    const startedAt = new Date();
+    const cases = [];
+    for (const [index, testCase] of selected.entries()) {
+        if (signal?.aborted) {
+            break;
+        }
+        const caseResult = await evaluateCase(agent, testCase, { signal });
+        if (caseResult.cancelled) {
+            break;
+        }
+        cases.push(caseResult);
+        onCase(caseResult, index, selected.length);
+    }
+
+    const byCategory = {};
+    for (const category of [...new Set(selected.map(testCase => testCase.category))]) {
+        byCategory[category] = summarize(cases.filter(testCase => testCase.category === category));
+    }
+
+    return {
+        dataset: { name: dataset.name, version: dataset.version, file: dataset.file },
+        model: agent.modelInfo,
+        systemPromptHash: createHash('sha256').update(agent.systemPrompt).digest('hex').slice(0, 12),
+        startedAt: startedAt.toISOString(),
+        durationMs: Date.now() - startedAt.getTime(),
+        complete: cases.length === selected.length,
+        summary: summarize(cases),
+        byCategory,
+        cases,
+    };
+}
+
+const percent = (passed, total) => (total > 0 ? `${Math.round((passed / total) * 100)}%` : '—');
+
+function scorecardRow(label, summary, checkNames) {
+    return [
+        label,
+        String(summary.cases),
+        `${summary.passed} (${percent(summary.passed, summary.cases)})`,
+        ...checkNames.map(name => (summary.checks[name] ? percent(summary.checks[name].passed, summary.checks[name].total) : '—')),
+        `${(summary.avgMs / 1000).toFixed(1)}s`,
+        String(summary.totalTokens),
+    ];
+}
+
+// Plain-text table: one row per category plus the total
+export function formatScorecard(report) {
+    const checkNames = ['routing', 'sql', 'answer', 'keywords'];
+    const rows = [
+        ['Category', 'Cases', 'Passed', 'Routing', 'SQL', 'Answer', 'Keywords', 'Avg time', 'Tokens'],
+        ...Object.entries(report.byCategory).map(([category, summary]) => scorecardRow(category, summary, checkNames)),
+        scorecardRow('total', report.summary, checkNames),
+    ];
+    const widths = rows[0].map((_, column) => Math.max(...rows.map(row => row[column].length)));
+    const lines = rows.map(row => row.map((cell, column) => (column === 0 ? cell.padEnd(widths[column]) : cell.padStart(widths[column]))).join('  '));
+    lines.splice(1, 0, widths.map(width => '─'.repeat(width)).join('  '));
+    lines.splice(lines.length - 1, 0, widths.map(width => '─'.repeat(width)).join('  '));
+
+    const failed = report.cases.filter(testCase => !testCase.pass);
+    const failures = failed.map(testCase => {
+        const reasons = testCase.error ? [testCase.error] : testCase.checks.filter(check => !check.pass).map(check => `${check.name}: ${check.detail}`);
+        return `  ✗ ${testCase.id}: ${reasons.join('; ')}`;
+    });
+
+    const model = report.model ? `${report.model.provider} ${report.model.model}, ` : '';
+    return [
+        `${report.dataset.name} v${report.dataset.version} (${model}prompt ${report.systemPromptHash})`,
+        '',
+        ...lines,
+        ...(failures.length > 0 ? ['', 'Failed cases:', ...failures] : []),
+        ...(report.complete ? [] : ['', chalk.yellow('The run was cancelled before every case ran.')]),
+    ].join('\n');
+}
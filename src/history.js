@@ -0,0 +1,94 @@
+// Keeps the conversation sent to the model within its context limit. The session thread
+// always holds the full transcript (questions, tool calls, tool results and answers);
+// these strategies only decide what the model sees on each call:
+// - window: the last HISTORY_WINDOW_TURNS turns
+// - tokens: as many recent turns as fit in HISTORY_MAX_TOKENS (trimMessages)
+// - summary: older turns are replaced by an LLM-written summary in the thread itself
+import { trimMessages, HumanMessage, SystemMessage } from '@langchain/core/messages';
+
+export const HISTORY_STRATEGIES = ['window', 'tokens', 'summary'];
+
+export function readHistoryOptions(env = process.env) {
+    const number = (value, fallback) => {
+        const parsed = Number.parseInt(value, 10);
+        return Number.isFinite(parsed) && parsed > 0 ? parsed : fallback;
+    };
+    const strategy = (env.HISTORY_STRATEGY || 'tokens').toLowerCase();
+
+    return {
+        strategy: HISTORY_STRATEGIES.includes(strategy) ? strategy : 'tokens',
+        windowTurns: number(env.HISTORY_WINDOW_TURNS, 6),
+        maxTokens: number(env.HISTORY_MAX_TOKENS, 6000),
+    };
+}
+
+function messageText(message) {
+    const content = typeof message.content === 'string' ? message.content : JSON.stringify(message.content);
+    const toolCalls = message.tool_calls?.length ? JSON.stringify(message.tool_calls) : '';
+    return content + toolCalls;
+}
+
+// About 4 characters per token, plus a little overhead per message
+export function countTokens(messages) {
+    return messages.reduce((total, message) => total + Math.ceil(messageText(message).length / 4) + 4, 0);
+}
+
+// A turn starts at a user message and holds the tool calls, tool results and answer after it,
+// so cutting between turns never separates a tool call from its result
+export function splitTurns(messages) {
+    const turns = [];
+    for (const message of messages) {
+        if (message._getType() === 'human' || turns.length === 0) {
+            turns.push([]);
+        }
+        turns[turns.length - 1].push(message);
+    }
+    return turns;
+}
+
+// Messages to send to the model; the current (last) turn is always kept whole
+export async function selectHistory(messages, options) {
+    const turns = splitTurns(messages);
+    const current = turns.pop() || [];
+    const previous = turns.flat();
+
+    if (options.strategy === 'tokens') {
+        const budget = options.maxTokens - countTokens(current);
+        if (budget <= 0 || previous.length === 0) {
+            return current;
+        }
+        const kept = await trimMessages(previous, {
+            maxTokens: budget,
+            strategy: 'last',
+            tokenCounter: countTokens,
+            startOn: 'human',
+            allowPartial: false,
+        });
+        return [...kept, ...current];
+    }
+
+    // "window", and "summary" once older turns have been folded into the summary
+    return [...turns.slice(-options.windowTurns).flat(), ...current];
+}
+
+function transcriptLine(message) {
+    const type = message._getType();
+    if (type === 'human') {
+        return `User: ${message.content}`;
+    }
+    if (type === 'tool') {
+        return `Tool result (${message.name || 'tool'}): ${String(message.content).slice(0, 1500)}`;
+    }
+    const calls = (message.tool_calls || []).map(call => `${call.name}(${JSON.stringify(call.args)})`);
+    return [message.content ? `Assistant: ${message.content}` : null, calls.length ? `Assistant called: ${calls.join(', ')}` : null]
+        .filter(Boolean)
+        .join('\n');
+}
+
+export async function summarizeMessages(llm, previousSummary, messages) {
+    const response = await llm.invoke([
+        new SystemMessage('You maintain a running summary of a conversation between a user and a data assistant. Keep facts the user may refer back to: names, numbers, SQL queries and tables used, documents cited, commands run and their results. Write at most 250 words.'),
+        new HumanMessage(`${previousSummary ? `Summary so far:\n${previousSummary}\n\n` : ''}New messages to fold into the summary:\n\n${messages.map(transcriptLine).join('\n')}\n\nWrite the updated summary.`),
+    ]);
+    return typeof response.content === 'string' ? response.content.trim() : JSON.stringify(response.content);
+}
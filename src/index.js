@@ -1,6 +1,11 @@
 import dotenv from 'dotenv';
 import { MultiSourceAgent } from './agent.js';
 import { ConversationInterface } from './interface.js';
+import { parseCliArgs, redirectLogs, runAsk, runBatch, runEvalCommand, runStats, UsageError, EXIT_CODES, USAGE } from './cli.js';
+import { SessionStore, sessionsDirectory } from './session-store.js';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
 import chalk from 'chalk';
 
 dotenv.config();
@@ -23,10 +28,66 @@ async function main() {
     }
 }
 
-// Handle graceful shutdown
-process.on('SIGINT', () => {
-    console.log(chalk.yellow('\n👋 Goodbye!'));
-    process.exit(0);
-});
+// ask / batch / eval: the answer (or scorecard) is the only thing written to stdout
+async function runNonInteractive(options) {
+    redirectLogs({ quiet: options.quiet });
 
-main();
+    // The first Ctrl+C cancels the running turn, a second one exits right away
+    const controller = new AbortController();
+    process.on('SIGINT', () => {
+        if (controller.signal.aborted) {
+            process.exit(EXIT_CODES.interrupted);
+        }
+        console.error(chalk.yellow('\n🛑 Cancelling...'));
+        controller.abort();
+    });
+
+    // Eval cases are not kept as saved sessions
+    const sessionsPath = options.command === 'eval' ? fs.mkdtempSync(path.join(os.tmpdir(), 'agent-eval-')) : null;
+    const agent = new MultiSourceAgent({ sessionsPath });
+    try {
+        await agent.initialize();
+    } catch (error) {
+        console.error(chalk.red('❌ Error starting the agent:'), error.message);
+        return EXIT_CODES.failed;
+    }
+
+    try {
+        const run = { ask: runAsk, batch: runBatch, eval: runEvalCommand }[options.command];
+        return await run(agent, options, { signal: controller.signal });
+    } catch (error) {
+        console.error(chalk.red(`❌ ${error.message}`));
+        return error instanceof UsageError ? EXIT_CODES.usage : EXIT_CODES.failed;
+    } finally {
+        await agent.cleanup();
+        if (sessionsPath) {
+            fs.rmSync(sessionsPath, { recursive: true, force: true });
+        }
+    }
+}
+
+let options;
+try {
+    options = parseCliArgs(process.argv.slice(2));
+} catch (error) {
+    console.error(chalk.red(`❌ ${error.message}\n`));
+    console.error(USAGE);
+    process.exit(EXIT_CODES.usage);
+}
+
+if (options.command === 'help') {
+    console.log(USAGE);
+} else if (options.command === 'stats') {
+    // Reads the saved sessions only, no model or tools are started
+    try {
+        process.exitCode = runStats(new SessionStore({ directory: sessionsDirectory() }), options);
+    } catch (error) {
+        console.error(chalk.red(`❌ ${error.message}`));
+        process.exitCode = error instanceof UsageError ? EXIT_CODES.usage : EXIT_CODES.failed;
+    }
+} else if (options.command === 'chat') {
+    // ConversationInterface handles Ctrl+C: it cancels a running turn and exits at the prompt
+    main();
+} else {
+    process.exitCode = await runNonInteractive(options);
+}
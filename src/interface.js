@@ -1,12 +1,17 @@
 import readline from 'readline';
 import chalk from 'chalk';
 import { platform } from 'os';
+import { shortId } from './session-store.js';
+import { formatStats } from './stats.js';
+import { Spinner } from './spinner.js';
 
 export class ConversationInterface {
     constructor(agent) {
         this.agent = agent;
         this.rl = null;
         this.isRunning = false;
+        this.currentTurn = null; // AbortController of the turn in progress
+        this.spinner = new Spinner();
     }
 
     async start() {
@@ -24,12 +29,26 @@ export class ConversationInterface {
 
         this.showWelcomeMessage();
         this.showExamples();
+
+        // WATCH_DATA=false turns off automatic reloads; the "reload" command still works
+        if (process.env.WATCH_DATA !== 'false' && this.agent.startWatching((report) => {
+            console.log(chalk.blue('\n🔄 Data files changed on disk, reloaded:'));
+            this.showReloadReport(report);
+            this.rl.prompt(true);
+        })) {
+            console.log(chalk.gray('👀 Watching data/documents and data/sqlite for changes'));
+        }
         
         this.isRunning = true;
         this.rl.prompt();
 
         this.rl.on('line', async (input) => {
             const userInput = input.trim();
+
+            if (this.currentTurn) {
+                console.log(chalk.gray('⏳ Still working on the last question, press Ctrl+C to cancel it.'));
+                return;
+            }
             
             if (this.handleSpecialCommands(userInput)) {
                 return;
@@ -40,27 +59,56 @@ export class ConversationInterface {
                 return;
             }
 
-            console.log(chalk.blue('🤖 Agent: '), 'Processing your question...');
-            
-            try {
-                const response = await this.agent.processMessage(userInput);
-                console.log(chalk.blue('🤖 Agent: '), response);
-            } catch (error) {
-                console.error(chalk.red('❌ Error:'), error.message);
-            }
-            
-            console.log();
+            await this.runTurn((options) => this.agent.streamMessage(userInput, options));
             this.rl.prompt();
         });
 
+        // Ctrl+C cancels the turn in progress; at the prompt it exits as before
+        const onInterrupt = () => {
+            if (this.currentTurn) {
+                this.currentTurn.abort();
+            } else {
+                this.shutdown();
+            }
+        };
+        this.rl.on('SIGINT', onInterrupt);
+        process.on('SIGINT', onInterrupt);
+
         this.rl.on('close', () => {
             this.shutdown();
         });
     }
 
     handleSpecialCommands(input) {
-        const command = input.toLowerCase();
-        
+        const [name = '', ...rest] = input.split(/\s+/);
+        const command = name.toLowerCase();
+        const argument = rest.join(' ');
+
+        // Commands that take an argument
+        switch (command) {
+            case 'resume':
+                if (!argument) {
+                    console.log(chalk.yellow('Usage: resume <session id>  (see "sessions")'));
+                    this.rl.prompt();
+                } else {
+                    this.resumeSession(argument);
+                }
+                return true;
+
+            case 'rename':
+                if (!argument) {
+                    console.log(chalk.yellow('Usage: rename <new title>'));
+                } else {
+                    this.renameSession(argument);
+                }
+                this.rl.prompt();
+                return true;
+        }
+
+        if (argument) {
+            return false;
+        }
+
         switch (command) {
             case 'quit':
             case 'exit':
@@ -78,6 +126,26 @@ export class ConversationInterface {
                 this.rl.prompt();
                 return true;
                 
+            case 'reload':
+                this.reloadData();
+                return true;
+
+            case 'sessions':
+                this.showSessions();
+                this.rl.prompt();
+                return true;
+
+            case 'stats':
+                this.showStats();
+                this.rl.prompt();
+                return true;
+
+            case 'new':
+                this.agent.newSession();
+                console.log(chalk.blue('🆕 Started a new session. Previous sessions are kept, see "sessions".\n'));
+                this.rl.prompt();
+                return true;
+
             case 'clear':
                 console.clear();
                 this.showWelcomeMessage();
@@ -92,17 +160,247 @@ export class ConversationInterface {
     showWelcomeMessage() {
         console.log(chalk.green.bold('\n🚀 Multi-Source AI Agent is ready!'));
         console.log(chalk.gray('I can help you by querying SQLite databases, searching documents, and fetching external data.'));
-        console.log(chalk.yellow('\n 📋 Available tables: Artist, Album, Track, Customer, Employee, Invoice, InvoiceLine, Playlist, PlaylistTrack, Genre, MediaType'));
+        this.showDatabaseSummary();
         console.log(chalk.gray('Type "help" for commands, "examples" for sample questions, or "quit" to exit.'));
+        const saved = this.agent.listSessions().length;
+        if (saved > 0) {
+            console.log(chalk.gray(`💾 ${saved} saved session(s): type "sessions" to list them and "resume <id>" to continue one.`));
+        }
         console.log(chalk.cyan('\n\n💡 Pro tip: Be specific! Mention table names like "From the Customer table..." for better results.\\n'));
     }
 
+    showSessions() {
+        const sessions = this.agent.listSessions();
+        if (sessions.length === 0) {
+            console.log(chalk.gray('No saved sessions yet.\n'));
+            return;
+        }
+
+        const current = this.agent.getCurrentSession().id;
+        console.log(chalk.yellow.bold('\n💾 Saved sessions:'));
+        for (const session of sessions) {
+            const marker = session.id === current ? chalk.green('▶') : ' ';
+            const updated = new Date(session.updatedAt).toLocaleString();
+            console.log(`${marker} ${chalk.cyan(shortId(session.id))}  ${session.title || chalk.gray('(untitled)')}  ${chalk.gray(`(${session.turns} turn(s), ${updated})`)}`);
+        }
+        console.log(chalk.gray('\nUse "resume <id>" to continue one.\n'));
+    }
+
+    showStats() {
+        const sessions = this.agent.listSessions();
+        if (sessions.length === 0) {
+            console.log(chalk.gray('No saved sessions yet.\n'));
+            return;
+        }
+        console.log(chalk.yellow.bold('\n📊 Token usage:'));
+        console.log(`${formatStats(sessions)}\n`);
+    }
+
+    async resumeSession(idOrPrefix) {
+        try {
+            const session = this.agent.resumeSession(idOrPrefix);
+            console.log(chalk.blue(`📂 Resumed "${session.title || 'untitled'}" (${shortId(session.id)}, ${session.turns} turn(s))`));
+
+            const history = await this.agent.getConversationHistory();
+            const lastAnswer = [...history].reverse().find(message => message._getType() === 'ai' && !message.tool_calls?.length);
+            if (lastAnswer) {
+                console.log(chalk.gray('Last answer:'), lastAnswer.content);
+            }
+
+            // The app may have been closed while a command was waiting for approval
+            if (await this.agent.getPendingApproval()) {
+                console.log(chalk.yellow('⏸️  This session was waiting for a command approval.'));
+                await this.runTurn((options) => this.agent.streamPendingTurn(options));
+            }
+        } catch (error) {
+            console.error(chalk.red('❌ Cannot resume session:'), error.message);
+        }
+        console.log();
+        this.rl.prompt();
+    }
+
+    renameSession(title) {
+        try {
+            const session = this.agent.renameSession(title);
+            console.log(chalk.blue(`✏️  Session ${shortId(session.id)} renamed to "${session.title}"\n`));
+        } catch (error) {
+            console.error(chalk.red('❌ Cannot rename session:'), error.message);
+        }
+    }
+
+    // Renders the events of one turn: answer tokens as they arrive, a spinner while the
+    // model thinks or a tool runs, and one line per finished tool call
+    async runTurn(startTurn) {
+        const controller = new AbortController();
+        this.currentTurn = controller;
+        let streaming = false;
+        const endStreaming = () => {
+            if (streaming) {
+                process.stdout.write('\n');
+                streaming = false;
+            }
+        };
+
+        this.spinner.start('Thinking...');
+        try {
+            const events = startTurn({
+                signal: controller.signal,
+                onApproval: (request) => this.askForApproval(request, controller.signal),
+            });
+            for await (const event of events) {
+                switch (event.type) {
+                    case 'token':
+                        if (!streaming) {
+                            this.spinner.stop();
+                            process.stdout.write(chalk.blue('🤖 Agent: '));
+                            streaming = true;
+                        }
+                        process.stdout.write(event.text);
+                        break;
+                    case 'tool_start':
+                        endStreaming();
+                        this.spinner.start(`Running ${event.name} ${chalk.dim(JSON.stringify(event.input))}`);
+                        break;
+                    case 'tool_end':
+                        this.spinner.stop();
+                        console.log(chalk.green(`  ✔ ${event.name}`) + chalk.gray(` (${(event.durationMs / 1000).toFixed(1)}s)`));
+                        this.spinner.start('Thinking...');
+                        break;
+                    case 'approval_required':
+                        endStreaming();
+                        this.spinner.stop();
+                        break;
+                    case 'approval_decided':
+                        this.spinner.start('Thinking...');
+                        break;
+                    case 'error':
+                        endStreaming();
+                        this.spinner.stop();
+                        console.error(chalk.red('❌ Error:'), event.message);
+                        break;
+                    case 'cancelled':
+                        endStreaming();
+                        this.spinner.stop();
+                        console.log(chalk.yellow('⏹️  Cancelled. The conversation continues from before this question.'));
+                        break;
+                    case 'done':
+                        this.spinner.stop();
+                        // Models that do not stream only deliver the full answer at the end
+                        if (!streaming && event.answer) {
+                            console.log(chalk.blue('🤖 Agent: '), event.answer);
+                        }
+                        endStreaming();
+                        break;
+                }
+            }
+        } catch (error) {
+            endStreaming();
+            this.spinner.stop();
+            console.error(chalk.red('❌ Error:'), error.message);
+        } finally {
+            this.spinner.stop();
+            this.currentTurn = null;
+        }
+        console.log();
+    }
+
+    question(prompt, prefill = '', signal = null) {
+        return new Promise((resolve, reject) => {
+            if (signal?.aborted) {
+                reject(new Error('Cancelled'));
+                return;
+            }
+            // A turn asks many questions with the same signal, so each one removes its listener
+            const onAbort = () => reject(new Error('Cancelled'));
+            signal?.addEventListener('abort', onAbort, { once: true });
+            this.rl.question(prompt, signal ? { signal } : {}, (answer) => {
+                signal?.removeEventListener('abort', onAbort);
+                resolve(answer);
+            });
+            if (prefill) {
+                this.rl.write(prefill);
+            }
+        });
+    }
+
+    // Asks about each command the agent wants to run; the graph resumes with the answers
+    async askForApproval({ commands }, signal = null) {
+        const decisions = {};
+        for (const { toolCallId, command } of commands) {
+            console.log(chalk.yellow.bold('\n🔐 The agent wants to run a command:'));
+            console.log(chalk.cyan(`   ${command}`));
+
+            while (!decisions[toolCallId]) {
+                const answer = (await this.question(chalk.yellow('   [a]pprove / [d]eny / [e]dit? '), '', signal)).trim().toLowerCase();
+                if (['a', 'approve', 'y', 'yes'].includes(answer)) {
+                    decisions[toolCallId] = { action: 'approve' };
+                } else if (['d', 'deny', 'n', 'no'].includes(answer)) {
+                    const reason = (await this.question(chalk.gray('   Reason (optional): '), '', signal)).trim();
+                    decisions[toolCallId] = { action: 'deny', reason: reason || undefined };
+                } else if (['e', 'edit'].includes(answer)) {
+                    const edited = (await this.question(chalk.yellow('   Command: '), command, signal)).trim();
+                    decisions[toolCallId] = edited
+                        ? { action: edited === command ? 'approve' : 'edit', command: edited }
+                        : { action: 'deny', reason: 'The user cleared the command' };
+                } else {
+                    console.log(chalk.gray('   Please answer a, d or e.'));
+                }
+            }
+        }
+        return decisions;
+    }
+
+    async reloadData() {
+        console.log(chalk.blue('🔄 Reloading data files...'));
+        try {
+            const report = await this.agent.reloadData();
+            this.showReloadReport(report);
+        } catch (error) {
+            console.error(chalk.red('❌ Reload failed:'), error.message);
+        }
+        this.rl.prompt();
+    }
+
+    showReloadReport(report) {
+        const labels = { database_query: 'Databases', file_search: 'Documents' };
+        for (const [toolName, changes] of Object.entries(report)) {
+            const label = labels[toolName] || toolName;
+            const parts = [];
+            if (changes.added.length > 0) parts.push(chalk.green(`+ added: ${changes.added.join(', ')}`));
+            if (changes.changed.length > 0) parts.push(chalk.cyan(`~ changed: ${changes.changed.join(', ')}`));
+            if (changes.removed.length > 0) parts.push(chalk.yellow(`- removed: ${changes.removed.join(', ')}`));
+            if (changes.failed.length > 0) parts.push(chalk.red(`! failed: ${changes.failed.join(', ')}`));
+            if (changes.error) parts.push(chalk.red(`! error: ${changes.error}`));
+
+            console.log(`  ${chalk.bold(label)}: ${parts.length > 0 ? parts.join('  ') : chalk.gray('no changes')}`);
+        }
+        console.log();
+    }
+
+    showDatabaseSummary() {
+        const databaseTool = this.agent.getTool('database_query');
+        if (!databaseTool) {
+            return;
+        }
+
+        for (const { database, tables } of databaseTool.getSchemaSummary()) {
+            console.log(chalk.yellow(`\n 📋 Available tables (${database}): ${tables}`));
+        }
+    }
+
     showHelp() {
         console.log(chalk.yellow.bold('\n📖 Available Commands:'));
         console.log(chalk.cyan('  help     ') + chalk.gray('- Show this help message'));
         console.log(chalk.cyan('  examples ') + chalk.gray('- Show example questions'));
+        console.log(chalk.cyan('  reload   ') + chalk.gray('- Re-scan data/documents and data/sqlite for changes'));
+        console.log(chalk.cyan('  sessions ') + chalk.gray('- List saved conversations'));
+        console.log(chalk.cyan('  stats    ') + chalk.gray('- Show token usage and cost per conversation'));
+        console.log(chalk.cyan('  resume <id>  ') + chalk.gray('- Continue a saved conversation'));
+        console.log(chalk.cyan('  new      ') + chalk.gray('- Start a new conversation (the current one stays saved)'));
+        console.log(chalk.cyan('  rename <title>  ') + chalk.gray('- Rename the current conversation'));
         console.log(chalk.cyan('  clear    ') + chalk.gray('- Clear the screen'));
         console.log(chalk.cyan('  quit     ') + chalk.gray('- Exit the application'));
+        console.log(chalk.cyan('  Ctrl+C   ') + chalk.gray('- Cancel the question in progress (exits at the prompt)'));
         console.log();
     }
 
@@ -116,12 +414,13 @@ export class ConversationInterface {
         console.log(chalk.cyan('  • "Find customers from Brazil"'));
         console.log(chalk.cyan('  • "List all music genres available"'));
 
-        console.log(chalk.magenta.bold('\n🌐 External Data Questions (requires your approval):'));
+        console.log(chalk.magenta.bold('\n🌐 External Data Questions:'));
         console.log(chalk.cyan('  • "What is my IP address?"'));
-        console.log(chalk.cyan('  • "What is my location?"'));
-        console.log(chalk.cyan('  • "Show me today\'s date"'));
-        console.log(chalk.cyan('  • "Get current weather information"'));
-        console.log(chalk.gray('    ⚠️  The agent will ask for your permission before running any external commands'));
+        console.log(chalk.cyan('  • "What is the weather in Lisbon?"'));
+        console.log(chalk.cyan('  • "How many Brazilian reais is 100 US dollars?"'));
+        console.log(chalk.cyan('  • "What are the latest technology headlines?"'));
+        console.log(chalk.cyan('  • "Show me today\'s date" (runs a command, requires your approval)'));
+        console.log(chalk.gray('    ⚠️  Every command is shown to you to approve, edit or deny before it runs'));
         
         console.log(chalk.magenta.bold('\n📄 Economics Document Questions:'));
         console.log(chalk.cyan('  • "Tell me about Adam Smith on economy_books.txt file"'));
@@ -0,0 +1,157 @@
+import { z } from 'zod';
+import { tool } from '@langchain/core/tools';
+import { HumanMessage } from '@langchain/core/messages';
+
+export const LLM_PROVIDERS = ['groq', 'openai', 'openai-compatible', 'ollama'];
+
+const DEFAULT_MODELS = {
+    groq: 'openai/gpt-oss-120b',
+    openai: 'gpt-4o-mini',
+    'openai-compatible': null,
+    ollama: 'llama3.1',
+};
+
+// Prefix of the per-provider settings, e.g. OLLAMA_MODEL, OLLAMA_TEMPERATURE
+const ENV_PREFIXES = {
+    groq: 'GROQ',
+    openai: 'OPENAI',
+    'openai-compatible': 'OPENAI_COMPATIBLE',
+    ollama: 'OLLAMA',
+};
+
+// Local and self-hosted servers serve whatever model was pulled, so tool support is checked at startup
+const PROBED_BY_DEFAULT = ['openai-compatible', 'ollama'];
+
+function number(value, parse, fallback) {
+    const parsed = parse(value);
+    return Number.isFinite(parsed) ? parsed : fallback;
+}
+
+// LLM_PROVIDER picks the provider; each one reads <PREFIX>_MODEL, <PREFIX>_TEMPERATURE and
+// <PREFIX>_MAX_TOKENS, falling back to TEMPERATURE and MAX_TOKENS.
+// MODEL_NAME is still honoured for Groq, where it was the only setting.
+// `overrides` are the "model" settings of agent.config and win over the environment;
+// API keys are only read from the environment.
+export function readLlmOptions(env = process.env, overrides = {}) {
+    const provider = (overrides.provider || env.LLM_PROVIDER || 'groq').toLowerCase();
+    if (!LLM_PROVIDERS.includes(provider)) {
+        throw new Error(`Unknown LLM_PROVIDER "${provider}". Use ${LLM_PROVIDERS.join(', ')}.`);
+    }
+    const prefix = ENV_PREFIXES[provider];
+    const model = overrides.model || env[`${prefix}_MODEL`] || (provider === 'groq' ? env.MODEL_NAME : undefined) || DEFAULT_MODELS[provider];
+    if (!model) {
+        throw new Error(`${prefix}_MODEL is required when LLM_PROVIDER is ${provider}`);
+    }
+    const checkTools = overrides.checkTools ?? (env.LLM_CHECK_TOOLS
+        ? env.LLM_CHECK_TOOLS.toLowerCase() === 'true'
+        : PROBED_BY_DEFAULT.includes(provider));
+
+    return {
+        provider,
+        model,
+        temperature: overrides.temperature ?? number(env[`${prefix}_TEMPERATURE`] ?? env.TEMPERATURE, parseFloat, 0.3),
+        maxTokens: overrides.maxTokens ?? number(env[`${prefix}_MAX_TOKENS`] ?? env.MAX_TOKENS, value => Number.parseInt(value, 10), 10000),
+        baseUrl: overrides.baseUrl || {
+            openai: env.OPENAI_BASE_URL,
+            'openai-compatible': env.OPENAI_COMPATIBLE_BASE_URL,
+            ollama: env.OLLAMA_BASE_URL || 'http://localhost:11434/v1',
+        }[provider],
+        apiKey: env[`${prefix}_API_KEY`],
+        checkTools,
+        checkTimeoutMs: overrides.checkTimeoutMs ?? number(env.LLM_CHECK_TIMEOUT_MS, value => Number.parseInt(value, 10), 60000),
+    };
+}
+
+export async function createChatModel(options) {
+    const { provider, model, temperature, maxTokens, baseUrl, apiKey } = options;
+
+    switch (provider) {
+        case 'groq': {
+            if (!apiKey) {
+                throw new Error('GROQ_API_KEY is not set. Add it to .env or pick another LLM_PROVIDER.');
+            }
+            const { ChatGroq } = await import('@langchain/groq');
+            return new ChatGroq({ apiKey, model, temperature, maxTokens });
+        }
+        case 'openai': {
+            if (!apiKey) {
+                throw new Error('OPENAI_API_KEY is not set. Add it to .env or pick another LLM_PROVIDER.');
+            }
+            const { ChatOpenAI } = await import('@langchain/openai');
+            return new ChatOpenAI({
+                apiKey,
+                model,
+                temperature,
+                maxTokens,
+                configuration: baseUrl ? { baseURL: baseUrl } : undefined,
+            });
+        }
+        case 'openai-compatible':
+        case 'ollama': {
+            if (!baseUrl) {
+                throw new Error('OPENAI_COMPATIBLE_BASE_URL is required when LLM_PROVIDER is openai-compatible');
+            }
+            const { ChatOpenAI } = await import('@langchain/openai');
+            return new ChatOpenAI({
+                // Most local servers ignore the key, but the client refuses to start without one
+                apiKey: apiKey || 'not-needed',
+                model,
+                temperature,
+                maxTokens,
+                // Not every server understands stream_options, so usage is not requested while streaming
+                streamUsage: false,
+                configuration: { baseURL: baseUrl },
+            });
+        }
+        default:
+            throw new Error(`Unknown LLM_PROVIDER "${provider}". Use ${LLM_PROVIDERS.join(', ')}.`);
+    }
+}
+
+const probeTool = tool(async () => 'pong', {
+    name: 'ping',
+    description: 'Replies with pong. Call it when asked to ping.',
+    schema: z.object({}),
+});
+
+// Sends one request with a tool attached. Servers reject tools for models that cannot use
+// them ("model does not support tools"), which would otherwise only show up on the first question.
+// A model that answers in text instead of calling the tool fails the check as well.
+export async function checkToolCalling(llm, options) {
+    const label = `${options.provider} model "${options.model}"`;
+    if (typeof llm.bindTools !== 'function') {
+        throw new Error(`The ${label} does not support tool calling, which the agent needs. Choose a model with tool/function calling.`);
+    }
+
+    // A quick request first: the model client retries connection errors for a long time
+    if (options.baseUrl) {
+        try {
+            await fetch(`${options.baseUrl.replace(/\/+$/, '')}/models`, { signal: AbortSignal.timeout(5000) });
+        } catch (error) {
+            const hint = options.provider === 'ollama' ? 'Is Ollama running ("ollama serve")?' : 'Check the base URL.';
+            throw new Error(`Could not reach ${options.baseUrl}. ${hint} (${error.cause?.code || error.message})`);
+        }
+    }
+
+    let response;
+    try {
+        response = await llm.bindTools([probeTool]).invoke(
+            [new HumanMessage('Call the ping tool.')],
+            { signal: AbortSignal.timeout(options.checkTimeoutMs) },
+        );
+    } catch (error) {
+        const message = error.message || String(error);
+        if (/tool|function/i.test(message)) {
+            throw new Error(`The ${label} does not support tool calling, which the agent needs. Choose a model with tool/function calling (${message})`);
+        }
+        if (error.name === 'TimeoutError' || error.name === 'AbortError') {
+            throw new Error(`The ${label} did not answer within ${options.checkTimeoutMs}ms. Raise LLM_CHECK_TIMEOUT_MS or set LLM_CHECK_TOOLS=false.`);
+        }
+        throw new Error(`The ${label} failed the startup check: ${message}`);
+    }
+
+    if ((response.tool_calls || []).length === 0) {
+        throw new Error(`The ${label} answered in text when asked to call a tool, so it would skip the data sources. Choose a model with tool/function calling, or set LLM_CHECK_TOOLS=false to start anyway.`);
+    }
+    return true;
+}
@@ -0,0 +1,119 @@
+import { stripVTControlCharacters } from 'util';
+
+// Diagnostic logging for the agent and its tools, kept apart from what the user reads.
+// LOG_LEVEL (debug, info, warn, error, silent) filters messages; LOG_FORMAT=json writes one
+// JSON object per line to stderr ({ time, level, component, msg, ...fields }) instead of
+// the coloured console lines.
+
+export const LOG_LEVELS = ['debug', 'info', 'warn', 'error', 'silent'];
+export const LOG_FORMATS = ['pretty', 'json'];
+
+export function readLogOptions(env = process.env) {
+    const level = (env.LOG_LEVEL || 'info').toLowerCase();
+    const format = (env.LOG_FORMAT || 'pretty').toLowerCase();
+    return {
+        level: LOG_LEVELS.includes(level) ? level : 'info',
+        format: LOG_FORMATS.includes(format) ? format : 'pretty',
+    };
+}
+
+// Errors are not enumerable, so they are logged as { name, message }
+function serializeFields(fields) {
+    return Object.fromEntries(Object.entries(fields).map(([key, value]) => [
+        key,
+        value instanceof Error ? { name: value.name, message: value.message } : value,
+    ]));
+}
+
+export class Logger {
+    // Children share the settings object, so configure() on any logger changes all of them
+    constructor({ level = 'info', format = 'pretty', bindings = {}, settings = null, write = null } = {}) {
+        this.settings = settings || { level, format, write };
+        this.bindings = bindings;
+    }
+
+    get level() {
+        return this.settings.level;
+    }
+
+    get format() {
+        return this.settings.format;
+    }
+
+    configure({ level, format, write } = {}) {
+        if (level !== undefined) {
+            if (!LOG_LEVELS.includes(level)) {
+                throw new Error(`Unknown log level "${level}", expected one of ${LOG_LEVELS.join(', ')}`);
+            }
+            this.settings.level = level;
+        }
+        if (format !== undefined) {
+            if (!LOG_FORMATS.includes(format)) {
+                throw new Error(`Unknown log format "${format}", expected one of ${LOG_FORMATS.join(', ')}`);
+            }
+            this.settings.format = format;
+        }
+        if (write !== undefined) {
+            this.settings.write = write;
+        }
+        return this;
+    }
+
+    // e.g. logger.child({ component: 'database' }); the bindings are added to every JSON line
+    child(bindings) {
+        return new Logger({ bindings: { ...this.bindings, ...bindings }, settings: this.settings });
+    }
+
+    isEnabled(level) {
+        return LOG_LEVELS.indexOf(level) >= LOG_LEVELS.indexOf(this.settings.level);
+    }
+
+    debug(message, fields) {
+        this.log('debug', message, fields);
+    }
+
+    info(message, fields) {
+        this.log('info', message, fields);
+    }
+
+    warn(message, fields) {
+        this.log('warn', message, fields);
+    }
+
+    error(message, fields) {
+        this.log('error', message, fields);
+    }
+
+    // Messages keep their chalk colours and emojis in the console; JSON lines get the plain text
+    log(level, message, fields = {}) {
+        if (!this.isEnabled(level)) {
+            return;
+        }
+        if (this.settings.format === 'json') {
+            const record = {
+                time: new Date().toISOString(),
+                level,
+                ...this.bindings,
+                msg: stripVTControlCharacters(String(message)).trim(),
+                ...serializeFields(fields),
+            };
+            const line = `${JSON.stringify(record)}\n`;
+            if (this.settings.write) {
+                this.settings.write(line);
+            } else {
+                process.stderr.write(line);
+            }
+            return;
+        }
+        if (this.settings.write) {
+            this.settings.write(`${message}\n`);
+            return;
+        }
+        // Looked up on every call, so redirected console methods (see cli.js) are respected
+        const method = { debug: 'log', info: 'log', warn: 'warn', error: 'error' }[level];
+        console[method](message);
+    }
+}
+
+// Shared by every module; index.js and the tests reconfigure it
+export const logger = new Logger(readLogOptions());
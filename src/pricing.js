@@ -0,0 +1,38 @@
+// Token prices in USD per million tokens, used to estimate what each session cost.
+// model.pricing in agent.config sets the price of any other model (or a negotiated one).
+export const MODEL_PRICES = {
+    'openai/gpt-oss-120b': { inputPerMillion: 0.15, outputPerMillion: 0.75 },
+    'gpt-4o-mini': { inputPerMillion: 0.15, outputPerMillion: 0.6 },
+    'gpt-4o': { inputPerMillion: 2.5, outputPerMillion: 10 },
+};
+
+// Models served on this machine cost nothing per token
+const FREE_PROVIDERS = ['ollama'];
+
+// Returns { inputPerMillion, outputPerMillion }, or null when the price is unknown
+export function resolvePricing(modelInfo, configured = null) {
+    if (configured) {
+        return configured;
+    }
+    if (!modelInfo) {
+        return null;
+    }
+    if (FREE_PROVIDERS.includes(modelInfo.provider)) {
+        return { inputPerMillion: 0, outputPerMillion: 0 };
+    }
+    return MODEL_PRICES[modelInfo.model] || null;
+}
+
+export function estimateCost(usage, pricing) {
+    if (!pricing) {
+        return null;
+    }
+    return (usage.inputTokens * pricing.inputPerMillion + usage.outputTokens * pricing.outputPerMillion) / 1_000_000;
+}
+
+export function formatCost(costUsd) {
+    if (costUsd === null || costUsd === undefined) {
+        return '—';
+    }
+    return costUsd > 0 && costUsd < 0.0001 ? '<$0.0001' : `$${costUsd.toFixed(4)}`;
+}
@@ -0,0 +1,47 @@
+import dotenv from 'dotenv';
+import { MultiSourceAgent, hasChanges } from './agent.js';
+import { AgentServer, readServerOptions } from './server.js';
+import chalk from 'chalk';
+
+dotenv.config();
+
+async function main() {
+    console.log(chalk.blue.bold('🤖 Multi-Source AI Agent API'));
+
+    let agent;
+    let server;
+    try {
+        // Checked before the agent starts, so a bad setting fails fast
+        const serverOptions = readServerOptions();
+        agent = new MultiSourceAgent();
+        await agent.initialize();
+
+        server = new AgentServer(agent, serverOptions);
+        const port = Number.parseInt(process.env.PORT || '3000', 10);
+        const host = process.env.HOST || '127.0.0.1';
+        await server.listen(port, host);
+        console.log(chalk.green(`🌐 Listening on http://${host}:${port}${process.env.API_TOKEN ? ' (bearer token required)' : ''}`));
+
+        if (process.env.WATCH_DATA !== 'false') {
+            agent.startWatching((report) => {
+                const changed = Object.entries(report).filter(([, changes]) => hasChanges(changes)).map(([tool]) => tool);
+                console.log(chalk.blue(`🔄 Data reloaded for ${changed.join(', ')}`));
+            });
+        }
+    } catch (error) {
+        console.error(chalk.red('❌ Error starting the API server:'), error.message);
+        process.exit(1);
+    }
+
+    // Handle graceful shutdown
+    const shutdown = async () => {
+        console.log(chalk.yellow('\n👋 Shutting down...'));
+        await server.close();
+        await agent.cleanup();
+        process.exit(0);
+    };
+    process.on('SIGINT', shutdown);
+    process.on('SIGTERM', shutdown);
+}
+
+main();
@@ -0,0 +1,419 @@
+import http from 'http';
+import { randomUUID } from 'crypto';
+import { z } from 'zod';
+import chalk from 'chalk';
+import { logger } from './logger.js';
+import { TurnResult } from './turn-result.js';
+import { denyAll } from './agent.js';
+import { ConfigError } from './config.js';
+
+const log = logger.child({ component: 'server' });
+
+const MAX_BODY_BYTES = 1024 * 1024;
+const DEFAULT_APPROVAL_TIMEOUT_MS = 5 * 60 * 1000;
+
+const messageSchema = z.object({
+    message: z.string().trim().min(1, 'message must not be empty'),
+    stream: z.boolean().optional(),
+}).strict();
+
+const createSessionSchema = z.object({
+    title: z.string().trim().min(1).optional(),
+}).strict();
+
+const decisionSchema = z.discriminatedUnion('action', [
+    z.object({ action: z.literal('approve') }),
+    z.object({ action: z.literal('deny'), reason: z.string().optional() }),
+    z.object({ action: z.literal('edit'), command: z.string().trim().min(1) }),
+]);
+
+const approvalSchema = z.object({
+    decisions: z.record(decisionSchema),
+    stream: z.boolean().optional(),
+}).strict();
+
+export class ApiError extends Error {
+    constructor(status, code, message) {
+        super(message);
+        this.name = 'ApiError';
+        this.status = status;
+        this.code = code;
+    }
+}
+
+function parseBody(schema, body) {
+    const parsed = schema.safeParse(body ?? {});
+    if (!parsed.success) {
+        const problems = parsed.error.issues.map(issue => `${issue.path.join('.') || '(body)'}: ${issue.message}`);
+        throw new ApiError(400, 'INVALID_REQUEST', problems.join('; '));
+    }
+    return parsed.data;
+}
+
+function readJson(req) {
+    return new Promise((resolve, reject) => {
+        const chunks = [];
+        let size = 0;
+        req.on('data', (chunk) => {
+            size += chunk.length;
+            if (size > MAX_BODY_BYTES) {
+                reject(new ApiError(413, 'BODY_TOO_LARGE', `Request body is larger than ${MAX_BODY_BYTES} bytes`));
+                req.destroy();
+                return;
+            }
+            chunks.push(chunk);
+        });
+        req.on('end', () => {
+            const text = Buffer.concat(chunks).toString('utf-8').trim();
+            if (!text) {
+                resolve(undefined);
+                return;
+            }
+            try {
+                resolve(JSON.parse(text));
+            } catch {
+                reject(new ApiError(400, 'INVALID_JSON', 'Request body is not valid JSON'));
+            }
+        });
+        req.on('error', reject);
+    });
+}
+
+// Handlers return a plain body for 200, or a JsonReply for another status
+class JsonReply {
+    constructor(status, body) {
+        this.status = status;
+        this.body = body;
+    }
+}
+
+function sendJson(res, status, body) {
+    res.writeHead(status, { 'Content-Type': 'application/json; charset=utf-8' });
+    res.end(JSON.stringify(body));
+}
+
+// Messages as plain JSON for clients: role, text, tool calls and which call a result answers
+function serializeMessage(message) {
+    const role = { human: 'user', ai: 'assistant', tool: 'tool', system: 'system' }[message._getType()] || message._getType();
+    return {
+        role,
+        content: typeof message.content === 'string' ? message.content : JSON.stringify(message.content),
+        ...(message.tool_calls?.length ? { toolCalls: message.tool_calls.map(({ id, name, args }) => ({ id, name, args })) } : {}),
+        ...(role === 'tool' ? { toolCallId: message.tool_call_id, name: message.name } : {}),
+    };
+}
+
+// AgentServer options from the environment. A timeout that is not a number would deny
+// every approval at once, so it stops the server from starting instead.
+export function readServerOptions(env = process.env) {
+    const timeout = env.API_APPROVAL_TIMEOUT_MS?.trim();
+    if (timeout && !/^[1-9]\d*$/.test(timeout)) {
+        throw new ConfigError(`API_APPROVAL_TIMEOUT_MS must be a positive whole number of milliseconds, got "${env.API_APPROVAL_TIMEOUT_MS}"`);
+    }
+    return {
+        apiToken: env.API_TOKEN || null,
+        corsOrigin: env.API_CORS_ORIGIN || null,
+        approvalTimeoutMs: timeout ? Number(timeout) : DEFAULT_APPROVAL_TIMEOUT_MS,
+    };
+}
+
+// HTTP API over one MultiSourceAgent. Every session is a saved conversation (the same ones the
+// CLI lists), and each session runs one turn at a time. Answers come back as a TurnResult, or as
+// Server-Sent Events when the request asks for a stream. A turn that needs command approval waits
+// until a client posts decisions to /sessions/:id/approvals (or the approval timeout denies them).
+export class AgentServer {
+    constructor(agent, { apiToken = null, corsOrigin = null, approvalTimeoutMs = DEFAULT_APPROVAL_TIMEOUT_MS } = {}) {
+        this.agent = agent;
+        this.apiToken = apiToken;
+        this.corsOrigin = corsOrigin;
+        this.approvalTimeoutMs = approvalTimeoutMs;
+        this.turns = new Map(); // Session id -> { controller, approval: { request, resolve } | null }
+        this.server = http.createServer((req, res) => this.handle(req, res));
+        this.routes = [
+            ['GET', /^\/health$/, () => ({ status: 'ok' })],
+            ['GET', /^\/tools$/, () => this.listTools()],
+            ['GET', /^\/databases$/, () => this.listDatabases()],
+            ['GET', /^\/documents$/, () => this.listDocuments()],
+            ['POST', /^\/reload$/, () => this.agent.reloadData()],
+            ['GET', /^\/sessions$/, () => ({ sessions: this.agent.listSessions() })],
+            ['POST', /^\/sessions$/, (req, res, params, body) => this.createSession(body)],
+            ['GET', /^\/sessions\/([^/]+)$/, (req, res, [id]) => this.getSession(id)],
+            ['GET', /^\/sessions\/([^/]+)\/messages$/, (req, res, [id]) => this.getMessages(id)],
+            ['POST', /^\/sessions\/([^/]+)\/messages$/, (req, res, [id], body) => this.postMessage(req, res, id, body)],
+            ['POST', /^\/sessions\/([^/]+)\/approvals$/, (req, res, [id], body) => this.postApprovals(req, res, id, body)],
+            ['DELETE', /^\/sessions\/([^/]+)\/turn$/, (req, res, [id]) => this.cancelTurn(id)],
+        ];
+    }
+
+    listen(port = 3000, host = '127.0.0.1') {
+        return new Promise((resolve, reject) => {
+            this.server.once('error', reject);
+            this.server.listen(port, host, () => {
+                this.server.off('error', reject);
+                resolve(this.server.address());
+            });
+        });
+    }
+
+    async close() {
+        for (const turn of this.turns.values()) {
+            turn.controller.abort();
+        }
+        const closed = new Promise(resolve => this.server.close(resolve));
+        this.server.closeAllConnections();
+        await closed;
+    }
+
+    async handle(req, res) {
+        if (this.corsOrigin) {
+            res.setHeader('Access-Control-Allow-Origin', this.corsOrigin);
+            res.setHeader('Access-Control-Allow-Headers', 'Authorization, Content-Type');
+            res.setHeader('Access-Control-Allow-Methods', 'GET, POST, DELETE, OPTIONS');
+        }
+        if (req.method === 'OPTIONS') {
+            res.writeHead(204);
+            res.end();
+            return;
+        }
+
+        try {
+            if (this.apiToken && req.headers.authorization !== `Bearer ${this.apiToken}`) {
+                throw new ApiError(401, 'UNAUTHORIZED', 'Missing or invalid bearer token');
+            }
+
+            const { pathname } = new URL(req.url, 'http://localhost');
+            const candidates = this.routes.filter(([, pattern]) => pattern.test(pathname));
+            const route = candidates.find(([method]) => method === req.method);
+            if (!route) {
+                throw candidates.length > 0
+                    ? new ApiError(405, 'METHOD_NOT_ALLOWED', `${req.method} is not supported on ${pathname}`)
+                    : new ApiError(404, 'NOT_FOUND', `No route for ${pathname}`);
+            }
+
+            const params = route[1].exec(pathname).slice(1).map(decodeURIComponent);
+            const body = req.method === 'POST' ? await readJson(req) : undefined;
+            const result = await route[2](req, res, params, body);
+            // Streaming handlers write the response themselves
+            if (!res.headersSent) {
+                sendJson(res, result instanceof JsonReply ? result.status : 200, result instanceof JsonReply ? result.body : result);
+            }
+        } catch (error) {
+            const status = error instanceof ApiError ? error.status : 500;
+            if (status === 500) {
+                log.error(chalk.red(`❌ API error: ${error.message}`), { error: error.message });
+            }
+            if (!res.headersSent) {
+                sendJson(res, status, { error: { code: error.code || 'INTERNAL_ERROR', message: error.message } });
+            } else {
+                res.end();
+            }
+        }
+    }
+
+    listTools() {
+        return {
+            tools: this.agent.tools.map(tool => ({
+                name: tool.name,
+                description: tool.description.split('\n')[0].trim(),
+                requiresApproval: Boolean(tool.requiresApproval),
+            })),
+        };
+    }
+
+    listDatabases() {
+        const databaseTool = this.agent.getTool('database_query');
+        if (!databaseTool) {
+            return { defaultDatabase: null, databases: [] };
+        }
+        return {
+            defaultDatabase: databaseTool.defaultDatabase,
+            databases: Array.from(databaseTool.schemas.entries()).map(([name, schema]) => ({
+                name,
+                tables: schema.tables.map(table => ({ name: table.name, rowCount: table.rowCount, columns: table.columns.map(column => column.name) })),
+            })),
+        };
+    }
+
+    listDocuments() {
+        const fileTool = this.agent.getTool('file_search');
+        if (!fileTool) {
+            return { documents: [], failed: [] };
+        }
+        return {
+            documents: Array.from(fileTool.documents.entries()).map(([file, document]) => ({ file, ...document })),
+            failed: Array.from(fileTool.loadErrors.entries()).map(([file, reason]) => ({ file, reason })),
+        };
+    }
+
+    createSession(body) {
+        const { title } = parseBody(createSessionSchema, body);
+        return new JsonReply(201, this.agent.sessionStore.create(randomUUID(), title));
+    }
+
+    findSession(id) {
+        let session;
+        try {
+            session = this.agent.sessionStore.find(id);
+        } catch (error) {
+            throw new ApiError(400, 'AMBIGUOUS_SESSION', error.message);
+        }
+        if (!session) {
+            throw new ApiError(404, 'SESSION_NOT_FOUND', `No session matches "${id}"`);
+        }
+        return session;
+    }
+
+    async getSession(id) {
+        const session = this.findSession(id);
+        const turn = this.turns.get(session.id);
+        return {
+            ...session,
+            busy: Boolean(turn),
+            pendingApproval: turn?.approval?.request ?? await this.agent.getPendingApproval(session.id),
+        };
+    }
+
+    async getMessages(id) {
+        const session = this.findSession(id);
+        const messages = await this.agent.getConversationHistory(session.id);
+        return { sessionId: session.id, messages: messages.map(serializeMessage) };
+    }
+
+    async postMessage(req, res, id, body) {
+        const session = this.findSession(id);
+        const { message, stream } = parseBody(messageSchema, body);
+        return this.runTurn(req, res, session.id, {
+            question: message,
+            stream: stream ?? wantsEventStream(req),
+            start: (options) => this.agent.streamMessage(message, options),
+        });
+    }
+
+    // Answers a live turn that is waiting, or resumes a turn saved while waiting for approval
+    async postApprovals(req, res, id, body) {
+        const session = this.findSession(id);
+        const { decisions, stream } = parseBody(approvalSchema, body);
+
+        const turn = this.turns.get(session.id);
+        if (turn) {
+            if (!turn.approval) {
+                throw new ApiError(409, 'NO_PENDING_APPROVAL', 'The running turn is not waiting for approval');
+            }
+            this.checkDecisions(turn.approval.request, decisions);
+            turn.approval.resolve(decisions);
+            return new JsonReply(202, { accepted: true });
+        }
+
+        const request = await this.agent.getPendingApproval(session.id);
+        if (!request) {
+            throw new ApiError(409, 'NO_PENDING_APPROVAL', 'This session is not waiting for approval');
+        }
+        this.checkDecisions(request, decisions);
+        return this.runTurn(req, res, session.id, {
+            question: null,
+            stream: stream ?? wantsEventStream(req),
+            start: (options) => this.agent.streamPendingTurn({ ...options, onApproval: async () => decisions }),
+        });
+    }
+
+    checkDecisions(request, decisions) {
+        const missing = request.commands.filter(({ toolCallId }) => !decisions[toolCallId]);
+        if (missing.length > 0) {
+            throw new ApiError(400, 'MISSING_DECISIONS', `No decision for ${missing.map(({ toolCallId, command }) => `${toolCallId} (${command})`).join(', ')}`);
+        }
+    }
+
+    cancelTurn(id) {
+        const session = this.findSession(id);
+        const turn = this.turns.get(session.id);
+        if (!turn) {
+            throw new ApiError(409, 'NO_RUNNING_TURN', 'This session has no running turn');
+        }
+        turn.controller.abort();
+        return new JsonReply(202, { cancelled: true });
+    }
+
+    // Runs one turn on a session and either streams its events or returns the TurnResult
+    async runTurn(req, res, sessionId, { question, stream, start }) {
+        if (this.turns.has(sessionId)) {
+            throw new ApiError(409, 'SESSION_BUSY', 'This session is already answering a question');
+        }
+
+        const controller = new AbortController();
+        const turn = { controller, approval: null };
+        this.turns.set(sessionId, turn);
+
+        const result = new TurnResult({ question });
+        const onApproval = (request) => new Promise((resolve, reject) => {
+            const settle = () => {
+                clearTimeout(timer);
+                controller.signal.removeEventListener('abort', onAbort);
+                turn.approval = null;
+            };
+            const onAbort = () => {
+                settle();
+                reject(new Error('The turn was cancelled while waiting for approval'));
+            };
+            const timer = setTimeout(() => {
+                settle();
+                resolve(denyAll(request, 'No decision arrived before the approval timeout'));
+            }, this.approvalTimeoutMs);
+
+            turn.approval = {
+                request,
+                resolve: (decisions) => {
+                    settle();
+                    resolve(decisions);
+                },
+            };
+            // A cancelled turn stops waiting; the agent then closes it in the thread
+            controller.signal.addEventListener('abort', onAbort, { once: true });
+        });
+
+        if (stream) {
+            res.writeHead(200, {
+                'Content-Type': 'text/event-stream; charset=utf-8',
+                'Cache-Control': 'no-cache',
+                Connection: 'keep-alive',
+            });
+            // The client going away cancels the turn
+            res.on('close', () => {
+                if (!res.writableFinished) {
+                    controller.abort();
+                }
+            });
+        }
+
+        try {
+            for await (const event of start({ onApproval, signal: controller.signal, sessionId })) {
+                result.record(event);
+                if (stream) {
+                    writeEvent(res, event.type, event.type === 'approval_required' ? { sessionId, ...event.request } : withoutType(event));
+                }
+            }
+        } finally {
+            this.turns.delete(sessionId);
+        }
+
+        if (stream) {
+            writeEvent(res, 'result', result);
+            res.end();
+            return null;
+        }
+        return result;
+    }
+}
+
+function wantsEventStream(req) {
+    return (req.headers.accept || '').includes('text/event-stream');
+}
+
+function withoutType({ type, ...rest }) {
+    return rest;
+}
+
+function writeEvent(res, event, data) {
+    if (!res.writableEnded) {
+        res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+    }
+}
@@ -0,0 +1,117 @@
+import fs from 'fs';
+import path from 'path';
+
+const MAX_TITLE_LENGTH = 60;
+
+// SESSIONS_DIR, or data/sessions in the working directory
+export function sessionsDirectory(env = process.env) {
+    return env.SESSIONS_DIR || path.join(process.cwd(), 'data', 'sessions');
+}
+
+export function shortId(sessionId) {
+    return sessionId.slice(0, 8);
+}
+
+function toTitle(text) {
+    const line = String(text).replace(/\s+/g, ' ').trim();
+    return line.length > MAX_TITLE_LENGTH ? `${line.slice(0, MAX_TITLE_LENGTH - 1)}…` : line;
+}
+
+// Metadata for saved conversations (title, timestamps, turn count, token usage and cost) in data/sessions/sessions.json.
+// The messages themselves live in the graph checkpoints, keyed by the same id.
+export class SessionStore {
+    constructor({ directory }) {
+        this.directory = directory;
+        this.filePath = path.join(directory, 'sessions.json');
+        this.sessions = new Map();
+        this.load();
+    }
+
+    load() {
+        if (!fs.existsSync(this.filePath)) {
+            return;
+        }
+        const saved = JSON.parse(fs.readFileSync(this.filePath, 'utf-8'));
+        for (const session of saved.sessions || []) {
+            this.sessions.set(session.id, session);
+        }
+    }
+
+    save() {
+        fs.mkdirSync(this.directory, { recursive: true });
+        const data = JSON.stringify({ sessions: Array.from(this.sessions.values()) }, null, 2);
+        fs.writeFileSync(`${this.filePath}.tmp`, data, 'utf-8');
+        fs.renameSync(`${this.filePath}.tmp`, this.filePath);
+    }
+
+    // Most recently used first
+    list() {
+        return Array.from(this.sessions.values()).sort((a, b) => b.updatedAt.localeCompare(a.updatedAt));
+    }
+
+    get(sessionId) {
+        return this.sessions.get(sessionId) || null;
+    }
+
+    // Accepts a full id or a unique prefix (the short id shown by "sessions")
+    find(idOrPrefix) {
+        const exact = this.get(idOrPrefix);
+        if (exact) {
+            return exact;
+        }
+        const matches = this.list().filter(session => session.id.startsWith(idOrPrefix));
+        if (matches.length > 1) {
+            throw new Error(`"${idOrPrefix}" matches ${matches.length} sessions, use more characters`);
+        }
+        return matches[0] || null;
+    }
+
+    // Saves an empty session up front (the CLI only saves a session once it has a turn)
+    create(sessionId, title = null) {
+        const now = new Date().toISOString();
+        const session = { id: sessionId, title: title ? toTitle(title) : null, createdAt: now, updatedAt: now, turns: 0 };
+        this.sessions.set(sessionId, session);
+        this.save();
+        return session;
+    }
+
+    // Called after every turn; the first question becomes the title until the session is renamed
+    recordTurn(sessionId, question) {
+        const now = new Date().toISOString();
+        const session = this.sessions.get(sessionId) || { id: sessionId, title: null, createdAt: now, turns: 0 };
+        session.title = session.title || toTitle(question);
+        session.turns += 1;
+        session.updatedAt = now;
+        this.sessions.set(sessionId, session);
+        this.save();
+        return session;
+    }
+
+    // Adds the tokens (and estimated cost, null when the model's price is unknown) of one turn
+    recordUsage(sessionId, usage, costUsd = null) {
+        const session = this.sessions.get(sessionId);
+        if (!session) {
+            return null;
+        }
+        const total = session.usage || { inputTokens: 0, outputTokens: 0, totalTokens: 0, modelCalls: 0, costUsd: null };
+        for (const key of ['inputTokens', 'outputTokens', 'totalTokens', 'modelCalls']) {
+            total[key] += usage[key] || 0;
+        }
+        if (costUsd !== null) {
+            total.costUsd = (total.costUsd || 0) + costUsd;
+        }
+        session.usage = total;
+        this.save();
+        return session;
+    }
+
+    rename(sessionId, title) {
+        const session = this.sessions.get(sessionId);
+        if (!session) {
+            throw new Error('The current session has no messages yet, ask something first');
+        }
+        session.title = toTitle(title);
+        this.save();
+        return session;
+    }
+}
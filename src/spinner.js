@@ -0,0 +1,46 @@
+import chalk from 'chalk';
+
+const FRAMES = ['⠋', '⠙', '⠹', '⠸', '⠼', '⠴', '⠦', '⠧', '⠇', '⠏'];
+
+// One-line progress indicator for the CLI. It redraws in place, so it is only
+// animated on a TTY; elsewhere the text is printed once.
+export class Spinner {
+    constructor(stream = process.stdout) {
+        this.stream = stream;
+        this.timer = null;
+        this.text = '';
+        this.frame = 0;
+        this.startedAt = 0;
+    }
+
+    get active() {
+        return this.timer !== null;
+    }
+
+    start(text) {
+        this.stop();
+        this.text = text;
+        this.startedAt = Date.now();
+        if (!this.stream.isTTY) {
+            this.stream.write(`${chalk.gray(text)}\n`);
+            return;
+        }
+        this.render();
+        this.timer = setInterval(() => this.render(), 80);
+    }
+
+    render() {
+        const seconds = ((Date.now() - this.startedAt) / 1000).toFixed(1);
+        this.frame = (this.frame + 1) % FRAMES.length;
+        this.stream.write(`\r\x1b[K${chalk.cyan(FRAMES[this.frame])} ${chalk.gray(`${this.text} ${seconds}s`)}`);
+    }
+
+    stop() {
+        if (!this.timer) {
+            return;
+        }
+        clearInterval(this.timer);
+        this.timer = null;
+        this.stream.write('\r\x1b[K');
+    }
+}
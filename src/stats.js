@@ -0,0 +1,56 @@
+import chalk from 'chalk';
+import { shortId } from './session-store.js';
+import { formatCost } from './pricing.js';
+
+// Token usage and cost per saved session, shown by "stats" in the chat and on the command line
+
+const MAX_TITLE_LENGTH = 32;
+
+export function sessionUsage(session) {
+    return { inputTokens: 0, outputTokens: 0, totalTokens: 0, modelCalls: 0, costUsd: null, ...session.usage };
+}
+
+// The cost stays null until at least one session has a known price
+export function totalUsage(sessions) {
+    const total = { sessions: sessions.length, turns: 0, inputTokens: 0, outputTokens: 0, totalTokens: 0, modelCalls: 0, costUsd: null };
+    for (const session of sessions) {
+        const usage = sessionUsage(session);
+        total.turns += session.turns;
+        for (const key of ['inputTokens', 'outputTokens', 'totalTokens', 'modelCalls']) {
+            total[key] += usage[key];
+        }
+        if (usage.costUsd !== null) {
+            total.costUsd = (total.costUsd || 0) + usage.costUsd;
+        }
+    }
+    return total;
+}
+
+function statsRow(id, title, turns, usage) {
+    return [id, title, String(turns), String(usage.modelCalls), usage.inputTokens.toLocaleString('en-US'), usage.outputTokens.toLocaleString('en-US'), usage.totalTokens.toLocaleString('en-US'), formatCost(usage.costUsd)];
+}
+
+function clip(title) {
+    const text = title || '(untitled)';
+    return text.length > MAX_TITLE_LENGTH ? `${text.slice(0, MAX_TITLE_LENGTH - 1)}…` : text;
+}
+
+// A table with one row per session and the totals
+export function formatStats(sessions) {
+    const total = totalUsage(sessions);
+    const rows = [
+        ['Session', 'Title', 'Turns', 'Model calls', 'Input', 'Output', 'Tokens', 'Cost'],
+        ...sessions.map(session => statsRow(shortId(session.id), clip(session.title), session.turns, sessionUsage(session))),
+        statsRow('total', `${total.sessions} session(s)`, total.turns, total),
+    ];
+    const widths = rows[0].map((_, column) => Math.max(...rows.map(row => row[column].length)));
+    const lines = rows.map(row => row.map((cell, column) => (column < 2 ? cell.padEnd(widths[column]) : cell.padStart(widths[column]))).join('  '));
+    lines.splice(1, 0, widths.map(width => '─'.repeat(width)).join('  '));
+    lines.splice(lines.length - 1, 0, widths.map(width => '─'.repeat(width)).join('  '));
+
+    const unpriced = sessions.some(session => sessionUsage(session).totalTokens > 0 && sessionUsage(session).costUsd === null);
+    return [
+        ...lines,
+        ...(unpriced ? ['', chalk.gray('— the model\'s price is unknown; set model.pricing in agent.config to estimate the cost.')] : []),
+    ].join('\n');
+}
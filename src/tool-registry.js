@@ -0,0 +1,173 @@
+import fs from 'fs';
+import path from 'path';
+import { pathToFileURL } from 'url';
+import { z } from 'zod';
+import chalk from 'chalk';
+import { logger } from './logger.js';
+import { ConfigError, formatIssues } from './config.js';
+import { DatabaseTool } from './tools/database-tool.js';
+import { FileTool } from './tools/file-tool.js';
+import { TerminalTool } from './tools/terminal-tool.js';
+import { WeatherTool } from './tools/weather-tool.js';
+import { ExchangeRateTool } from './tools/exchange-rate-tool.js';
+import { IpInfoTool } from './tools/ip-info-tool.js';
+import { NewsTool } from './tools/news-tool.js';
+
+const log = logger.child({ component: 'tool_registry' });
+
+// A tool definition tells the registry how to build one tool from its agent.config options:
+//   id                the key under "tools" in agent.config
+//   label             name used in startup logs (defaults to the id)
+//   options           zod schema for the options (unknown options are rejected when it is strict)
+//   paths             option names holding paths, resolved against the config file's directory
+//   enabledByDefault  whether the tool loads when agent.config does not mention it (default true)
+//   create(options)   returns the LangChain tool, or a promise of it
+// Plugins are .js/.mjs files whose default export is such a definition.
+const definitionSchema = z.object({
+    id: z.string().regex(/^[a-z][a-z0-9_-]*$/i, 'Use letters, digits, "_" and "-"'),
+    label: z.string().min(1).optional(),
+    options: z.custom(value => typeof value?.safeParse === 'function', 'Must be a zod schema').optional(),
+    paths: z.array(z.string()).optional(),
+    enabledByDefault: z.boolean().optional(),
+    create: z.custom(value => typeof value === 'function', 'Must be a function'),
+});
+
+const pathOption = z.string().min(1);
+const baseUrlOption = z.object({ baseUrl: z.string().url() }).partial().strict();
+
+export const BUILTIN_TOOLS = [
+    {
+        id: 'database',
+        options: z.object({
+            dataPath: pathOption,
+            exportPath: pathOption,
+            defaultDatabase: z.string().min(1),
+            displayRows: z.number().int().positive(),
+            exportMaxRows: z.number().int().positive(),
+            maxRepairAttempts: z.number().int().min(0),
+        }).partial().strict(),
+        paths: ['dataPath', 'exportPath'],
+        create: (options) => new DatabaseTool(options),
+    },
+    {
+        id: 'file',
+        options: z.object({
+            dataPath: pathOption,
+            indexCachePath: pathOption,
+            hybridWeight: z.number().min(0).max(1),
+        }).partial().strict(),
+        paths: ['dataPath', 'indexCachePath'],
+        create: (options) => new FileTool(options),
+    },
+    {
+        id: 'terminal',
+        options: z.object({
+            policyPath: pathOption,
+            outputPath: pathOption,
+            outputMaxTokens: z.number().int().positive(),
+        }).partial().strict(),
+        paths: ['policyPath', 'outputPath'],
+        create: (options) => new TerminalTool(options),
+    },
+    { id: 'weather', options: baseUrlOption, create: (options) => new WeatherTool(options) },
+    { id: 'exchange_rate', label: 'exchange rate', options: baseUrlOption, create: (options) => new ExchangeRateTool(options) },
+    { id: 'ip_info', label: 'IP info', options: baseUrlOption, create: (options) => new IpInfoTool(options) },
+    { id: 'news', options: baseUrlOption, create: (options) => new NewsTool(options) },
+];
+
+export class ToolRegistry {
+    constructor(definitions = BUILTIN_TOOLS) {
+        this.definitions = new Map();
+        for (const definition of definitions) {
+            this.register(definition);
+        }
+    }
+
+    get ids() {
+        return Array.from(this.definitions.keys());
+    }
+
+    register(definition) {
+        const parsed = definitionSchema.safeParse(definition);
+        if (!parsed.success) {
+            throw new Error(`Invalid tool definition: ${formatIssues(parsed.error).join('; ')}`);
+        }
+        if (this.definitions.has(definition.id)) {
+            throw new Error(`A tool with id "${definition.id}" is already registered`);
+        }
+        this.definitions.set(definition.id, definition);
+        return this;
+    }
+
+    // Registers the default export of every .js/.mjs file in `directory`, in file name order.
+    // A plugin that fails to load is reported and skipped. Returns { loaded: [ids], failed: [{ file, error }] }.
+    async loadPlugins(directory) {
+        const report = { loaded: [], failed: [] };
+        if (!fs.existsSync(directory)) {
+            return report;
+        }
+
+        const files = fs.readdirSync(directory).filter(file => /\.m?js$/.test(file)).sort();
+        for (const file of files) {
+            try {
+                const module = await import(pathToFileURL(path.join(directory, file)).href);
+                if (!module.default) {
+                    throw new Error('It has no default export');
+                }
+                this.register(module.default);
+                report.loaded.push(module.default.id);
+                log.debug(chalk.gray(`    🔌 Plugin ${file} registered tool "${module.default.id}"`));
+            } catch (error) {
+                report.failed.push({ file, error: error.message });
+                log.warn(chalk.yellow(`  ⚠️  Plugin ${file} was not loaded: ${error.message}`));
+            }
+        }
+        return report;
+    }
+
+    // Checks the "tools" section of agent.config against the registered tools and returns the
+    // enabled ones as [{ id, name, create }], where create() builds the tool. Invalid options
+    // or unknown tool ids throw a ConfigError listing every problem.
+    resolveTools(toolsConfig = {}, { baseDirectory = process.cwd() } = {}) {
+        const issues = Object.keys(toolsConfig)
+            .filter(id => !this.definitions.has(id))
+            .map(id => `tools.${id}: Unknown tool, expected one of ${this.ids.join(', ')}`);
+
+        const selected = [];
+        for (const definition of this.definitions.values()) {
+            const { enabled = definition.enabledByDefault ?? true, ...options } = toolsConfig[definition.id] || {};
+            if (!enabled) {
+                continue;
+            }
+
+            const parsed = (definition.options || z.object({}).passthrough()).safeParse(options);
+            if (!parsed.success) {
+                issues.push(...formatIssues(parsed.error, ['tools', definition.id]));
+                continue;
+            }
+            const resolved = { ...parsed.data };
+            for (const key of definition.paths || []) {
+                if (typeof resolved[key] === 'string') {
+                    resolved[key] = path.resolve(baseDirectory, resolved[key]);
+                }
+            }
+
+            selected.push({
+                id: definition.id,
+                name: definition.label || definition.id,
+                create: async () => {
+                    const tool = await definition.create(resolved);
+                    if (typeof tool?.invoke !== 'function' || !tool.name) {
+                        throw new Error(`create() of "${definition.id}" did not return a LangChain tool`);
+                    }
+                    return tool;
+                },
+            });
+        }
+
+        if (issues.length > 0) {
+            throw new ConfigError('agent.config has invalid tool settings:', { issues });
+        }
+        return selected;
+    }
+}
@@ -0,0 +1,109 @@
+// Shrinks command output before it reaches the model: HTML becomes text, JSON is
+// pretty-printed with long arrays and strings pruned, and whatever is still over
+// the token budget is cut with an explicit marker. The full output goes to a file.
+import fs from 'fs';
+import path from 'path';
+import { htmlToText } from './html-text.js';
+import { safeFileName } from './result-renderers.js';
+
+export const DEFAULT_OUTPUT_OPTIONS = {
+    maxTokens: 2000,
+    maxArrayItems: 10,
+    maxStringLength: 500,
+    maxDepth: 6,
+};
+
+const EXTENSIONS = { json: 'json', html: 'html', text: 'txt' };
+
+// Rough count for budgeting; about 4 characters per token for English text and JSON
+export function estimateTokens(text) {
+    return Math.ceil(text.length / 4);
+}
+
+export function detectContentType(output) {
+    const trimmed = output.trim();
+    if (/^[[{]/.test(trimmed)) {
+        try {
+            JSON.parse(trimmed);
+            return 'json';
+        } catch {
+            // Falls through: looks like JSON but is not
+        }
+    }
+    if (/^(<!doctype html|<html\b)/i.test(trimmed) || /<(head|body|div|p|table|script)\b[^>]*>/i.test(trimmed.slice(0, 5000))) {
+        return 'html';
+    }
+    return 'text';
+}
+
+export function pruneJson(value, options = {}, depth = 0) {
+    const { maxArrayItems, maxStringLength, maxDepth } = { ...DEFAULT_OUTPUT_OPTIONS, ...options };
+
+    if (typeof value === 'string') {
+        return value.length > maxStringLength
+            ? `${value.slice(0, maxStringLength)}… [${value.length - maxStringLength} more chars]`
+            : value;
+    }
+    if (value === null || typeof value !== 'object') {
+        return value;
+    }
+    if (depth >= maxDepth) {
+        return Array.isArray(value) ? `[array with ${value.length} items]` : `{object with ${Object.keys(value).length} keys}`;
+    }
+    if (Array.isArray(value)) {
+        const items = value.slice(0, maxArrayItems).map(item => pruneJson(item, options, depth + 1));
+        if (value.length > maxArrayItems) {
+            items.push(`… ${value.length - maxArrayItems} more items`);
+        }
+        return items;
+    }
+    return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, pruneJson(item, options, depth + 1)]));
+}
+
+// Keeps the start and the end of the text (errors and totals are often at the end)
+export function truncateToBudget(text, maxTokens) {
+    if (estimateTokens(text) <= maxTokens) {
+        return { text, truncatedBytes: 0 };
+    }
+
+    const budget = maxTokens * 4;
+    const headLength = Math.floor(budget * 0.8);
+    const tailLength = budget - headLength;
+    const head = text.slice(0, headLength);
+    const tail = text.slice(text.length - tailLength);
+    const truncatedBytes = Buffer.byteLength(text.slice(headLength, text.length - tailLength), 'utf-8');
+
+    return {
+        text: `${head}\n\n[… truncated ${truncatedBytes} bytes …]\n\n${tail}`,
+        truncatedBytes,
+    };
+}
+
+// Returns { text, contentType, originalBytes, truncatedBytes } where text fits in maxTokens
+export function formatOutputForModel(output, options = {}) {
+    const settings = { ...DEFAULT_OUTPUT_OPTIONS, ...options };
+    const contentType = detectContentType(output);
+
+    let text = output.trim();
+    if (contentType === 'json') {
+        text = JSON.stringify(pruneJson(JSON.parse(text), settings), null, 2);
+    } else if (contentType === 'html') {
+        text = htmlToText(text);
+    }
+
+    const { text: budgeted, truncatedBytes } = truncateToBudget(text, settings.maxTokens);
+    return {
+        text: budgeted,
+        contentType,
+        originalBytes: Buffer.byteLength(output, 'utf-8'),
+        truncatedBytes,
+    };
+}
+
+export function saveFullOutput(output, { outputDir, command, contentType }) {
+    fs.mkdirSync(outputDir, { recursive: true });
+    const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
+    const filePath = path.join(outputDir, `${safeFileName(command.split(/\s+/)[0])}-${timestamp}.${EXTENSIONS[contentType] || 'txt'}`);
+    fs.writeFileSync(filePath, output, 'utf-8');
+    return filePath;
+}
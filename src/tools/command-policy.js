@@ -0,0 +1,324 @@
+// Parses LLM-generated commands into argv without a shell and checks them against
+// a declarative policy (config/command-policy.json): allowed binaries, argument
+// patterns, network hosts, environment and working directory.
+import fs from 'fs';
+import path from 'path';
+import { z } from 'zod';
+
+export const DEFAULT_POLICY_PATH = 'config/command-policy.json';
+
+const binaryRuleSchema = z.object({
+    description: z.string().optional(),
+    // Regexes every option (argument starting with "-") must match one of
+    options: z.array(z.string()).default([]),
+    // Options whose next argument is their value, e.g. "-H" for curl headers
+    optionsWithValue: z.array(z.string()).default([]),
+    // Regexes the values of some of those options must match, e.g. { "-H": "^Accept: ..." }
+    optionValues: z.record(z.string()).default({}),
+    // What non-option arguments may be: "none", "any", "url" (host must be allowed),
+    // "path" (must stay inside the working directory) or a regex
+    positional: z.string().default('none'),
+    maxPositional: z.number().int().nonnegative().optional(),
+}).strict();
+
+const policySchema = z.object({
+    version: z.literal(1),
+    workingDirectory: z.string().default('.'),
+    timeoutMs: z.number().int().positive().default(30000),
+    maxOutputBytes: z.number().int().positive().default(1024 * 1024),
+    allowPipes: z.boolean().default(false),
+    allowedHosts: z.array(z.string()).default([]),
+    env: z.object({
+        inherit: z.array(z.string()).default(['PATH']),
+        set: z.record(z.string()).default({}),
+    }).strict().default({}),
+    binaries: z.record(binaryRuleSchema),
+}).strict();
+
+class CommandParseError extends Error {}
+
+// "`", "$(", "${" or "$NAME" when text starts a substitution or expansion, otherwise null
+function substitutionAt(text) {
+    const match = /^(`|\$\(|\$\{|\$[A-Za-z_][A-Za-z0-9_]*)/.exec(text);
+    return match ? match[0] : null;
+}
+
+function reject(code, reason, hint) {
+    return { ok: false, code, reason, hint };
+}
+
+// Loads and validates the policy; relative paths resolve against the project root
+export function loadCommandPolicy(policyPath = DEFAULT_POLICY_PATH, { root = process.cwd() } = {}) {
+    const fullPath = path.resolve(root, policyPath);
+    const parsed = policySchema.safeParse(JSON.parse(fs.readFileSync(fullPath, 'utf-8')));
+    if (!parsed.success) {
+        const problems = parsed.error.issues.map(issue => `${issue.path.join('.') || '(root)'}: ${issue.message}`);
+        throw new Error(`Invalid command policy ${policyPath}: ${problems.join('; ')}`);
+    }
+
+    const policy = parsed.data;
+    for (const [binary, rule] of Object.entries(policy.binaries)) {
+        try {
+            rule.optionPatterns = rule.options.map(pattern => new RegExp(pattern));
+            rule.optionValuePatterns = Object.fromEntries(Object.entries(rule.optionValues).map(([option, pattern]) => [option, new RegExp(pattern)]));
+            rule.positionalPattern = ['none', 'any', 'url', 'path'].includes(rule.positional) ? null : new RegExp(rule.positional);
+        } catch (error) {
+            throw new Error(`Invalid command policy ${policyPath}: binaries.${binary}: ${error.message}`);
+        }
+    }
+    policy.workingDirectory = path.resolve(root, policy.workingDirectory);
+    return policy;
+}
+
+// Splits a command line the way a POSIX shell would for quoting and escapes, but
+// returns shell operators as separate tokens instead of interpreting them.
+export function tokenizeCommand(command) {
+    const tokens = [];
+    let word = null;
+    let i = 0;
+
+    const append = (text) => {
+        word = (word ?? '') + text;
+    };
+    const endWord = () => {
+        if (word !== null) {
+            tokens.push({ type: 'word', value: word });
+            word = null;
+        }
+    };
+
+    while (i < command.length) {
+        const char = command[i];
+
+        if (char === "'") {
+            const end = command.indexOf("'", i + 1);
+            if (end === -1) {
+                throw new CommandParseError(`Unterminated single quote starting at position ${i}`);
+            }
+            append(command.slice(i + 1, end));
+            i = end + 1;
+        } else if (char === '"') {
+            let j = i + 1;
+            let text = '';
+            while (j < command.length && command[j] !== '"') {
+                if (command[j] === '\\' && ['"', '\\', '$', '`'].includes(command[j + 1])) {
+                    text += command[j + 1];
+                    j += 2;
+                    continue;
+                }
+                // Substitution also happens inside double quotes in a shell
+                const substitution = substitutionAt(command.slice(j));
+                if (substitution) {
+                    tokens.push({ type: 'substitution', value: substitution });
+                }
+                text += command[j];
+                j++;
+            }
+            if (j >= command.length) {
+                throw new CommandParseError(`Unterminated double quote starting at position ${i}`);
+            }
+            append(text);
+            i = j + 1;
+        } else if (char === '\\') {
+            if (i + 1 < command.length && command[i + 1] !== '\n') {
+                append(command[i + 1]);
+            }
+            i += 2;
+        } else if (char === '\n' || char === ';') {
+            endWord();
+            tokens.push({ type: 'operator', value: char === '\n' ? 'newline' : ';' });
+            i++;
+        } else if (/\s/.test(char)) {
+            endWord();
+            i++;
+        } else if (substitutionAt(command.slice(i))) {
+            tokens.push({ type: 'substitution', value: substitutionAt(command.slice(i)) });
+            append(char);
+            i++;
+        } else if ('|&<>'.includes(char)) {
+            endWord();
+            const operator = /^(\|\||&&|>>|<<|&>|>&|[|&<>])/.exec(command.slice(i))[0];
+            tokens.push({ type: 'operator', value: operator });
+            i += operator.length;
+        } else {
+            append(char);
+            i++;
+        }
+    }
+    endWord();
+
+    return tokens;
+}
+
+// Returns { ok: true, pipeline: [argv, ...] } or { ok: false, code, reason, hint }
+export function parseCommand(command, { allowPipes = false } = {}) {
+    if (typeof command !== 'string' || command.trim() === '') {
+        return reject('EMPTY_COMMAND', 'The command is empty.', 'Provide a single command such as: curl -s wttr.in/London?format=3');
+    }
+
+    let tokens;
+    try {
+        tokens = tokenizeCommand(command);
+    } catch (error) {
+        if (error instanceof CommandParseError) {
+            return reject('SYNTAX_ERROR', error.message, 'Close every quote.');
+        }
+        throw error;
+    }
+
+    const substitution = tokens.find(token => token.type === 'substitution');
+    if (substitution) {
+        return reject('SUBSTITUTION_NOT_ALLOWED', `Found "${substitution.value}": command substitution and variable expansion are not supported.`,
+            'Commands run without a shell. Write the literal values into the command.');
+    }
+
+    const pipeline = [[]];
+    for (const token of tokens) {
+        if (token.type === 'word') {
+            pipeline[pipeline.length - 1].push(token.value);
+        } else if (token.value === '|' && allowPipes) {
+            pipeline.push([]);
+        } else if (token.value === '|') {
+            return reject('PIPE_NOT_ALLOWED', 'Pipes are disabled by the command policy.',
+                'Run a single command; the raw output is returned to you to filter.');
+        } else {
+            return reject('OPERATOR_NOT_ALLOWED', `The shell operator "${token.value}" is not allowed.`,
+                'Commands run without a shell, so redirects, background jobs and chaining (;, &&, ||) are not available. Run one command per call.');
+        }
+    }
+
+    if (pipeline.some(argv => argv.length === 0)) {
+        return reject('SYNTAX_ERROR', 'A pipe is missing a command on one side.', 'Write e.g. "curl -s example.com | head -n 5".');
+    }
+    return { ok: true, pipeline };
+}
+
+function hostAllowed(host, allowedHosts) {
+    const name = host.toLowerCase();
+    return allowedHosts.some(allowed => name === allowed.toLowerCase() || name.endsWith(`.${allowed.toLowerCase()}`));
+}
+
+function checkUrl(value, policy) {
+    // curl expands {a,b} and [1-3] into several URLs
+    if (/[{}[\]]/.test(value)) {
+        return reject('ARGUMENT_NOT_ALLOWED', `URL globbing is not allowed: ${value}`, 'Request one URL per command.');
+    }
+
+    // URL() reads "\" as "/" but curl does not, so "http://allowed\@other/" would reach the other host
+    if (/[\\@]/.test(value)) {
+        return reject('ARGUMENT_NOT_ALLOWED', `URLs with "\\" or "@" are not allowed: ${value}`, 'Remove any user:password@ part and use "/" in paths.');
+    }
+
+    let url;
+    try {
+        url = new URL(/^[a-z][a-z0-9+.-]*:\/\//i.test(value) ? value : `http://${value}`);
+    } catch {
+        return reject('ARGUMENT_NOT_ALLOWED', `"${value}" is not a valid URL.`, 'Pass a full URL such as https://wttr.in/London?format=3');
+    }
+    if (!['http:', 'https:'].includes(url.protocol)) {
+        return reject('ARGUMENT_NOT_ALLOWED', `The ${url.protocol} protocol is not allowed.`, 'Use http:// or https:// URLs.');
+    }
+    if (url.username || url.password) {
+        return reject('ARGUMENT_NOT_ALLOWED', 'URLs with credentials are not allowed.', 'Remove the user:password@ part.');
+    }
+    if (!hostAllowed(url.hostname, policy.allowedHosts)) {
+        return reject('HOST_NOT_ALLOWED', `${url.hostname} is not on the list of allowed hosts.`,
+            `Allowed hosts: ${policy.allowedHosts.join(', ')}.`);
+    }
+    return null;
+}
+
+function checkPositional(binary, value, rule, policy) {
+    switch (rule.positional) {
+        case 'any':
+            return null;
+        case 'url':
+            return checkUrl(value, policy);
+        case 'path': {
+            const resolved = path.resolve(policy.workingDirectory, value);
+            const relative = path.relative(policy.workingDirectory, resolved);
+            if (relative.startsWith('..') || path.isAbsolute(relative)) {
+                return reject('PATH_NOT_ALLOWED', `${value} is outside the working directory.`,
+                    `${binary} may only read files under ${policy.workingDirectory}.`);
+            }
+            return null;
+        }
+        case 'none':
+            return reject('ARGUMENT_NOT_ALLOWED', `${binary} does not accept arguments other than options, got "${value}".`,
+                `Run ${binary} without extra arguments.`);
+        default:
+            return rule.positionalPattern.test(value)
+                ? null
+                : reject('ARGUMENT_NOT_ALLOWED', `The argument "${value}" is not allowed for ${binary}.`,
+                    `Arguments must match ${rule.positional}.`);
+    }
+}
+
+function checkArgv([binary, ...args], policy) {
+    const rule = Object.hasOwn(policy.binaries, binary) ? policy.binaries[binary] : null;
+    if (!rule) {
+        const reason = binary.includes('/')
+            ? 'Binaries must be given by name, not by path.'
+            : `${binary} is not an allowed command.`;
+        return reject('BINARY_NOT_ALLOWED', reason, `Allowed commands: ${Object.keys(policy.binaries).join(', ')}.`);
+    }
+
+    let positionalCount = 0;
+    for (let i = 0; i < args.length; i++) {
+        const arg = args[i];
+
+        if (arg.startsWith('-') && arg !== '-') {
+            if (!rule.optionPatterns.some(pattern => pattern.test(arg))) {
+                return reject('ARGUMENT_NOT_ALLOWED', `The option ${arg} is not allowed for ${binary}.`,
+                    `Allowed options match: ${rule.options.join(', ') || '(none)'}.`);
+            }
+            if (rule.optionsWithValue.includes(arg)) {
+                i++;
+                const valuePattern = rule.optionValuePatterns[arg];
+                if (valuePattern && !valuePattern.test(args[i] ?? '')) {
+                    return reject('ARGUMENT_NOT_ALLOWED', `The value "${args[i] ?? ''}" is not allowed for ${binary} ${arg}.`,
+                        `Values of ${arg} must match ${rule.optionValues[arg]}.`);
+                }
+            }
+            continue;
+        }
+
+        positionalCount++;
+        const problem = checkPositional(binary, arg, rule, policy);
+        if (problem) {
+            return problem;
+        }
+    }
+
+    if (rule.maxPositional !== undefined && positionalCount > rule.maxPositional) {
+        return reject('ARGUMENT_NOT_ALLOWED', `${binary} accepts at most ${rule.maxPositional} argument(s), got ${positionalCount}.`,
+            'Split the work into separate commands.');
+    }
+    return null;
+}
+
+// Parses the command and checks every stage of the pipeline against the policy
+export function checkCommand(command, policy) {
+    const parsed = parseCommand(command, { allowPipes: policy.allowPipes });
+    if (!parsed.ok) {
+        return parsed;
+    }
+    for (const argv of parsed.pipeline) {
+        const problem = checkArgv(argv, policy);
+        if (problem) {
+            return problem;
+        }
+    }
+    return parsed;
+}
+
+// Only the variables listed in the policy reach the child process
+export function buildCommandEnv(policy, env = process.env) {
+    const scrubbed = {};
+    for (const name of policy.env.inherit) {
+        if (env[name] !== undefined) {
+            scrubbed[name] = env[name];
+        }
+    }
+    return { ...scrubbed, ...policy.env.set };
+}
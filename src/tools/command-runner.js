@@ -0,0 +1,105 @@
+// Runs a parsed pipeline with spawn() and no shell: each stage's stdout feeds the
+// next stage's stdin, output is capped and the whole pipeline shares one time limit.
+import { spawn } from 'child_process';
+import { StringDecoder } from 'string_decoder';
+
+export function runPipeline(pipeline, { cwd, env, timeoutMs = 30000, maxOutputBytes = 1024 * 1024 }) {
+    return new Promise((resolve, reject) => {
+        const children = [];
+        // Decoders keep a multi-byte character that is split across chunks together
+        const stdoutDecoder = new StringDecoder('utf8');
+        const stderrDecoder = new StringDecoder('utf8');
+        let stdout = '';
+        let stderr = '';
+        let outputBytes = 0;
+        let truncated = false;
+        let timedOut = false;
+        let finished = 0;
+        let exitCode = 0;
+        let failed = false;
+
+        const stopAll = () => {
+            for (const child of children) {
+                if (child.exitCode === null && !child.killed) {
+                    child.kill('SIGKILL');
+                }
+            }
+        };
+
+        const timer = setTimeout(() => {
+            timedOut = true;
+            stopAll();
+        }, timeoutMs);
+
+        const finish = () => {
+            clearTimeout(timer);
+            if (timedOut) {
+                const error = new Error(`Command timed out after ${timeoutMs} ms`);
+                error.code = 'COMMAND_TIMEOUT';
+                reject(error);
+                return;
+            }
+            stdout += stdoutDecoder.end();
+            stderr += stderrDecoder.end();
+            resolve({ stdout, stderr, exitCode, truncated });
+        };
+
+        pipeline.forEach(([binary, ...args], index) => {
+            const isLast = index === pipeline.length - 1;
+            const child = spawn(binary, args, {
+                cwd,
+                env,
+                shell: false,
+                windowsHide: true,
+                stdio: [index === 0 ? 'ignore' : 'pipe', 'pipe', 'pipe'],
+            });
+            children.push(child);
+
+            if (index > 0) {
+                const previous = children[index - 1];
+                previous.stdout.pipe(child.stdin);
+                // The next stage may exit early (e.g. head), which is not an error
+                child.stdin.on('error', () => {});
+            }
+
+            if (isLast) {
+                child.stdout.on('data', (chunk) => {
+                    if (outputBytes >= maxOutputBytes) {
+                        truncated = true;
+                        return;
+                    }
+                    outputBytes += chunk.length;
+                    stdout += stdoutDecoder.write(chunk);
+                    if (outputBytes >= maxOutputBytes) {
+                        truncated = true;
+                        stopAll();
+                    }
+                });
+            }
+            child.stderr.on('data', (chunk) => {
+                if (stderr.length < 64 * 1024) {
+                    stderr += stderrDecoder.write(chunk);
+                }
+            });
+
+            child.on('error', (error) => {
+                if (failed) {
+                    return;
+                }
+                failed = true;
+                clearTimeout(timer);
+                stopAll();
+                reject(error.code === 'ENOENT' ? new Error(`${binary} is not installed or not on PATH`) : error);
+            });
+            child.on('close', (code) => {
+                if (isLast && code !== null) {
+                    exitCode = code;
+                }
+                finished++;
+                if (finished === pipeline.length && !failed) {
+                    finish();
+                }
+            });
+        });
+    });
+}
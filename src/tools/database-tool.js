@@ -5,56 +5,112 @@ import { promisify } from 'util';
 import path from 'path';
 import fs from 'fs';
 import chalk from 'chalk';
+import { logger } from '../logger.js';
+import { introspectDatabase, formatSchemaForPrompt, formatTableSummary } from './schema-introspector.js';
+import { validateReadOnlyQuery } from './sql-validator.js';
+import { analyzeQueryPlan, readGuardOptions, streamRows, uniqueColumnsQuery, probeColumns } from './query-guard.js';
+import { findReferencedTables } from './sql-repair.js';
+import { toQueryResult, renderMarkdownTable, exportResult, EXPORT_FORMATS } from './result-renderers.js';
 
-export class DatabaseTool extends DynamicStructuredTool {
-    constructor() {
-        super({
-            name: 'database_query',
-            description: `You are an expert SQL assistant for a music database.
+const log = logger.child({ component: 'database' });
+
+const QUERY_GUIDELINES = `You are an expert SQL assistant for the loaded SQLite databases.
 - ALWAYS generate syntactically correct SQLite queries.
-- Only SELECT queries are allowed (NO INSERT, UPDATE, DELETE, DROP).
+- Only a single SELECT (or WITH ... SELECT) statement is allowed per call. Databases are opened read-only.
 - Use explicit SELECT columns instead of SELECT *.
 - Use table aliases (e.g., ar, a, t) for clarity in JOINs.
 - When filtering text, prefer "LIKE '%term%'" instead of "=" for robustness.
 - Return aggregated values using COUNT, SUM, AVG, etc., if the user asks for totals, averages, or counts.
 - Use LIMIT 10 for large result sets unless the user explicitly asks for all.
-- The database schema is:
-
-Artist(ArtistId, Name)
-Album(AlbumId, Title, ArtistId)
-Track(TrackId, Name, AlbumId, MediaTypeId, GenreId, Composer, Milliseconds, Bytes, UnitPrice)
-Genre(GenreId, Name)
-MediaType(MediaTypeId, Name)
-Playlist(PlaylistId, Name)
-PlaylistTrack(PlaylistId, TrackId)
-Invoice(InvoiceId, CustomerId, InvoiceDate, BillingAddress, BillingCity, BillingState, BillingCountry, BillingPostalCode, Total)
-InvoiceLine(InvoiceLineId, InvoiceId, TrackId, UnitPrice, Quantity)
-Customer(CustomerId, FirstName, LastName, Company, Address, City, State, Country, PostalCode, Phone, Fax, Email, SupportRepId)
-Employee(EmployeeId, LastName, FirstName, Title, ReportsTo, BirthDate, HireDate, Address, City, State, Country, PostalCode, Phone, Fax, Email)
-
-Examples:
-Q: "What are the Beatles' albums?"
-SQL: SELECT a.Title FROM Artist ar JOIN Album a ON ar.ArtistId = a.ArtistId WHERE ar.Name LIKE '%Beatles%';
-
-Q: "How many tracks are in the database?"
-SQL: SELECT COUNT(*) as count FROM Track;
-
-Q: "List customers from Brazil"
-SQL: SELECT FirstName, LastName, Email FROM Customer WHERE Country = 'Brazil';
-
-Q: "Top 5 longest tracks"
-SQL: SELECT Name, Milliseconds FROM Track ORDER BY Milliseconds DESC LIMIT 5;
-            `,
+- Several databases may be loaded. Use action "list_databases" to see them, pass "database" to pick
+  the one to query, and pass "attach" to join across databases (reference attached tables as <name>.<Table>).
+- Only use tables and columns listed in the schema below. Sample values show how data is spelled.`;
+
+const QUERY_EXAMPLES = `Examples:
+Q: "How many rows are in <Table>?"
+SQL: SELECT COUNT(*) as count FROM <Table>;
+
+Q: "List <Table> entries whose <Column> mentions <term>"
+SQL: SELECT <Column>, <OtherColumn> FROM <Table> WHERE <Column> LIKE '%<term>%' LIMIT 10;
+
+Q: "Top 5 <Table> entries by <NumericColumn>"
+SQL: SELECT <Column>, <NumericColumn> FROM <Table> ORDER BY <NumericColumn> DESC LIMIT 5;`;
+
+function buildDescription(schemaText = 'The schema is loaded when the tool initializes.') {
+    return `${QUERY_GUIDELINES}
+
+${schemaText}
+
+${QUERY_EXAMPLES}`;
+}
+
+function openReadOnly(dbPath) {
+    return new Promise((resolve, reject) => {
+        const db = new sqlite3.Database(dbPath, sqlite3.OPEN_READONLY, (error) => {
+            if (error) {
+                reject(error);
+                return;
+            }
+
+            // Promisify for async/await usage
+            db.allAsync = promisify(db.all.bind(db));
+            db.getAsync = promisify(db.get.bind(db));
+            db.runAsync = promisify(db.run.bind(db));
+            db.closeAsync = promisify(db.close.bind(db));
+            resolve(db);
+        });
+    });
+}
+
+export class DatabaseTool extends DynamicStructuredTool {
+    // Options come from agent.config (see src/tool-registry.js); unset ones fall back to the environment
+    constructor({ dataPath, exportPath, defaultDatabase, displayRows, exportMaxRows, maxRepairAttempts } = {}) {
+        super({
+            name: 'database_query',
+            description: buildDescription(),
+            responseFormat: 'content_and_artifact',
             schema: z.object({
-                sqlQuery: z.string().describe("The complete and valid SQLite SQL query to execute."),
+                action: z.enum(['query', 'list_databases']).default('query')
+                    .describe('"query" runs sqlQuery, "list_databases" lists the databases that can be queried.'),
+                sqlQuery: z.string().optional().describe("The complete and valid SQLite SQL query to execute."),
+                database: z.string().optional()
+                    .describe('Name of the database to query (file name without .db). Defaults to the primary database.'),
+                attach: z.array(z.string()).optional()
+                    .describe('Other databases to ATTACH for a cross-database query. Their tables are referenced as <name>.<Table>.'),
+                question: z.string().optional()
+                    .describe("The user's question this query answers. Used to repair the query automatically if it fails."),
+                exportFormat: z.enum(EXPORT_FORMATS).optional()
+                    .describe('Set when the user asks to export or save results: writes the full result set to a CSV or JSON file.'),
+                exportName: z.string().optional()
+                    .describe('Short file name for the export, e.g. "customers-brazil".'),
             }),
-            func: async ({ sqlQuery }) => {
-                return await this.executeQuery(sqlQuery);
+            // Content is the Markdown rendering for the LLM, the artifact is the structured result
+            func: async ({ action, sqlQuery, database, attach, question, exportFormat, exportName }) => {
+                if (action === 'list_databases') {
+                    return [this.listDatabases(), { databases: Array.from(this.databases.keys()), defaultDatabase: this.defaultDatabase }];
+                }
+                if (!sqlQuery) {
+                    return ['Missing sqlQuery. Provide a SELECT query, or use action "list_databases".', null];
+                }
+                const { text, result } = await this.executeQuery(sqlQuery, { database, attach, question, exportFormat, exportName });
+                return [text, result];
             },
         });
         
         this.databases = new Map();
-        this.dataPath = path.join(process.cwd(), 'data', 'sqlite');
+        this.databasePaths = new Map();
+        this.schemas = new Map();
+        this.databaseSignatures = new Map(); // Database name -> mtime and size when it was opened
+        this.defaultDatabase = null;
+        this.preferredDatabase = defaultDatabase ?? process.env.DEFAULT_DATABASE;
+        this.guardOptions = readGuardOptions();
+        this.queryRepairer = null;
+        this.maxRepairAttempts = maxRepairAttempts ?? Number.parseInt(process.env.SQL_MAX_REPAIR_ATTEMPTS || '2', 10);
+        this.lastAttempts = [];
+        this.displayRows = displayRows ?? Number.parseInt(process.env.SQL_DISPLAY_ROWS || '10', 10);
+        this.exportMaxRows = exportMaxRows ?? Number.parseInt(process.env.SQL_EXPORT_MAX_ROWS || '100000', 10);
+        this.dataPath = dataPath || path.join(process.cwd(), 'data', 'sqlite');
+        this.exportPath = exportPath || path.join(process.cwd(), 'data', 'exports');
     }
 
     async initialize() {
@@ -62,101 +118,415 @@ SQL: SELECT Name, Milliseconds FROM Track ORDER BY Milliseconds DESC LIMIT 5;
             throw new Error(`SQLite data directory not found: ${this.dataPath}`);
         }
 
-        const dbFiles = fs.readdirSync(this.dataPath).filter(file => file.endsWith('.db'));
+        const dbFiles = this.listDatabaseFiles();
         
         if (dbFiles.length === 0) {
             throw new Error('No SQLite database files found in data/sqlite directory');
         }
 
         for (const dbFile of dbFiles) {
-            const dbPath = path.join(this.dataPath, dbFile);
-            const dbName = path.basename(dbFile, '.db');
+            await this.attachDatabase(dbFile);
+        }
+
+        if (this.databases.size === 0) {
+            throw new Error('No SQLite databases could be loaded');
+        }
+
+        this.chooseDefaultDatabase();
+        await this.loadSchemas();
+    }
+
+    listDatabaseFiles() {
+        return fs.readdirSync(this.dataPath).filter(file => file.endsWith('.db')).sort();
+    }
+
+    fileSignature(dbPath) {
+        try {
+            const stats = fs.statSync(dbPath);
+            return `${stats.mtimeMs}:${stats.size}`;
+        } catch {
+            return null;
+        }
+    }
+
+    // Opens one .db file and makes it queryable; returns false when it cannot be opened
+    async attachDatabase(dbFile) {
+        const dbPath = path.join(this.dataPath, dbFile);
+        const dbName = path.basename(dbFile, '.db');
+        this.databaseSignatures.set(dbName, this.fileSignature(dbPath));
+
+        try {
+            const db = await openReadOnly(dbPath);
             
+            this.databases.set(dbName, db);
+            this.databasePaths.set(dbName, dbPath);
+            log.debug(chalk.gray(`      📦 Database tool loaded: ${dbName}`));
+            return true;
+        } catch (error) {
+            log.warn(chalk.yellow(`      ⚠️  Failed to load database ${dbFile}: ${error.message}`));
+            return false;
+        }
+    }
+
+    async detachDatabase(dbName) {
+        const db = this.databases.get(dbName);
+        this.databases.delete(dbName);
+        this.databasePaths.delete(dbName);
+        this.schemas.delete(dbName);
+        this.databaseSignatures.delete(dbName);
+        if (db) {
+            await db.closeAsync().catch(() => {});
+        }
+    }
+
+    // defaultDatabase (DEFAULT_DATABASE) picks the primary database when several are loaded
+    chooseDefaultDatabase() {
+        const preferred = this.preferredDatabase;
+        if (preferred && this.databases.has(preferred)) {
+            this.defaultDatabase = preferred;
+        } else if (!this.databases.has(this.defaultDatabase)) {
+            this.defaultDatabase = Array.from(this.databases.keys())[0] ?? null;
+        }
+    }
+
+    // Attaches new .db files, detaches deleted ones and reopens files that changed.
+    // Returns { added, changed, removed, failed } with database names.
+    async reload() {
+        const changes = { added: [], changed: [], removed: [], failed: [] };
+        const dbFiles = fs.existsSync(this.dataPath) ? this.listDatabaseFiles() : [];
+        const present = new Set(dbFiles.map(file => path.basename(file, '.db')));
+
+        for (const dbName of Array.from(this.databaseSignatures.keys())) {
+            if (!present.has(dbName)) {
+                await this.detachDatabase(dbName);
+                changes.removed.push(dbName);
+            }
+        }
+
+        for (const dbFile of dbFiles) {
+            const dbName = path.basename(dbFile, '.db');
+            const previous = this.databaseSignatures.get(dbName);
+            if (previous !== undefined && previous === this.fileSignature(path.join(this.dataPath, dbFile))) {
+                continue;
+            }
+
+            await this.detachDatabase(dbName);
+            const attached = await this.attachDatabase(dbFile);
+            (previous === undefined ? changes.added : changes.changed).push(dbName);
+            if (!attached) {
+                changes.failed.push(dbName);
+            }
+        }
+
+        if (changes.added.length + changes.changed.length + changes.removed.length > 0) {
+            this.chooseDefaultDatabase();
+            await this.loadSchemas();
+        }
+        return changes;
+    }
+
+    // Reads tables, columns, keys, row counts and sample values so the LLM sees the real schema
+    async loadSchemas() {
+        this.schemas.clear();
+
+        for (const [dbName, db] of this.databases) {
             try {
-                const db = new sqlite3.Database(dbPath);
-                
-                // Promisify for async/await usage
-                db.allAsync = promisify(db.all.bind(db));
-                db.getAsync = promisify(db.get.bind(db));
-                db.runAsync = promisify(db.run.bind(db));
-                
-                this.databases.set(dbName, db);
-                console.log(chalk.gray(`      📦 Database tool loaded: ${dbName}`));
+                this.schemas.set(dbName, await introspectDatabase(db));
+                log.debug(chalk.gray(`      🧬 Schema loaded: ${dbName} (${this.schemas.get(dbName).tables.length} tables)`));
             } catch (error) {
-                console.warn(chalk.yellow(`      ⚠️  Failed to load database ${dbFile}: ${error.message}`));
+                log.warn(chalk.yellow(`      ⚠️  Failed to read schema of ${dbName}: ${error.message}`));
             }
         }
 
+        const schemaText = Array.from(this.schemas.entries())
+            .map(([dbName, schema]) => formatSchemaForPrompt(dbName, schema, { isDefault: dbName === this.defaultDatabase }))
+            .join('\n\n');
+        this.description = buildDescription(schemaText || undefined);
+    }
+
+    // One line per database with its table names, for banners and listings
+    getSchemaSummary() {
+        return Array.from(this.schemas.entries()).map(([dbName, schema]) => ({
+            database: dbName,
+            tables: formatTableSummary(schema),
+        }));
+    }
+
+    // The repairer receives { question, failedQuery, error, schemaText, previousAttempts }
+    // and returns a corrected query, see createSqlRepairer()
+    setQueryRepairer(repairer) {
+        this.queryRepairer = repairer;
+    }
+
+    listDatabases() {
         if (this.databases.size === 0) {
-            throw new Error('No SQLite databases could be loaded');
+            return 'No database available for querying.';
         }
+
+        const lines = Array.from(this.databases.keys()).map(name => {
+            const marker = name === this.defaultDatabase ? ' (default)' : '';
+            const tables = this.schemas.has(name) ? ` [${formatTableSummary(this.schemas.get(name))}]` : '';
+            return `- ${name}${marker}: ${path.basename(this.databasePaths.get(name))}${tables}`;
+        });
+        return `Available databases:\n${lines.join('\n')}\n\nPass "database" to choose one, or "attach" to query across them.`;
+    }
+
+    resolveDatabase(name) {
+        const dbName = name || this.defaultDatabase;
+        if (!this.databases.has(dbName)) {
+            const available = Array.from(this.databases.keys()).join(', ') || 'none';
+            throw new Error(`Unknown database "${dbName}". Available databases: ${available}`);
+        }
+        return dbName;
     }
 
-    async executeQuery(sqlQuery) {
+    // Every query gets its own connection: ATTACH changes connection state and
+    // interrupting a runaway statement must not cancel other queries.
+    // Attached databases inherit the read-only flag of the main connection.
+    async openQueryConnection(dbName, attach) {
+        const db = await openReadOnly(this.databasePaths.get(dbName));
+
         try {
-            // Safety check: block write operations
-            if (/drop|delete|update|insert/i.test(sqlQuery)) {
-                return '⚠️ Write operations (INSERT, UPDATE, DELETE, DROP) are not allowed. Only SELECT queries are permitted.';
+            for (const alias of attach) {
+                await db.runAsync('ATTACH DATABASE ? AS ?', [this.databasePaths.get(alias), alias]);
             }
+        } catch (error) {
+            await db.closeAsync();
+            throw error;
+        }
+        return db;
+    }
 
-            // Get the first available database (assuming it's the music database)
-            const dbName = Array.from(this.databases.keys())[0];
-            const db = this.databases.get(dbName);
-            
-            if (!db) {
-                return 'No database available for querying.';
+    collectRowCounts(dbNames) {
+        const rowCounts = new Map();
+        // The main database is added last so its tables win over attached ones with the same name
+        for (const dbName of [...dbNames].reverse()) {
+            for (const table of this.schemas.get(dbName)?.tables || []) {
+                rowCounts.set(table.name, table.rowCount);
             }
+        }
+        return rowCounts;
+    }
 
-            console.log(chalk.blue(`      🔍 Executing SQL: ${sqlQuery}`));
-            
-            const results = await db.allAsync(sqlQuery);
-            
-            if (results.length === 0) {
-                return `Executed SQL: ${sqlQuery}\n\nNo results found for your query.`;
+    // Returns { text, result }: text for the LLM and the structured result (null when nothing ran)
+    async executeQuery(sqlQuery, { database, attach = [], question, exportFormat, exportName } = {}) {
+        if (this.databases.size === 0) {
+            return { text: 'No database available for querying.', result: null };
+        }
+
+        let dbName;
+        let toAttach;
+        try {
+            dbName = this.resolveDatabase(database);
+            toAttach = [...new Set(attach)].filter(name => name !== dbName);
+            toAttach.forEach(name => this.resolveDatabase(name));
+        } catch (error) {
+            return { text: `⚠️ ${error.message}`, result: null };
+        }
+
+        // Exports read the full result set instead of stopping at the display row cap
+        const rowLimit = exportFormat ? this.exportMaxRows : this.guardOptions.maxRows;
+        const attempts = [];
+        let currentQuery = sqlQuery;
+        let outcome = await this.runQuery(currentQuery, dbName, toAttach, { rowLimit });
+
+        // Repair loop: SQLite errors go back to the model together with the schema
+        while (outcome.status === 'sql_error' && this.queryRepairer && attempts.length < this.maxRepairAttempts) {
+            attempts.push({ sql: currentQuery, error: outcome.error.message });
+
+            let repaired;
+            try {
+                repaired = await this.queryRepairer({
+                    question,
+                    failedQuery: currentQuery,
+                    error: outcome.error.message,
+                    schemaText: this.describeTablesFor(currentQuery, [dbName, ...toAttach]),
+                    previousAttempts: attempts,
+                });
+            } catch (error) {
+                log.warn(chalk.yellow(`      ⚠️  SQL repair failed: ${error.message}`));
+                break;
+            }
+
+            if (!repaired || attempts.some(attempt => attempt.sql.trim() === repaired.trim())) {
+                break;
             }
+
+            log.info(chalk.magenta(`      🔁 Repair attempt ${attempts.length}/${this.maxRepairAttempts}: ${repaired}`));
+            currentQuery = repaired;
+            outcome = await this.runQuery(currentQuery, dbName, toAttach, { rowLimit });
+        }
+
+        this.lastAttempts = [...attempts, { sql: currentQuery, error: outcome.error?.message ?? null }];
+
+        let text = attempts.length > 0 ? this.formatAttempts(attempts, outcome) + outcome.text : outcome.text;
+        const result = outcome.result ? { ...outcome.result, warnings: outcome.warnings, attempts: this.lastAttempts } : null;
+
+        if (result && exportFormat) {
+            try {
+                result.exportPath = exportResult(outcome.result, { format: exportFormat, exportDir: this.exportPath, name: exportName || dbName });
+                const relativePath = path.relative(process.cwd(), result.exportPath);
+                log.info(chalk.green(`      📁 Exported ${result.totalCount} row(s) to ${relativePath}`));
+                text += `\n\n📁 Exported ${result.totalCount} row(s) as ${exportFormat.toUpperCase()} to ${relativePath}`;
+            } catch (error) {
+                log.error(chalk.red(`      ❌ Export failed: ${error.message}`), { error: error.message });
+                text += `\n\n❌ Export failed: ${error.message}`;
+            }
+        }
+
+        return { text, result };
+    }
+
+    // Schema of the tables a query mentions, or of every table when it names none we know
+    describeTablesFor(sqlQuery, dbNames) {
+        return dbNames.map(dbName => {
+            const schema = this.schemas.get(dbName);
+            if (!schema) {
+                return `Database "${dbName}": schema unavailable`;
+            }
+
+            const allTables = schema.tables.map(table => table.name);
+            const referenced = findReferencedTables(sqlQuery, allTables);
+            const tables = schema.tables.filter(table => referenced.length === 0 || referenced.includes(table.name));
+            return `${formatSchemaForPrompt(dbName, { tables })}\nAll tables in "${dbName}": ${allTables.join(', ')}`;
+        }).join('\n\n');
+    }
+
+    // Runs one query and reports whether it succeeded, was rejected, or failed in SQLite
+    async runQuery(sqlQuery, dbName, toAttach, { rowLimit = this.guardOptions.maxRows } = {}) {
+        let db = null;
+        try {
+            // Safety check: only a single read statement may run
+            const validation = validateReadOnlyQuery(sqlQuery);
+            if (!validation.ok) {
+                log.warn(chalk.yellow(`      ⛔ Query rejected (${validation.code}): ${validation.reason}`));
+                return { status: 'rejected', text: this.formatRejection(sqlQuery, validation) };
+            }
+
+            db = await this.openQueryConnection(dbName, toAttach);
+            const target = toAttach.length > 0 ? `${dbName} + ${toAttach.join(', ')}` : dbName;
+
+            // Cost pre-check: refuse cartesian products before they start running
+            const warnings = [];
+            if (['SELECT', 'WITH', 'VALUES'].includes(validation.type)) {
+                const plan = await db.allAsync(`EXPLAIN QUERY PLAN ${sqlQuery}`);
+                const analysis = analyzeQueryPlan(plan, {
+                    sql: sqlQuery,
+                    rowCounts: this.collectRowCounts([dbName, ...toAttach]),
+                    warnScanCost: this.guardOptions.warnScanCost,
+                    maxScanCost: this.guardOptions.maxScanCost,
+                });
+
+                if (analysis.verdict === 'refuse') {
+                    log.warn(chalk.yellow(`      ⛔ Query refused by cost check: ${analysis.reason}`));
+                    return {
+                        status: 'rejected',
+                        text: this.formatRejection(sqlQuery, {
+                            code: 'QUERY_TOO_EXPENSIVE',
+                            reason: analysis.reason,
+                            hint: 'Join the tables with ON conditions on their keys, filter with WHERE, or aggregate in smaller steps.',
+                        }, 'query cost check'),
+                    };
+                }
+                if (analysis.verdict === 'warn') {
+                    log.warn(chalk.yellow(`      ⚠️  ${analysis.reason}`));
+                    warnings.push(analysis.reason);
+                }
+            }
+
+            log.info(chalk.blue(`      🔍 Executing SQL on ${target}: ${sqlQuery}`), { database: target, sql: sqlQuery });
             
-            return this.formatResults(sqlQuery, results);
+            // The plan check above already reported errors against the query as written
+            const nestable = ['SELECT', 'WITH', 'VALUES'].includes(validation.type);
+            const { rows, truncated } = await streamRows(db, nestable ? uniqueColumnsQuery(sqlQuery) : sqlQuery, { ...this.guardOptions, maxRows: rowLimit });
+            if (truncated) {
+                warnings.push(`Only the first ${rowLimit} rows were read (row cap). Add LIMIT or aggregate for complete answers.`);
+            }
+            const columns = rows.length === 0 && nestable ? await probeColumns(db, sqlQuery, this.guardOptions) : null;
+
+            const result = toQueryResult({ database: target, sql: sqlQuery, rows, columns, truncated });
+            const renamed = result.columns.filter(column => /:\d+$/.test(column));
+            if (renamed.length > 0) {
+                warnings.push(`Several columns had the same name, so ${renamed.join(', ')} were renamed. Give them distinct names with AS.`);
+            }
+            return { status: 'ok', result, warnings, text: this.formatResults(result, { warnings }) };
         } catch (error) {
+            if (error.code === 'SQLITE_READONLY') {
+                return {
+                    status: 'rejected',
+                    text: this.formatRejection(sqlQuery, {
+                        code: 'READ_ONLY_DATABASE',
+                        reason: error.message,
+                        hint: 'The database is opened read-only. Only read queries can be run.',
+                    }),
+                };
+            }
+            if (error.code === 'QUERY_TIMEOUT') {
+                log.warn(chalk.yellow(`      ⏱️  ${error.message}`));
+                return {
+                    status: 'rejected',
+                    text: this.formatRejection(sqlQuery, {
+                        code: 'QUERY_TIMEOUT',
+                        reason: error.message,
+                        hint: 'Narrow the query with WHERE conditions, join on indexed keys, or add LIMIT.',
+                    }, 'query time limit'),
+                };
+            }
+
             const errorMessage = error.message;
-            console.error(chalk.red('      ❌ Database query error:'), errorMessage);
-            return `❌ SQL Error: ${errorMessage}.
+            log.error(chalk.red(`      ❌ Database query error: ${errorMessage}`), { error: errorMessage });
+            return {
+                status: 'sql_error',
+                error,
+                text: `❌ SQL Error: ${errorMessage}.
 Executed SQL: ${sqlQuery}
-💡 Tip: Check table/column names against the schema. Remember: this is SQLite, not MySQL/Postgres.`;
+💡 Tip: Check table/column names against the schema. Remember: this is SQLite, not MySQL/Postgres.`,
+            };
+        } finally {
+            if (db) {
+                await db.closeAsync().catch(() => {});
+            }
         }
     }
 
-    formatResults(sqlQuery, results) {
-        if (results.length === 1 && results[0].count !== undefined) {
-            return `Executed SQL: ${sqlQuery}\n\nThe result is ${results[0].count}.`;
-        }
-        
-        let response = `Executed SQL: ${sqlQuery}\n\nFound ${results.length} result(s):\n\n`;
-        
-        // Limit display to avoid overwhelming the LLM context
-        results.slice(0, 10).forEach((row, index) => {
-            response += `${index + 1}. `;
-            const fields = Object.entries(row)
-                .filter(([, value]) => value !== null && value !== '')
-                .map(([key, value]) => `${key}: ${value}`)
-                .join(' | ');
-            response += fields + '\n';
-        });
-        
-        if (results.length > 10) {
-            response += `\n... and ${results.length - 10} more results.`;
+    formatAttempts(attempts, outcome) {
+        const lines = attempts.map((attempt, index) => `${index + 1}. ${attempt.sql}\n   Error: ${attempt.error}`);
+        const status = outcome.status === 'ok' ? 'The corrected query succeeded.' : 'The query still fails after automatic repair.';
+        return `🔁 Automatic SQL repair (${attempts.length} failed attempt(s)):\n${lines.join('\n')}\n${status}\n\n`;
+    }
+
+    formatRejection(sqlQuery, { code, reason, hint }, source = 'read-only validator') {
+        return `⚠️ Query rejected by the ${source}.
+${JSON.stringify({ code, reason, hint }, null, 2)}
+Rejected SQL: ${sqlQuery}`;
+    }
+
+    formatResults(result, { warnings = [] } = {}) {
+        const notes = warnings.map(warning => `\n⚠️ ${warning}`).join('');
+        const header = `Executed SQL on ${result.database}: ${result.sql}`;
+
+        if (result.totalCount === 0) {
+            const columns = result.columns.length > 0 ? ` (columns: ${result.columns.join(', ')})` : '';
+            return `${header}\n\nNo results found for your query${columns}.${notes}`;
         }
-        
-        return response;
+
+        // Only the first rows go to the LLM to keep its context small, exports carry the rest
+        const found = result.truncated ? `at least ${result.totalCount}` : `${result.totalCount}`;
+        const table = renderMarkdownTable(result, { maxRows: this.displayRows });
+        return `${header}\n\nFound ${found} result(s) (columns: ${result.columns.join(', ')}):\n\n${table}${notes}`;
     }
 
     async close() {
         for (const [name, db] of this.databases) {
             db.close((err) => {
                 if (err) {
-                    console.error(`Error closing database ${name}:`, err);
+                    log.error(`Error closing database ${name}: ${err.message}`, { error: err });
                 }
             });
         }
         this.databases.clear();
+        this.databasePaths.clear();
+        this.schemas.clear();
+        this.databaseSignatures.clear();
     }
 }
@@ -0,0 +1,181 @@
+// Splits documents into sections and ranks them with BM25, so searches return the
+// best matching sections with their file name and heading path as citations.
+
+const MAX_CHUNK_CHARS = 1500;
+
+const STOPWORDS = new Set([
+    'a', 'an', 'and', 'are', 'as', 'at', 'be', 'but', 'by', 'did', 'do', 'does', 'for', 'from',
+    'had', 'has', 'have', 'he', 'her', 'his', 'how', 'i', 'in', 'into', 'is', 'it', 'its', 'me',
+    'of', 'on', 'or', 'she', 'so', 'than', 'that', 'the', 'their', 'them', 'then', 'there', 'these',
+    'they', 'this', 'to', 'was', 'we', 'were', 'what', 'when', 'where', 'which', 'who', 'whom',
+    'why', 'will', 'with', 'would', 'you', 'about', 'tell', 'explain', 'file', 'txt',
+]);
+
+export function tokenizeText(text) {
+    return (text.toLowerCase().match(/[\p{L}\p{N}]+/gu) || [])
+        .filter(token => !STOPWORDS.has(token))
+        .map(stem);
+}
+
+// Light suffix stripping so "markets" matches "market" and "economies" matches "economy"
+function stem(token) {
+    if (token.length > 4 && token.endsWith('ies')) {
+        return `${token.slice(0, -3)}y`;
+    }
+    if (token.length > 3 && token.endsWith('s') && !token.endsWith('ss')) {
+        return token.slice(0, -1);
+    }
+    return token;
+}
+
+// Long sections are split on paragraph boundaries
+function splitLongText(text) {
+    if (text.length <= MAX_CHUNK_CHARS) {
+        return [text];
+    }
+
+    const parts = [];
+    let current = '';
+    for (const paragraph of text.split(/\n\s*\n/)) {
+        if (current && current.length + paragraph.length > MAX_CHUNK_CHARS) {
+            parts.push(current.trim());
+            current = '';
+        }
+        current += `${paragraph}\n\n`;
+    }
+    if (current.trim()) {
+        parts.push(current.trim());
+    }
+    return parts;
+}
+
+// Markdown headings are section boundaries; each chunk remembers its heading path.
+// baseHeadingPath and metadata come from the loader (e.g. a PDF page or CSV row range).
+export function chunkDocument(fileName, content, { baseHeadingPath = [], metadata = {} } = {}) {
+    const chunks = [];
+    const headingPath = [];
+    let lines = [];
+
+    const flush = () => {
+        const text = lines.join('\n').trim();
+        lines = [];
+        if (!text) {
+            return;
+        }
+        for (const part of splitLongText(text)) {
+            chunks.push({
+                id: `${fileName}#${chunks.length}`,
+                file: fileName,
+                headingPath: [...baseHeadingPath, ...headingPath.filter(Boolean)],
+                metadata,
+                text: part,
+            });
+        }
+    };
+
+    for (const line of content.split(/\r?\n/)) {
+        const heading = /^(#{1,6})\s+(.*)$/.exec(line);
+        if (heading) {
+            flush();
+            const level = heading[1].length;
+            headingPath.length = Math.min(headingPath.length, level - 1);
+            headingPath[level - 1] = heading[2].trim();
+            continue;
+        }
+        lines.push(line);
+    }
+    flush();
+
+    return chunks;
+}
+
+// Chunks every section a loader returned and numbers the chunks per file
+export function chunkSections(fileName, sections) {
+    return sections
+        .flatMap(section => chunkDocument(fileName, section.text, {
+            baseHeadingPath: section.headingPath || [],
+            metadata: section.metadata || {},
+        }))
+        .map((chunk, index) => ({ ...chunk, id: `${fileName}#${index}` }));
+}
+
+export function formatCitation(chunk) {
+    return [chunk.file, ...chunk.headingPath].join(' › ');
+}
+
+export class BM25Index {
+    constructor({ k1 = 1.2, b = 0.75 } = {}) {
+        this.k1 = k1;
+        this.b = b;
+        this.chunks = new Map();
+        this.documentFrequency = new Map();
+        this.totalLength = 0;
+    }
+
+    get size() {
+        return this.chunks.size;
+    }
+
+    add(chunks) {
+        for (const chunk of chunks) {
+            // Headings are indexed with the body so "Keynes" finds the section titled after him
+            const tokens = tokenizeText(`${chunk.headingPath.join(' ')} ${chunk.text}`);
+            const termFrequency = new Map();
+            for (const token of tokens) {
+                termFrequency.set(token, (termFrequency.get(token) || 0) + 1);
+            }
+            for (const term of termFrequency.keys()) {
+                this.documentFrequency.set(term, (this.documentFrequency.get(term) || 0) + 1);
+            }
+
+            this.chunks.set(chunk.id, { chunk, termFrequency, length: tokens.length });
+            this.totalLength += tokens.length;
+        }
+    }
+
+    removeFile(fileName) {
+        for (const [id, entry] of this.chunks) {
+            if (entry.chunk.file !== fileName) {
+                continue;
+            }
+            for (const term of entry.termFrequency.keys()) {
+                const remaining = this.documentFrequency.get(term) - 1;
+                if (remaining > 0) {
+                    this.documentFrequency.set(term, remaining);
+                } else {
+                    this.documentFrequency.delete(term);
+                }
+            }
+            this.totalLength -= entry.length;
+            this.chunks.delete(id);
+        }
+    }
+
+    search(query, topK = 3) {
+        const terms = [...new Set(tokenizeText(query))];
+        if (terms.length === 0 || this.chunks.size === 0) {
+            return [];
+        }
+
+        const averageLength = this.totalLength / this.chunks.size;
+        const results = [];
+        for (const { chunk, termFrequency, length } of this.chunks.values()) {
+            let score = 0;
+            for (const term of terms) {
+                const frequency = termFrequency.get(term);
+                if (!frequency) {
+                    continue;
+                }
+                const documents = this.documentFrequency.get(term);
+                const idf = Math.log(1 + (this.chunks.size - documents + 0.5) / (documents + 0.5));
+                score += idf * (frequency * (this.k1 + 1))
+                    / (frequency + this.k1 * (1 - this.b + this.b * (length / averageLength)));
+            }
+            if (score > 0) {
+                results.push({ chunk, score });
+            }
+        }
+
+        return results.sort((a, b) => b.score - a.score).slice(0, topK);
+    }
+}
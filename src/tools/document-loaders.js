@@ -0,0 +1,209 @@
+// Document loaders keyed by file extension. A loader reads one file and returns
+// { title, sections }, where each section is { text, headingPath, metadata }.
+// Markdown headings inside a section's text are split further by chunkSections().
+import path from 'path';
+import fs from 'fs';
+import { createRequire } from 'module';
+import { htmlToText, extractHtmlTitle } from './html-text.js';
+
+const require = createRequire(import.meta.url);
+const ROWS_PER_SECTION = 25;
+
+const loaders = new Map();
+
+export function registerLoader(extensions, loader) {
+    for (const extension of [].concat(extensions)) {
+        loaders.set(extension.toLowerCase(), loader);
+    }
+}
+
+export function getLoader(fileName) {
+    return loaders.get(path.extname(fileName).toLowerCase()) || null;
+}
+
+export function supportedExtensions() {
+    return Array.from(loaders.keys()).sort();
+}
+
+export async function loadDocument(filePath) {
+    const loader = getLoader(filePath);
+    if (!loader) {
+        throw new Error(`No loader for ${path.extname(filePath) || 'files without an extension'}`);
+    }
+
+    const document = await loader(filePath);
+    return {
+        title: document.title || path.basename(filePath),
+        type: path.extname(filePath).slice(1).toLowerCase(),
+        sections: document.sections.filter(section => section.text && section.text.trim()),
+    };
+}
+
+function firstHeading(text) {
+    const match = /^#\s+(.+)$/m.exec(text);
+    return match ? match[1].trim() : null;
+}
+
+function loadText(filePath) {
+    const content = fs.readFileSync(filePath, 'utf-8');
+    return { title: firstHeading(content), sections: [{ text: content }] };
+}
+
+function loadMarkdown(filePath) {
+    let content = fs.readFileSync(filePath, 'utf-8');
+    let title = null;
+
+    // YAML front matter is metadata, not searchable text
+    const frontMatter = /^---\r?\n([\s\S]*?)\r?\n---\r?\n/.exec(content);
+    if (frontMatter) {
+        const titleLine = /^title:\s*["']?(.+?)["']?\s*$/m.exec(frontMatter[1]);
+        title = titleLine ? titleLine[1] : null;
+        content = content.slice(frontMatter[0].length);
+    }
+
+    return { title: title || firstHeading(content), sections: [{ text: content }] };
+}
+
+function loadHtml(filePath) {
+    const html = fs.readFileSync(filePath, 'utf-8');
+    const text = htmlToText(html);
+    return { title: extractHtmlTitle(html) || firstHeading(text), sections: [{ text }] };
+}
+
+// RFC 4180 style parsing: quoted fields may contain commas, quotes ("") and newlines
+export function parseCsv(content) {
+    const rows = [];
+    let row = [];
+    let field = '';
+    let inQuotes = false;
+
+    for (let i = 0; i < content.length; i++) {
+        const char = content[i];
+        if (inQuotes) {
+            if (char === '"' && content[i + 1] === '"') {
+                field += '"';
+                i++;
+            } else if (char === '"') {
+                inQuotes = false;
+            } else {
+                field += char;
+            }
+        } else if (char === '"') {
+            inQuotes = true;
+        } else if (char === ',') {
+            row.push(field);
+            field = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && content[i + 1] === '\n') {
+                i++;
+            }
+            row.push(field);
+            rows.push(row);
+            row = [];
+            field = '';
+        } else {
+            field += char;
+        }
+    }
+    if (field !== '' || row.length > 0) {
+        row.push(field);
+        rows.push(row);
+    }
+
+    return rows.filter(values => values.some(value => value !== ''));
+}
+
+function recordSections(records, { label, sheet, firstRow }) {
+    const sections = [];
+    for (let start = 0; start < records.length; start += ROWS_PER_SECTION) {
+        const slice = records.slice(start, start + ROWS_PER_SECTION);
+        const rowStart = firstRow + start;
+        const rowEnd = rowStart + slice.length - 1;
+        const lines = slice.map((record, index) => {
+            const fields = Object.entries(record).map(([key, value]) => `${key}: ${typeof value === 'object' ? JSON.stringify(value) : value}`);
+            return `${label} ${rowStart + index}: ${fields.join(' | ')}`;
+        });
+        sections.push({
+            text: lines.join('\n'),
+            headingPath: [`${label}s ${rowStart}–${rowEnd}`],
+            metadata: { sheet, rowStart, rowEnd },
+        });
+    }
+    return sections;
+}
+
+function loadCsv(filePath) {
+    const [header, ...rows] = parseCsv(fs.readFileSync(filePath, 'utf-8'));
+    if (!header) {
+        return { sections: [] };
+    }
+
+    const records = rows.map(values => Object.fromEntries(header.map((column, index) => [column, values[index] ?? ''])));
+    // Row numbers match the spreadsheet view: the header is row 1
+    return {
+        title: path.basename(filePath),
+        sections: recordSections(records, { label: 'Row', sheet: path.basename(filePath, path.extname(filePath)), firstRow: 2 }),
+    };
+}
+
+function loadJson(filePath) {
+    const data = JSON.parse(fs.readFileSync(filePath, 'utf-8'));
+    const sheet = path.basename(filePath, path.extname(filePath));
+
+    if (Array.isArray(data)) {
+        const records = data.map(item => (item && typeof item === 'object' && !Array.isArray(item) ? item : { value: item }));
+        return { sections: recordSections(records, { label: 'Item', sheet, firstRow: 1 }) };
+    }
+    if (data && typeof data === 'object') {
+        return {
+            title: typeof data.title === 'string' ? data.title : null,
+            sections: Object.entries(data).map(([key, value]) => ({
+                text: typeof value === 'string' ? value : JSON.stringify(value, null, 2),
+                headingPath: [key],
+                metadata: { key },
+            })),
+        };
+    }
+    return { sections: [{ text: String(data) }] };
+}
+
+async function loadPdf(filePath) {
+    // pdf-parse's index.js runs a self-test when imported as ESM, so load the library file directly
+    let pdfParse;
+    try {
+        pdfParse = require('pdf-parse/lib/pdf-parse.js');
+    } catch {
+        throw new Error('PDF support needs the "pdf-parse" package (npm install pdf-parse)');
+    }
+
+    const pages = [];
+    const result = await pdfParse(fs.readFileSync(filePath), {
+        pagerender: async (pageData) => {
+            const content = await pageData.getTextContent();
+            let lastY;
+            let text = '';
+            for (const item of content.items) {
+                text += lastY === undefined || lastY === item.transform[5] ? item.str : `\n${item.str}`;
+                lastY = item.transform[5];
+            }
+            pages[pageData.pageIndex] = text;
+            return text;
+        },
+    });
+
+    return {
+        title: result.info?.Title || null,
+        sections: pages.map((text, index) => ({
+            text: text || '',
+            headingPath: [`Page ${index + 1}`],
+            metadata: { page: index + 1 },
+        })),
+    };
+}
+
+registerLoader(['.txt'], loadText);
+registerLoader(['.md', '.markdown'], loadMarkdown);
+registerLoader(['.html', '.htm'], loadHtml);
+registerLoader(['.csv'], loadCsv);
+registerLoader(['.json'], loadJson);
+registerLoader(['.pdf'], loadPdf);
@@ -0,0 +1,72 @@
+import { Embeddings } from '@langchain/core/embeddings';
+import { createHash } from 'crypto';
+import { tokenizeText } from './document-index.js';
+
+// Offline stand-in for an embedding model. Words, word pairs and character trigrams
+// are hashed into a fixed-size vector, so related spellings ("planning", "planned")
+// and shared phrases land close together without downloading a model.
+export class LocalHashEmbeddings extends Embeddings {
+    constructor({ dimensions = 512 } = {}) {
+        super({});
+        this.dimensions = dimensions;
+        this.modelId = `local-hash-${dimensions}`;
+    }
+
+    async embedDocuments(documents) {
+        return documents.map(document => this.embed(document));
+    }
+
+    async embedQuery(document) {
+        return this.embed(document);
+    }
+
+    embed(text) {
+        const vector = new Array(this.dimensions).fill(0);
+        const words = tokenizeText(text);
+
+        const addFeature = (feature, weight) => {
+            const digest = createHash('md5').update(feature).digest();
+            const bucket = digest.readUInt32LE(0) % this.dimensions;
+            // A second hash bit decides the sign so collisions tend to cancel out
+            vector[bucket] += (digest[4] & 1 ? 1 : -1) * weight;
+        };
+
+        words.forEach((word, index) => {
+            addFeature(`w:${word}`, 1);
+            if (index > 0) {
+                addFeature(`b:${words[index - 1]} ${word}`, 0.5);
+            }
+            const padded = `^${word}$`;
+            for (let i = 0; i + 3 <= padded.length; i++) {
+                addFeature(`c:${padded.slice(i, i + 3)}`, 0.25);
+            }
+        });
+
+        const norm = Math.sqrt(vector.reduce((sum, value) => sum + value * value, 0)) || 1;
+        return vector.map(value => value / norm);
+    }
+}
+
+// EMBEDDINGS_PROVIDER selects the provider: "local" (default), "openai" or "none"
+export async function createEmbeddings(env = process.env) {
+    const provider = (env.EMBEDDINGS_PROVIDER || 'local').toLowerCase();
+
+    switch (provider) {
+        case 'none':
+            return null;
+        case 'local':
+            return new LocalHashEmbeddings();
+        case 'openai': {
+            const { OpenAIEmbeddings } = await import('@langchain/openai');
+            const embeddings = new OpenAIEmbeddings({
+                apiKey: env.OPENAI_API_KEY,
+                model: env.EMBEDDINGS_MODEL || 'text-embedding-3-small',
+                configuration: env.OPENAI_BASE_URL ? { baseURL: env.OPENAI_BASE_URL } : undefined,
+            });
+            embeddings.modelId = `openai-${embeddings.model}`;
+            return embeddings;
+        }
+        default:
+            throw new Error(`Unknown EMBEDDINGS_PROVIDER "${provider}". Use local, openai or none.`);
+    }
+}
@@ -0,0 +1,63 @@
+import { DynamicStructuredTool } from '@langchain/core/tools';
+import { z } from 'zod';
+import chalk from 'chalk';
+import { logger } from '../logger.js';
+import { createHttpClient } from './http-client.js';
+
+const log = logger.child({ component: 'exchange_rate' });
+
+const currencyCode = z.string().trim().regex(/^[A-Za-z]{3}$/, 'Use a 3-letter ISO 4217 code').transform(code => code.toUpperCase());
+
+// Latest rates from exchangerate-api.com's keyless endpoint (/v4/latest/{base})
+export class ExchangeRateTool extends DynamicStructuredTool {
+    constructor({ baseUrl } = {}) {
+        super({
+            name: 'get_exchange_rate',
+            description: `Gets the latest exchange rate between two currencies and optionally converts an amount.
+            Use this for questions about currency rates or conversions (e.g. "How many euros is 100 dollars?").
+            Currencies are 3-letter ISO 4217 codes such as USD, EUR, BRL, GBP, JPY.`,
+            responseFormat: 'content_and_artifact',
+            schema: z.object({
+                from: currencyCode.describe('Currency to convert from, e.g. "USD".'),
+                to: currencyCode.describe('Currency to convert to, e.g. "BRL".'),
+                amount: z.number().positive().optional().describe('Amount in the "from" currency to convert (default 1).'),
+            }),
+            func: async ({ from, to, amount }) => {
+                return await this.getExchangeRate(from, to, amount);
+            },
+        });
+
+        this.client = createHttpClient({ baseUrl: baseUrl || process.env.EXCHANGE_RATE_API_URL || 'https://api.exchangerate-api.com/v4' });
+    }
+
+    async initialize() {
+        log.debug(chalk.gray(`    💱 Exchange rate tool ready (${this.client.baseUrl})`));
+    }
+
+    async getExchangeRate(from, to, amount = 1) {
+        log.info(chalk.blue(`💱 Fetching exchange rate: ${from} → ${to}`));
+
+        try {
+            const data = await this.client.getJson(`latest/${encodeURIComponent(from)}`);
+            const rate = data.rates?.[to];
+            if (typeof rate !== 'number') {
+                return [`No exchange rate from ${from} to ${to} is available. Check that both currency codes exist.`, { error: 'UNKNOWN_CURRENCY', from, to }];
+            }
+
+            const result = {
+                from,
+                to,
+                rate,
+                amount,
+                converted: Math.round(amount * rate * 10000) / 10000,
+                date: data.date || (data.time_last_updated ? new Date(data.time_last_updated * 1000).toISOString().slice(0, 10) : null),
+                source: this.client.baseUrl,
+            };
+            const summary = `${amount} ${from} = ${result.converted} ${to} (rate ${rate}${result.date ? `, as of ${result.date}` : ''}).`;
+            return [`${summary}\n\n${JSON.stringify(result, null, 2)}`, result];
+        } catch (error) {
+            log.error(chalk.red(`Exchange rate lookup error: ${error.message}`), { error: error.message });
+            return [`Exchange rate lookup for ${from} → ${to} failed: ${error.message}`, { error: error.message }];
+        }
+    }
+}
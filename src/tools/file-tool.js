@@ -3,75 +3,240 @@ import { z } from 'zod';
 import path from 'path';
 import fs from 'fs';
 import chalk from 'chalk';
+import { logger } from '../logger.js';
+import { BM25Index, chunkSections, formatCitation } from './document-index.js';
+import { getLoader, loadDocument, supportedExtensions } from './document-loaders.js';
+import { VectorIndex } from './vector-index.js';
+import { createEmbeddings } from './embeddings.js';
 
-// The tool reads the file content into memory and performs a search.
+const log = logger.child({ component: 'file' });
+
+const SEARCH_MODES = ['keyword', 'semantic', 'hybrid'];
+const HYBRID_CANDIDATES = 20;
+
+// The tool splits the loaded files into sections and ranks them for each search.
 export class FileTool extends DynamicStructuredTool {
-    constructor() {
+    constructor({ dataPath, indexCachePath, hybridWeight } = {}) {
         super({
             name: 'file_search',
-            description: `Searches for a query within the content of pre-loaded text files (e.g., economy_books.txt).
-            Use this to answer questions about economics, specific theories, or economists mentioned in the documents.`,
+            description: `Searches the sections of pre-loaded documents (text, Markdown, HTML, PDF, CSV and JSON files, e.g. economy_books.txt) and returns the best matching ones.
+            Use this to answer questions about economics, specific theories, or economists mentioned in the documents.
+            Each result is cited as "file › heading › subheading"; mention the citation when you use it.
+            Use mode "semantic" or "hybrid" (default) when the question describes an idea rather than exact words.`,
+            responseFormat: 'content_and_artifact',
             schema: z.object({
-                query: z.string().describe("The keyword or phrase to search for in the document content."),
+                query: z.string().describe("Keywords or a question describing what to look for in the documents."),
+                topK: z.number().int().min(1).max(10).optional()
+                    .describe('How many ranked sections to return (default 3).'),
+                mode: z.enum(SEARCH_MODES).optional()
+                    .describe('"keyword" (BM25), "semantic" (embeddings) or "hybrid" (both, default when embeddings are enabled).'),
             }),
-            func: async ({ query }) => {
-                return await this.searchInFiles(query);
+            // Content is the ranked sections for the LLM, the artifact lists the citations
+            func: async ({ query, topK, mode }) => {
+                return await this.searchInFiles(query, topK, mode);
             },
         });
         
-        this.dataPath = path.join(process.cwd(), 'data', 'documents');
-        this.fileContents = new Map(); // Stores file content in memory
+        this.dataPath = dataPath || path.join(process.cwd(), 'data', 'documents');
+        this.fileContents = new Map(); // Stores extracted file text in memory
+        this.documents = new Map(); // File name -> { title, type, sections, chunks }
+        this.loadErrors = new Map(); // File name -> reason the loader failed
+        this.fileSignatures = new Map(); // File name -> mtime and size when it was last loaded
+        this.index = new BM25Index();
+        this.vectorIndex = null;
+        this.indexCachePath = indexCachePath || path.join(process.cwd(), 'data', 'index', 'embeddings.json');
+        this.hybridWeight = hybridWeight ?? Number.parseFloat(process.env.FILE_SEARCH_HYBRID_WEIGHT || '0.5');
+        this.defaultTopK = 3;
     }
 
     async initialize() {
         try {
             if (!fs.existsSync(this.dataPath)) {
-                console.warn(chalk.yellow(`      ⚠️  Documents directory not found: ${this.dataPath}`));
+                log.warn(chalk.yellow(`      ⚠️  Documents directory not found: ${this.dataPath}`));
                 return;
             }
 
-            const txtFiles = fs.readdirSync(this.dataPath).filter(file => file.endsWith('.txt'));
-            if (txtFiles.length === 0) {
-                console.warn(chalk.yellow('      ⚠️  No .txt files found in the documents directory.'));
-                return;
+            const files = this.listSupportedFiles();
+            if (files.length === 0) {
+                // Keep going so documents added later can be picked up by reload()
+                log.warn(chalk.yellow(`      ⚠️  No supported documents (${supportedExtensions().join(', ')}) found in the documents directory.`));
             }
             
-            console.log(chalk.gray(`      📄 Loading ${txtFiles.length} document(s) into memory...`));
+            log.debug(chalk.gray(`      📄 Loading ${files.length} document(s) into memory...`));
 
-            for (const file of txtFiles) {
-                const filePath = path.join(this.dataPath, file);
-                const content = fs.readFileSync(filePath, 'utf-8');
-                this.fileContents.set(file, content);
+            const chunks = [];
+            for (const file of files) {
+                chunks.push(...await this.loadFile(file));
             }
-            console.log(chalk.green('  ✅ File tool ready'));
+            this.index.add(chunks);
+            log.debug(chalk.gray(`      🗂️  Indexed ${this.index.size} section(s)`));
+
+            await this.buildVectorIndex(chunks);
+            log.info(chalk.green('  ✅ File tool ready'));
         } catch (error) {
-            console.error(chalk.red(`  ⚠️  File tool failed to initialize: ${error.message}`));
+            log.error(chalk.red(`  ⚠️  File tool failed to initialize: ${error.message}`));
             // Allow the agent to continue running even if this tool fails
         }
     }
 
-    async searchInFiles(query) {
+    listSupportedFiles() {
+        return fs.readdirSync(this.dataPath).filter(file => getLoader(file)).sort();
+    }
+
+    fileSignature(file) {
+        try {
+            const stats = fs.statSync(path.join(this.dataPath, file));
+            return `${stats.mtimeMs}:${stats.size}`;
+        } catch {
+            return null;
+        }
+    }
+
+    // A file that fails to load is reported and skipped, the other documents still load
+    async loadFile(file) {
+        this.fileSignatures.set(file, this.fileSignature(file));
+        try {
+            const document = await loadDocument(path.join(this.dataPath, file));
+            const chunks = chunkSections(file, document.sections);
+
+            this.fileContents.set(file, document.sections.map(section => section.text).join('\n\n'));
+            this.documents.set(file, { title: document.title, type: document.type, sections: document.sections.length, chunks: chunks.length });
+            this.loadErrors.delete(file);
+            log.debug(chalk.gray(`      📄 ${file} (${document.type}, "${document.title}", ${chunks.length} section(s))`));
+            return chunks;
+        } catch (error) {
+            this.loadErrors.set(file, error.message);
+            log.warn(chalk.yellow(`      ⚠️  Failed to load ${file}: ${error.message}`));
+            return [];
+        }
+    }
+
+    unloadFile(file) {
+        this.index.removeFile(file);
+        this.vectorIndex?.removeFile(file);
+        this.fileContents.delete(file);
+        this.documents.delete(file);
+        this.loadErrors.delete(file);
+        this.fileSignatures.delete(file);
+    }
+
+    // Re-indexes only what changed on disk since the last load.
+    // Returns { added, changed, removed, failed } with file names.
+    async reload() {
+        const changes = { added: [], changed: [], removed: [], failed: [] };
+        if (!fs.existsSync(this.dataPath)) {
+            return changes;
+        }
+
+        const files = this.listSupportedFiles();
+        const newChunks = [];
+        for (const file of files) {
+            const previous = this.fileSignatures.get(file);
+            if (previous !== undefined && previous === this.fileSignature(file)) {
+                continue;
+            }
+
+            this.unloadFile(file);
+            newChunks.push(...await this.loadFile(file));
+            (previous === undefined ? changes.added : changes.changed).push(file);
+            if (this.loadErrors.has(file)) {
+                changes.failed.push(file);
+            }
+        }
+
+        for (const file of Array.from(this.fileSignatures.keys())) {
+            if (!files.includes(file)) {
+                this.unloadFile(file);
+                changes.removed.push(file);
+            }
+        }
+
+        this.index.add(newChunks);
+        if (this.vectorIndex && (newChunks.length > 0 || changes.removed.length > 0)) {
+            await this.vectorIndex.add(newChunks);
+            this.vectorIndex.saveCache();
+        }
+        return changes;
+    }
+
+    // The vector index is optional: without it searches fall back to keywords only
+    async buildVectorIndex(chunks) {
+        try {
+            const embeddings = await createEmbeddings();
+            if (!embeddings) {
+                return;
+            }
+
+            const vectorIndex = new VectorIndex({ embeddings, cachePath: this.indexCachePath });
+            vectorIndex.loadCache();
+            const embedded = await vectorIndex.add(chunks);
+            if (embedded > 0) {
+                vectorIndex.saveCache();
+            }
+
+            this.vectorIndex = vectorIndex;
+            log.debug(chalk.gray(`      🧭 Vector index ready (${embeddings.modelId}, ${embedded} new / ${vectorIndex.size} section(s))`));
+        } catch (error) {
+            log.warn(chalk.yellow(`      ⚠️  Semantic search disabled: ${error.message}`));
+        }
+    }
+
+    // Both score lists are scaled to 0..1 by their best hit before they are blended
+    async hybridSearch(query, topK) {
+        const keywordMatches = this.index.search(query, HYBRID_CANDIDATES);
+        const semanticMatches = await this.vectorIndex.search(query, HYBRID_CANDIDATES);
+        const maxKeyword = keywordMatches[0]?.score || 1;
+        const maxSemantic = semanticMatches[0]?.score || 1;
+
+        const combined = new Map();
+        for (const { chunk, score } of keywordMatches) {
+            combined.set(chunk.id, { chunk, score: (1 - this.hybridWeight) * (score / maxKeyword) });
+        }
+        for (const { chunk, score } of semanticMatches) {
+            const entry = combined.get(chunk.id) || { chunk, score: 0 };
+            entry.score += this.hybridWeight * (score / maxSemantic);
+            combined.set(chunk.id, entry);
+        }
+
+        return Array.from(combined.values()).sort((a, b) => b.score - a.score).slice(0, topK);
+    }
+
+    async searchInFiles(query, topK = this.defaultTopK, mode) {
         if (this.fileContents.size === 0) {
-            return "File tool is not available because no documents were loaded.";
+            return ["File tool is not available because no documents were loaded.", { query, results: [] }];
+        }
+
+        let searchMode = mode || (this.vectorIndex ? 'hybrid' : 'keyword');
+        if (searchMode !== 'keyword' && !this.vectorIndex) {
+            searchMode = 'keyword';
         }
 
-        console.log(chalk.blue(`      🔍 Searching documents for: "${query}"`));
+        log.info(chalk.blue(`      🔍 Searching documents (${searchMode}) for: "${query}"`), { mode: searchMode, query });
 
-        // For simplicity, we search across all loaded files.
-        let combinedContent = "";
-        for (const content of this.fileContents.values()) {
-            combinedContent += content + "\n\n";
+        let matches;
+        if (searchMode === 'semantic') {
+            matches = await this.vectorIndex.search(query, topK);
+        } else if (searchMode === 'hybrid') {
+            matches = await this.hybridSearch(query, topK);
+        } else {
+            matches = this.index.search(query, topK);
         }
 
-        const searchRegex = new RegExp(query.split(' ').join('.*'), 'is');
-        const match = combinedContent.match(searchRegex);
+        const results = matches.map(({ chunk, score }) => ({
+            file: chunk.file,
+            title: this.documents.get(chunk.file)?.title,
+            headingPath: chunk.headingPath,
+            metadata: chunk.metadata,
+            citation: formatCitation(chunk),
+            score: Number(score.toFixed(3)),
+            text: chunk.text,
+        }));
 
-        if (match) {
-            // Return a snippet of context around the match
-            const contextSnippet = combinedContent.substring(Math.max(0, match.index - 250), Math.min(combinedContent.length, match.index + 250));
-            return `Found relevant context: "...${contextSnippet}..."`;
+        if (results.length === 0) {
+            return ["No matching sections found for your query in the documents. The agent can try different keywords.", { query, mode: searchMode, results }];
         }
 
-        return "No direct matches found for your query in the documents. The agent can try a broader query.";
+        const sections = results.map((result, index) => `[${index + 1}] ${result.citation} (score ${result.score})\n${result.text}`);
+        return [`Found ${results.length} relevant section(s) for "${query}" (${searchMode} search):\n\n${sections.join('\n\n')}`, { query, mode: searchMode, results }];
     }
-}
\ No newline at end of file
+}
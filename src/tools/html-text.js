@@ -0,0 +1,49 @@
+// Minimal HTML to text conversion: drops scripts and styles, keeps headings as
+// Markdown headings and block elements as line breaks, and decodes common entities.
+
+const NAMED_ENTITIES = {
+    amp: '&',
+    lt: '<',
+    gt: '>',
+    quot: '"',
+    apos: "'",
+    nbsp: ' ',
+    mdash: '—',
+    ndash: '–',
+    hellip: '…',
+    copy: '©',
+};
+
+export function decodeEntities(text) {
+    return text.replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);/gi, (match, entity) => {
+        if (entity[0] === '#') {
+            const code = entity[1].toLowerCase() === 'x' ? Number.parseInt(entity.slice(2), 16) : Number.parseInt(entity.slice(1), 10);
+            // Out-of-range and surrogate code points are not characters; fromCodePoint would throw
+            const valid = Number.isFinite(code) && code <= 0x10FFFF && !(code >= 0xD800 && code <= 0xDFFF);
+            return valid ? String.fromCodePoint(code) : match;
+        }
+        return NAMED_ENTITIES[entity.toLowerCase()] ?? match;
+    });
+}
+
+export function extractHtmlTitle(html) {
+    const match = /<title[^>]*>([\s\S]*?)<\/title>/i.exec(html);
+    return match ? decodeEntities(match[1]).trim() : null;
+}
+
+export function htmlToText(html) {
+    return decodeEntities(
+        html
+            .replace(/<!--[\s\S]*?-->/g, '')
+            .replace(/<(script|style|noscript|template|svg|head)\b[\s\S]*?<\/\1>/gi, '')
+            .replace(/<h([1-6])\b[^>]*>([\s\S]*?)<\/h\1>/gi, (match, level, inner) => `\n\n${'#'.repeat(Number(level))} ${inner.replace(/<[^>]+>/g, '').trim()}\n\n`)
+            .replace(/<li\b[^>]*>/gi, '\n- ')
+            .replace(/<(br|hr)\b[^>]*>/gi, '\n')
+            .replace(/<\/(p|div|section|article|tr|table|ul|ol|blockquote|pre|header|footer|li)>/gi, '\n')
+            .replace(/<[^>]+>/g, '')
+    )
+        .replace(/[ \t]+/g, ' ')
+        .replace(/ *\n */g, '\n')
+        .replace(/\n{3,}/g, '\n\n')
+        .trim();
+}
@@ -0,0 +1,71 @@
+// Small fetch wrapper shared by the external-data tools. Base URLs come from the
+// environment, so the tools can be pointed at a local mock server.
+
+const DEFAULT_TIMEOUT_MS = 10000;
+const USER_AGENT = 'multi-source-ai-agent/1.0';
+
+export class HttpError extends Error {
+    constructor(message, { status = null, url = null } = {}) {
+        super(message);
+        this.name = 'HttpError';
+        this.status = status;
+        this.url = url;
+    }
+}
+
+export function readHttpTimeout(env = process.env) {
+    const parsed = Number.parseInt(env.HTTP_TIMEOUT_MS, 10);
+    return Number.isFinite(parsed) && parsed > 0 ? parsed : DEFAULT_TIMEOUT_MS;
+}
+
+// Relative paths are appended to the base URL, so "https://feeds.bbci.co.uk/news" + "world/rss.xml" keeps "/news"
+export function buildUrl(baseUrl, pathname = '', query = {}) {
+    const base = baseUrl.endsWith('/') ? baseUrl : `${baseUrl}/`;
+    const url = new URL(pathname.replace(/^\/+/, ''), base);
+    for (const [key, value] of Object.entries(query)) {
+        if (value !== undefined && value !== null) {
+            url.searchParams.set(key, String(value));
+        }
+    }
+    return url;
+}
+
+export function createHttpClient({ baseUrl, timeoutMs = readHttpTimeout(), headers = {}, fetchImpl = globalThis.fetch }) {
+    const request = async (pathname, { query, accept } = {}) => {
+        const url = buildUrl(baseUrl, pathname, query);
+        let response;
+        try {
+            response = await fetchImpl(url, {
+                headers: { 'User-Agent': USER_AGENT, Accept: accept, ...headers },
+                signal: AbortSignal.timeout(timeoutMs),
+            });
+        } catch (error) {
+            const reason = error.name === 'TimeoutError' ? `timed out after ${timeoutMs} ms` : error.cause?.message || error.message;
+            throw new HttpError(`Request to ${url.host} failed: ${reason}`, { url: url.href });
+        }
+
+        if (!response.ok) {
+            throw new HttpError(`${url.host} answered ${response.status} ${response.statusText}`.trim(), { status: response.status, url: url.href });
+        }
+        return response;
+    };
+
+    return {
+        baseUrl,
+
+        async getJson(pathname, options = {}) {
+            const response = await request(pathname, { ...options, accept: 'application/json' });
+            const text = await response.text();
+            try {
+                return JSON.parse(text);
+            } catch {
+                throw new HttpError(`${response.url || baseUrl} did not return JSON`, { status: response.status, url: response.url });
+            }
+        },
+
+        async getText(pathname, options = {}) {
+            const response = await request(pathname, { ...options, accept: options.accept || '*/*' });
+            return response.text();
+        },
+    };
+}
@@ -0,0 +1,70 @@
+import { DynamicStructuredTool } from '@langchain/core/tools';
+import { z } from 'zod';
+import { isIP } from 'net';
+import chalk from 'chalk';
+import { logger } from '../logger.js';
+import { createHttpClient } from './http-client.js';
+
+const log = logger.child({ component: 'ip_info' });
+
+// Public IP address and approximate location from ipinfo.io
+export class IpInfoTool extends DynamicStructuredTool {
+    constructor({ baseUrl } = {}) {
+        super({
+            name: 'get_ip_info',
+            description: `Looks up a public IP address: city, region, country, coordinates, network (ISP) and timezone.
+            Leave "ip" empty to look up the user's own public IP, e.g. for "What is my IP?" or "Where am I?".`,
+            responseFormat: 'content_and_artifact',
+            schema: z.object({
+                ip: z.string().trim().refine(value => value === '' || isIP(value) !== 0, 'Must be an IPv4 or IPv6 address')
+                    .optional()
+                    .describe('IPv4 or IPv6 address to look up. Omit it for the current machine.'),
+            }),
+            func: async ({ ip }) => {
+                return await this.getIpInfo(ip);
+            },
+        });
+
+        this.client = createHttpClient({
+            baseUrl: baseUrl || process.env.IP_INFO_API_URL || 'https://ipinfo.io',
+            headers: process.env.IPINFO_TOKEN ? { Authorization: `Bearer ${process.env.IPINFO_TOKEN}` } : {},
+        });
+    }
+
+    async initialize() {
+        log.debug(chalk.gray(`    📍 IP info tool ready (${this.client.baseUrl})`));
+    }
+
+    async getIpInfo(ip) {
+        const target = ip || null;
+        log.info(chalk.blue(`📍 Looking up IP info for: ${target || 'this machine'}`));
+
+        try {
+            const data = await this.client.getJson(target ? `${encodeURIComponent(target)}/json` : 'json');
+            if (data.bogon) {
+                return [`${data.ip} is a private or reserved address and has no public location.`, { ip: data.ip, bogon: true }];
+            }
+
+            // ipinfo returns "lat,long" in one field
+            const [latitude, longitude] = (data.loc || '').split(',').map(Number);
+            const info = {
+                ip: data.ip || target,
+                hostname: data.hostname || null,
+                city: data.city || null,
+                region: data.region || null,
+                country: data.country || null,
+                postalCode: data.postal || null,
+                latitude: Number.isFinite(latitude) ? latitude : null,
+                longitude: Number.isFinite(longitude) ? longitude : null,
+                organization: data.org || null,
+                timezone: data.timezone || null,
+            };
+            const place = [info.city, info.region, info.country].filter(Boolean).join(', ');
+            const summary = `IP ${info.ip}${place ? ` is located in ${place}` : ''}${info.organization ? ` (${info.organization})` : ''}.`;
+            return [`${summary}\n\n${JSON.stringify(info, null, 2)}`, info];
+        } catch (error) {
+            log.error(chalk.red(`IP lookup error: ${error.message}`), { error: error.message });
+            return [`IP lookup failed: ${error.message}`, { error: error.message }];
+        }
+    }
+}
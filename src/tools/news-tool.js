@@ -0,0 +1,88 @@
+import { DynamicStructuredTool } from '@langchain/core/tools';
+import { z } from 'zod';
+import chalk from 'chalk';
+import { logger } from '../logger.js';
+import { createHttpClient } from './http-client.js';
+import { decodeEntities, htmlToText } from './html-text.js';
+
+const log = logger.child({ component: 'news' });
+
+// Feed paths relative to NEWS_FEED_URL (BBC News by default)
+const TOPIC_FEEDS = {
+    top: 'rss.xml',
+    world: 'world/rss.xml',
+    business: 'business/rss.xml',
+    technology: 'technology/rss.xml',
+    science: 'science_and_environment/rss.xml',
+    health: 'health/rss.xml',
+    entertainment: 'entertainment_and_arts/rss.xml',
+};
+
+function readTag(xml, tag) {
+    const match = new RegExp(`<${tag}\\b[^>]*>([\\s\\S]*?)</${tag}>`, 'i').exec(xml);
+    if (!match) {
+        return null;
+    }
+    const cdata = /^\s*<!\[CDATA\[([\s\S]*?)\]\]>\s*$/.exec(match[1]);
+    return cdata ? cdata[1].trim() : decodeEntities(match[1]).trim();
+}
+
+// Reads the <item> (RSS) or <entry> (Atom) elements of a feed
+export function parseFeed(xml) {
+    const items = xml.match(/<(item|entry)\b[\s\S]*?<\/\1>/gi) || [];
+    return items.map((item) => {
+        const atomLink = /<link\b[^>]*href="([^"]+)"/i.exec(item);
+        const published = readTag(item, 'pubDate') || readTag(item, 'published') || readTag(item, 'updated');
+        const date = published ? new Date(published) : null;
+        const summary = readTag(item, 'description') || readTag(item, 'summary');
+        return {
+            title: htmlToText(readTag(item, 'title') || ''),
+            summary: summary ? htmlToText(summary) : null,
+            url: readTag(item, 'link') || (atomLink ? decodeEntities(atomLink[1]) : null),
+            publishedAt: date && !Number.isNaN(date.getTime()) ? date.toISOString() : null,
+        };
+    }).filter(item => item.title);
+}
+
+export class NewsTool extends DynamicStructuredTool {
+    constructor({ baseUrl } = {}) {
+        super({
+            name: 'get_news',
+            description: `Gets the latest news headlines with a short summary, link and publication time.
+            Use this for questions about current events or "what's in the news" on a topic.
+            Topics: ${Object.keys(TOPIC_FEEDS).join(', ')}.`,
+            responseFormat: 'content_and_artifact',
+            schema: z.object({
+                topic: z.enum(Object.keys(TOPIC_FEEDS)).optional().describe('News section (default "top").'),
+                limit: z.number().int().min(1).max(20).optional().describe('How many headlines to return (default 5).'),
+            }),
+            func: async ({ topic, limit }) => {
+                return await this.getNews(topic, limit);
+            },
+        });
+
+        this.client = createHttpClient({ baseUrl: baseUrl || process.env.NEWS_FEED_URL || 'https://feeds.bbci.co.uk/news' });
+    }
+
+    async initialize() {
+        log.debug(chalk.gray(`    📰 News tool ready (${this.client.baseUrl})`));
+    }
+
+    async getNews(topic = 'top', limit = 5) {
+        log.info(chalk.blue(`📰 Fetching ${topic} news headlines`));
+
+        try {
+            const xml = await this.client.getText(TOPIC_FEEDS[topic], { accept: 'application/rss+xml, application/xml, text/xml' });
+            const items = parseFeed(xml).slice(0, limit);
+            if (items.length === 0) {
+                return [`The ${topic} news feed returned no headlines.`, { topic, items: [] }];
+            }
+
+            const lines = items.map((item, index) => `${index + 1}. ${item.title}${item.publishedAt ? ` (${item.publishedAt})` : ''}${item.summary ? `\n   ${item.summary}` : ''}${item.url ? `\n   ${item.url}` : ''}`);
+            return [`Latest ${topic} headlines:\n\n${lines.join('\n')}`, { topic, items }];
+        } catch (error) {
+            log.error(chalk.red(`News lookup error: ${error.message}`), { error: error.message });
+            return [`Fetching ${topic} news failed: ${error.message}`, { error: error.message }];
+        }
+    }
+}
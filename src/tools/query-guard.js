@@ -0,0 +1,194 @@
+// Guardrails around LLM-generated queries: an EXPLAIN QUERY PLAN pre-check that
+// estimates how many row combinations a query will visit, and a streaming runner
+// that enforces a row cap and a time limit by interrupting the statement.
+import { tokenize } from './sql-validator.js';
+
+export const DEFAULT_GUARD_OPTIONS = {
+    timeoutMs: 10000,
+    maxRows: 1000,
+    warnScanCost: 1000000,
+    maxScanCost: 50000000,
+};
+
+// Words that can follow a table name without being its alias
+const NON_ALIAS_WORDS = new Set([
+    'AS', 'ON', 'USING', 'JOIN', 'INNER', 'LEFT', 'RIGHT', 'FULL', 'OUTER', 'CROSS', 'NATURAL',
+    'WHERE', 'GROUP', 'ORDER', 'HAVING', 'LIMIT', 'OFFSET', 'UNION', 'INTERSECT', 'EXCEPT',
+    'WINDOW', 'INDEXED', 'NOT', 'SELECT', 'FROM', 'VALUES',
+]);
+
+export function readGuardOptions(env = process.env) {
+    const number = (value, fallback) => {
+        const parsed = Number.parseInt(value, 10);
+        return Number.isFinite(parsed) && parsed > 0 ? parsed : fallback;
+    };
+
+    return {
+        timeoutMs: number(env.SQL_TIMEOUT_MS, DEFAULT_GUARD_OPTIONS.timeoutMs),
+        maxRows: number(env.SQL_MAX_ROWS, DEFAULT_GUARD_OPTIONS.maxRows),
+        warnScanCost: number(env.SQL_WARN_SCAN_COST, DEFAULT_GUARD_OPTIONS.warnScanCost),
+        maxScanCost: number(env.SQL_MAX_SCAN_COST, DEFAULT_GUARD_OPTIONS.maxScanCost),
+    };
+}
+
+// Maps aliases used in the query (FROM Track t) back to table names
+export function extractTableAliases(sql, tableNames) {
+    const known = new Map(tableNames.map(name => [name.toLowerCase(), name]));
+    const aliases = new Map();
+    let tokens;
+    try {
+        tokens = tokenize(sql);
+    } catch {
+        return aliases;
+    }
+
+    const nameOf = token => (token.type === 'identifier' ? token.value.slice(1, -1) : token.raw);
+
+    for (let i = 0; i < tokens.length; i++) {
+        const token = tokens[i];
+        if (token.type !== 'word' && token.type !== 'identifier') {
+            continue;
+        }
+        const table = known.get(nameOf(token).toLowerCase());
+        if (!table) {
+            continue;
+        }
+
+        let next = tokens[i + 1];
+        if (next?.type === 'word' && next.value === 'AS') {
+            next = tokens[i + 2];
+        }
+        if (next && (next.type === 'identifier' || (next.type === 'word' && !NON_ALIAS_WORDS.has(next.value)))) {
+            aliases.set(nameOf(next).toLowerCase(), table);
+        }
+    }
+
+    return aliases;
+}
+
+// planRows are the rows returned by EXPLAIN QUERY PLAN, rowCounts maps table name -> row count
+export function analyzeQueryPlan(planRows, { sql, rowCounts, warnScanCost, maxScanCost }) {
+    const countsByName = new Map(Array.from(rowCounts.entries()).map(([name, count]) => [name.toLowerCase(), count]));
+    const aliases = extractTableAliases(sql, Array.from(rowCounts.keys()));
+
+    // Full scans nested in the same SELECT multiply each other
+    const scansByParent = new Map();
+    for (const row of planRows) {
+        const match = /^SCAN (?:TABLE )?(\S+)(?: AS (\S+))?(.*)$/.exec(row.detail);
+        if (!match) {
+            continue;
+        }
+        const name = (match[2] || match[1]).toLowerCase();
+        const table = aliases.get(name) || match[1];
+        const rows = countsByName.get(table.toLowerCase());
+        if (rows === undefined) {
+            continue;
+        }
+
+        if (!scansByParent.has(row.parent)) {
+            scansByParent.set(row.parent, []);
+        }
+        scansByParent.get(row.parent).push({ table, rows, detail: row.detail });
+    }
+
+    let estimatedCost = 0;
+    let worst = [];
+    for (const scans of scansByParent.values()) {
+        const cost = scans.reduce((product, scan) => product * Math.max(scan.rows, 1), 1);
+        estimatedCost += cost;
+        if (scans.length > 1 && cost >= worst.reduce((product, scan) => product * Math.max(scan.rows, 1), 1)) {
+            worst = scans;
+        }
+    }
+
+    const fullScans = Array.from(scansByParent.values()).flat();
+    const product = worst.map(scan => `${scan.table} (${scan.rows})`).join(' × ');
+
+    if (worst.length > 1 && estimatedCost > maxScanCost) {
+        return {
+            verdict: 'refuse',
+            estimatedCost,
+            fullScans,
+            reason: `The plan combines full scans of ${product}, about ${estimatedCost.toLocaleString('en-US')} row combinations. This looks like a cartesian product.`,
+        };
+    }
+    if (worst.length > 1 && estimatedCost > warnScanCost) {
+        return {
+            verdict: 'warn',
+            estimatedCost,
+            fullScans,
+            reason: `The plan combines full scans of ${product}, about ${estimatedCost.toLocaleString('en-US')} row combinations. Add JOIN ... ON conditions if this was not intended.`,
+        };
+    }
+    return { verdict: 'ok', estimatedCost, fullScans, reason: null };
+}
+
+// The statement without its closing semicolon (and the comments after it), so it can be nested
+function asSubquery(sql) {
+    return sql.trim().replace(/;(?:\s|--[^\n]*|\/\*[\s\S]*?\*\/)*$/, '');
+}
+
+// Runs a read query as a subquery: sqlite3 returns rows as objects, so columns that share a
+// name ("SELECT ar.Name, g.Name ...") would collapse into one, while SQLite names the columns
+// of a subquery uniquely ("Name", "Name:1")
+export function uniqueColumnsQuery(sql) {
+    return `SELECT * FROM (\n${asSubquery(sql)}\n)`;
+}
+
+// sqlite3 has no column metadata, so the names of a query that returned no rows come from
+// left-joining it to a single row, which yields one row of NULLs with every column
+export async function probeColumns(db, sql, { timeoutMs }) {
+    const probe = `SELECT * FROM (SELECT 1 AS __probe) LEFT JOIN (\n${asSubquery(sql)}\n) ON 1 LIMIT 1`;
+    const { rows } = await streamRows(db, probe, { maxRows: 1, timeoutMs });
+    return rows.length > 0 ? Object.keys(rows[0]).slice(1) : [];
+}
+
+// Streams rows through db.each so that at most maxRows are kept, and interrupts the
+// statement when the cap is reached or the time limit passes
+export function streamRows(db, sql, { maxRows, timeoutMs }) {
+    return new Promise((resolve, reject) => {
+        const rows = [];
+        let truncated = false;
+        let timedOut = false;
+        let rowError = null;
+        const startedAt = Date.now();
+
+        const timer = setTimeout(() => {
+            timedOut = true;
+            db.interrupt();
+        }, timeoutMs);
+
+        db.each(sql, (error, row) => {
+            if (error) {
+                rowError = error;
+                return;
+            }
+            if (truncated) {
+                return;
+            }
+            if (rows.length >= maxRows) {
+                truncated = true;
+                db.interrupt();
+                return;
+            }
+            rows.push(row);
+        }, (error) => {
+            clearTimeout(timer);
+            const durationMs = Date.now() - startedAt;
+            const failure = error || rowError;
+
+            if (timedOut) {
+                const timeoutError = new Error(`Query exceeded the ${timeoutMs / 1000}s time limit and was interrupted`);
+                timeoutError.code = 'QUERY_TIMEOUT';
+                reject(timeoutError);
+                return;
+            }
+            // Interrupting on purpose once the row cap is hit is not a failure
+            if (failure && !(truncated && failure.code === 'SQLITE_INTERRUPT')) {
+                reject(failure);
+                return;
+            }
+            resolve({ rows, truncated, durationMs });
+        });
+    });
+}
@@ -0,0 +1,88 @@
+// Structured query results and the renderers that turn them into Markdown tables,
+// CSV or JSON. A result is { database, sql, columns, rows, totalCount, truncated }
+// where rows are arrays aligned with columns.
+import path from 'path';
+import fs from 'fs';
+
+export const EXPORT_FORMATS = ['csv', 'json'];
+
+// `columns` names the columns of an empty result; otherwise they are read from the first row
+export function toQueryResult({ database, sql, rows, columns = null, truncated = false }) {
+    columns = rows.length > 0 ? Object.keys(rows[0]) : columns || [];
+    return {
+        database,
+        sql,
+        columns,
+        rows: rows.map(row => columns.map(column => row[column])),
+        totalCount: rows.length,
+        truncated,
+    };
+}
+
+function formatCell(value) {
+    if (value === null || value === undefined) {
+        return 'NULL';
+    }
+    // Pipes and newlines would break the table layout
+    return String(value).replace(/\|/g, '\\|').replace(/\r?\n/g, ' ');
+}
+
+export function renderMarkdownTable(result, { maxRows = 10 } = {}) {
+    if (result.rows.length === 0) {
+        return '_No rows._';
+    }
+
+    const header = `| ${result.columns.map(formatCell).join(' | ')} |`;
+    const divider = `| ${result.columns.map(() => '---').join(' | ')} |`;
+    const body = result.rows.slice(0, maxRows).map(row => `| ${row.map(formatCell).join(' | ')} |`);
+    const lines = [header, divider, ...body];
+
+    const hidden = result.rows.length - Math.min(result.rows.length, maxRows);
+    if (hidden > 0) {
+        lines.push('', `_… ${hidden} more row(s) not shown._`);
+    }
+    return lines.join('\n');
+}
+
+function csvField(value) {
+    if (value === null || value === undefined) {
+        return '';
+    }
+    const text = String(value);
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+export function toCSV(result) {
+    const lines = [result.columns, ...result.rows].map(row => row.map(csvField).join(','));
+    return `${lines.join('\r\n')}\r\n`;
+}
+
+export function toJSON(result) {
+    const records = result.rows.map(row => Object.fromEntries(result.columns.map((column, index) => [column, row[index]])));
+    return JSON.stringify({
+        database: result.database,
+        sql: result.sql,
+        columns: result.columns,
+        totalCount: result.totalCount,
+        truncated: result.truncated,
+        rows: records,
+    }, null, 2);
+}
+
+export function safeFileName(name) {
+    const cleaned = String(name || 'query').toLowerCase().replace(/[^a-z0-9_-]+/g, '-').replace(/^-+|-+$/g, '');
+    return cleaned.slice(0, 60) || 'query';
+}
+
+// Writes the full result set to <exportDir>/<name>-<timestamp>.<format> and returns the path
+export function exportResult(result, { format, exportDir, name }) {
+    if (!EXPORT_FORMATS.includes(format)) {
+        throw new Error(`Unsupported export format "${format}". Use one of: ${EXPORT_FORMATS.join(', ')}`);
+    }
+
+    fs.mkdirSync(exportDir, { recursive: true });
+    const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
+    const filePath = path.join(exportDir, `${safeFileName(name)}-${timestamp}.${format}`);
+    fs.writeFileSync(filePath, format === 'csv' ? toCSV(result) : toJSON(result), 'utf-8');
+    return filePath;
+}
@@ -0,0 +1,95 @@
+// Reads a live SQLite schema through sqlite_master and PRAGMA so tool descriptions
+// always match the database files that are actually loaded.
+
+const SAMPLE_VALUES = 3;
+const SAMPLE_MAX_LENGTH = 40;
+
+export function quoteIdentifier(name) {
+    return `"${String(name).replace(/"/g, '""')}"`;
+}
+
+export async function introspectDatabase(db, { sampleSize = SAMPLE_VALUES } = {}) {
+    const tableRows = await db.allAsync(
+        "SELECT name FROM sqlite_master WHERE type = 'table' AND name NOT LIKE 'sqlite_%' ORDER BY name"
+    );
+
+    const tables = [];
+    for (const { name } of tableRows) {
+        const table = quoteIdentifier(name);
+        const columnRows = await db.allAsync(`PRAGMA table_info(${table})`);
+        const foreignKeyRows = await db.allAsync(`PRAGMA foreign_key_list(${table})`);
+        const { count } = (await db.allAsync(`SELECT COUNT(*) AS count FROM ${table}`))[0];
+
+        const foreignKeys = foreignKeyRows.map(fk => ({ column: fk.from, table: fk.table, references: fk.to }));
+        const columns = [];
+        for (const column of columnRows) {
+            const foreignKey = foreignKeys.find(fk => fk.column === column.name);
+            const isKey = column.pk > 0 || Boolean(foreignKey);
+
+            // Key columns are opaque ids, samples only help for descriptive values
+            let samples = [];
+            if (!isKey && sampleSize > 0 && count > 0) {
+                const sampleRows = await db.allAsync(
+                    `SELECT DISTINCT ${quoteIdentifier(column.name)} AS value FROM ${table} WHERE ${quoteIdentifier(column.name)} IS NOT NULL LIMIT ?`,
+                    [sampleSize]
+                );
+                samples = sampleRows.map(row => truncateSample(row.value));
+            }
+
+            columns.push({
+                name: column.name,
+                type: column.type || 'ANY',
+                notNull: column.notnull === 1,
+                primaryKey: column.pk > 0,
+                foreignKey: foreignKey ? { table: foreignKey.table, column: foreignKey.references } : null,
+                samples,
+            });
+        }
+
+        tables.push({ name, rowCount: count, columns, foreignKeys });
+    }
+
+    return { tables };
+}
+
+function truncateSample(value) {
+    if (typeof value !== 'string') {
+        return value;
+    }
+    return value.length > SAMPLE_MAX_LENGTH ? `${value.slice(0, SAMPLE_MAX_LENGTH)}…` : value;
+}
+
+function formatColumn(column) {
+    let text = `${column.name} ${column.type}`;
+    if (column.primaryKey) {
+        text += ' PK';
+    }
+    if (column.foreignKey) {
+        text += ` FK→${column.foreignKey.table}.${column.foreignKey.column}`;
+    }
+    return text;
+}
+
+function formatSamples(columns) {
+    return columns
+        .filter(column => column.samples.length > 0)
+        .map(column => `${column.name}: ${column.samples.map(value => JSON.stringify(value)).join(', ')}`)
+        .join('; ');
+}
+
+export function formatSchemaForPrompt(dbName, schema, { isDefault = false } = {}) {
+    const header = `Database "${dbName}"${isDefault ? ' (default)' : ''}:`;
+    const lines = schema.tables.map(table => {
+        let text = `${table.name} (${table.rowCount} rows): ${table.columns.map(formatColumn).join(', ')}`;
+        const samples = formatSamples(table.columns);
+        if (samples) {
+            text += `\n  samples → ${samples}`;
+        }
+        return text;
+    });
+    return [header, ...lines].join('\n');
+}
+
+export function formatTableSummary(schema) {
+    return schema.tables.map(table => table.name).join(', ');
+}
@@ -0,0 +1,56 @@
+import { SystemMessage, HumanMessage } from '@langchain/core/messages';
+import { tokenize } from './sql-validator.js';
+
+// Tables named in a query, matched case-insensitively against the known schema
+export function findReferencedTables(sql, tableNames) {
+    const known = new Map(tableNames.map(name => [name.toLowerCase(), name]));
+    const found = new Set();
+    let tokens;
+    try {
+        tokens = tokenize(sql);
+    } catch {
+        return [];
+    }
+
+    for (const token of tokens) {
+        const name = token.type === 'identifier' ? token.value.slice(1, -1) : token.raw;
+        if ((token.type === 'word' || token.type === 'identifier') && known.has(name.toLowerCase())) {
+            found.add(known.get(name.toLowerCase()));
+        }
+    }
+    return Array.from(found);
+}
+
+// Pulls the SQL out of a model reply that may wrap it in a ```sql fence
+export function extractSql(text) {
+    const content = typeof text === 'string' ? text : String(text ?? '');
+    const fenced = /```(?:sql|sqlite)?\s*([\s\S]*?)```/i.exec(content);
+    return (fenced ? fenced[1] : content).trim();
+}
+
+// Builds the repairer DatabaseTool calls after a SQLite error. It asks the model for
+// a corrected query given the error, the failed query and the schemas involved.
+export function createSqlRepairer(llm) {
+    return async ({ question, failedQuery, error, schemaText, previousAttempts }) => {
+        const history = previousAttempts
+            .map((attempt, index) => `${index + 1}. ${attempt.sql}\n   Error: ${attempt.error}`)
+            .join('\n');
+
+        const response = await llm.invoke([
+            new SystemMessage(`You fix SQLite queries. Reply with one corrected read-only SELECT statement and nothing else.
+Only use tables and columns from the schema you are given.`),
+            new HumanMessage(`${question ? `User question: ${question}\n\n` : ''}Failed query:
+${failedQuery}
+
+SQLite error: ${error}
+
+Attempts so far:
+${history}
+
+Relevant schema:
+${schemaText}`),
+        ]);
+
+        return extractSql(response.content);
+    };
+}
@@ -0,0 +1,200 @@
+// Statement-level validator for LLM-generated SQL. It tokenizes the query so that
+// keywords inside string literals, quoted identifiers and comments are ignored,
+// then only lets a single read statement through.
+
+// Introspection PRAGMAs that cannot change anything when called without "="
+export const ALLOWED_PRAGMAS = [
+    'table_info',
+    'table_xinfo',
+    'table_list',
+    'foreign_key_list',
+    'index_list',
+    'index_info',
+    'index_xinfo',
+    'database_list',
+    'collation_list',
+    'function_list',
+];
+
+const READ_STATEMENTS = ['SELECT', 'WITH', 'VALUES'];
+
+const FORBIDDEN_KEYWORDS = [
+    'INSERT', 'UPDATE', 'DELETE', 'REPLACE', 'UPSERT', 'DROP', 'CREATE', 'ALTER',
+    'ATTACH', 'DETACH', 'VACUUM', 'REINDEX', 'ANALYZE', 'PRAGMA', 'BEGIN', 'COMMIT',
+    'ROLLBACK', 'SAVEPOINT', 'RELEASE',
+];
+
+// Keywords that are also scalar functions when followed by "("
+const FUNCTION_KEYWORDS = ['REPLACE'];
+
+const FORBIDDEN_FUNCTIONS = ['LOAD_EXTENSION', 'WRITEFILE', 'READFILE', 'EDIT', 'FTS3_TOKENIZER'];
+
+class SqlTokenizeError extends Error {}
+
+export function tokenize(sql) {
+    const tokens = [];
+    let i = 0;
+
+    const readQuoted = (close, type) => {
+        const start = i;
+        i++;
+        while (i < sql.length) {
+            if (sql[i] === close) {
+                // Doubled quote characters are escapes inside the literal
+                if (close !== ']' && sql[i + 1] === close) {
+                    i += 2;
+                    continue;
+                }
+                i++;
+                tokens.push({ type, value: sql.slice(start, i) });
+                return;
+            }
+            i++;
+        }
+        throw new SqlTokenizeError(`Unterminated ${type === 'string' ? 'string literal' : 'quoted identifier'} starting at position ${start}`);
+    };
+
+    while (i < sql.length) {
+        const char = sql[i];
+
+        if (/\s/.test(char)) {
+            i++;
+        } else if (char === '-' && sql[i + 1] === '-') {
+            const end = sql.indexOf('\n', i);
+            i = end === -1 ? sql.length : end + 1;
+        } else if (char === '/' && sql[i + 1] === '*') {
+            const end = sql.indexOf('*/', i + 2);
+            if (end === -1) {
+                throw new SqlTokenizeError(`Unterminated comment starting at position ${i}`);
+            }
+            i = end + 2;
+        } else if (char === "'") {
+            readQuoted("'", 'string');
+        } else if (char === '"') {
+            readQuoted('"', 'identifier');
+        } else if (char === '`') {
+            readQuoted('`', 'identifier');
+        } else if (char === '[') {
+            readQuoted(']', 'identifier');
+        } else if (/[A-Za-z_]/.test(char)) {
+            const match = /^[A-Za-z_][A-Za-z0-9_$]*/.exec(sql.slice(i));
+            tokens.push({ type: 'word', value: match[0].toUpperCase(), raw: match[0] });
+            i += match[0].length;
+        } else if (char === ';') {
+            tokens.push({ type: 'semicolon', value: ';' });
+            i++;
+        } else {
+            tokens.push({ type: 'symbol', value: char });
+            i++;
+        }
+    }
+
+    return tokens;
+}
+
+function splitStatements(tokens) {
+    const statements = [[]];
+    for (const token of tokens) {
+        if (token.type === 'semicolon') {
+            statements.push([]);
+        } else {
+            statements[statements.length - 1].push(token);
+        }
+    }
+    return statements.filter(statement => statement.length > 0);
+}
+
+function reject(code, reason, hint) {
+    return { ok: false, code, reason, hint };
+}
+
+function validatePragma(tokens) {
+    // PRAGMA [schema.]name [= value | (argument)]
+    let nameIndex = 1;
+    if (tokens[2]?.value === '.') {
+        nameIndex = 3;
+    }
+    const name = tokens[nameIndex]?.type === 'word' ? tokens[nameIndex].raw.toLowerCase() : null;
+
+    if (!name) {
+        return reject('INVALID_PRAGMA', 'The PRAGMA statement has no name.', 'Use e.g. PRAGMA table_info(TableName).');
+    }
+    if (tokens.some(token => token.value === '=')) {
+        return reject('PRAGMA_WRITE', `PRAGMA ${name} is used with "=", which changes database settings.`,
+            'PRAGMAs may only be read.');
+    }
+    if (!ALLOWED_PRAGMAS.includes(name)) {
+        return reject('PRAGMA_NOT_ALLOWED', `PRAGMA ${name} is not on the allow-list.`,
+            `Allowed PRAGMAs: ${ALLOWED_PRAGMAS.join(', ')}.`);
+    }
+    return { ok: true, type: 'PRAGMA' };
+}
+
+function validateRead(tokens) {
+    for (let i = 0; i < tokens.length; i++) {
+        const token = tokens[i];
+        if (token.type !== 'word') {
+            continue;
+        }
+
+        const isCall = tokens[i + 1]?.value === '(';
+        if (isCall && FORBIDDEN_FUNCTIONS.includes(token.value)) {
+            return reject('FUNCTION_NOT_ALLOWED', `The function ${token.raw}() is not allowed.`,
+                'Only use built-in scalar and aggregate functions.');
+        }
+        if (FORBIDDEN_KEYWORDS.includes(token.value) && !(isCall && FUNCTION_KEYWORDS.includes(token.value))) {
+            return reject('WRITE_KEYWORD', `${token.value} is not allowed inside a read-only query.`,
+                'Write a single SELECT (optionally with WITH) that only reads data. Quote identifiers that clash with keywords.');
+        }
+    }
+    return { ok: true, type: tokens[0].value };
+}
+
+function validateStatement(tokens) {
+    const keyword = tokens[0].value;
+
+    if (keyword === 'EXPLAIN') {
+        const offset = tokens[1]?.value === 'QUERY' && tokens[2]?.value === 'PLAN' ? 3 : 1;
+        if (tokens.length <= offset) {
+            return reject('EMPTY_QUERY', 'EXPLAIN needs a statement to explain.', 'Use EXPLAIN QUERY PLAN SELECT ...');
+        }
+        const inner = validateStatement(tokens.slice(offset));
+        return inner.ok ? { ok: true, type: 'EXPLAIN' } : inner;
+    }
+    if (keyword === 'PRAGMA') {
+        return validatePragma(tokens);
+    }
+    if (READ_STATEMENTS.includes(keyword)) {
+        return validateRead(tokens);
+    }
+    return reject('STATEMENT_NOT_ALLOWED', `${keyword} statements are not allowed. Only read queries can be run.`,
+        'Start the query with SELECT or WITH.');
+}
+
+// Returns { ok: true, type } or { ok: false, code, reason, hint }
+export function validateReadOnlyQuery(sql) {
+    if (typeof sql !== 'string' || sql.trim() === '') {
+        return reject('EMPTY_QUERY', 'The query is empty.', 'Provide a SELECT query.');
+    }
+
+    let tokens;
+    try {
+        tokens = tokenize(sql);
+    } catch (error) {
+        if (error instanceof SqlTokenizeError) {
+            return reject('SYNTAX_ERROR', error.message, 'Close every string literal, quoted identifier and comment.');
+        }
+        throw error;
+    }
+
+    const statements = splitStatements(tokens);
+    if (statements.length === 0) {
+        return reject('EMPTY_QUERY', 'The query only contains comments or semicolons.', 'Provide a SELECT query.');
+    }
+    if (statements.length > 1) {
+        return reject('MULTIPLE_STATEMENTS', `Found ${statements.length} statements, but only one can be run per call.`,
+            'Send a single statement, or combine the logic with JOINs, subqueries or WITH.');
+    }
+
+    return validateStatement(statements[0]);
+}
@@ -1,141 +1,155 @@
 import { DynamicStructuredTool } from '@langchain/core/tools';
 import { z } from 'zod';
-import { exec } from 'child_process';
-import { promisify } from 'util';
+import path from 'path';
 import chalk from 'chalk';
+import { logger } from '../logger.js';
+import { loadCommandPolicy, checkCommand, buildCommandEnv, DEFAULT_POLICY_PATH } from './command-policy.js';
+import { runPipeline } from './command-runner.js';
+import { formatOutputForModel, saveFullOutput } from './command-output.js';
 
-const execAsync = promisify(exec);
+const log = logger.child({ component: 'terminal' });
 
-export class TerminalTool extends DynamicStructuredTool {
-    constructor() {
-        super({
-            name: 'execute_command',
-            description: `Execute system commands to fetch real-time external data and current information.
-            Essential for getting live data that changes frequently or requires external APIs.
+const BASE_DESCRIPTION = `Execute system commands to fetch real-time information that no other tool provides.
             
             Available capabilities:
-            - Weather: Current weather conditions and forecasts
             - Time/Date: Current timestamp and timezone information  
-            - Network: IP address, location, ISP information
             - System: Computer specifications and status
-            - News: Latest headlines and current events
-            - Finance: Currency exchange rates and market data
-            - Web Search: Current information from the internet
+            - Web: Other public HTTP endpoints on the allowed hosts
+            
+            For weather, exchange rates, IP/location and news use get_weather, get_exchange_rate,
+            get_ip_info and get_news instead; they return parsed fields and need no approval.
             
             IMPORTANT: You are the agent responsible for ALL command logic.
             Analyze what type of external data the user needs and generate the appropriate system command.
-            This tool will ask for user approval before executing commands for security.
+            Every command is shown to the user, who approves, edits or denies it before it runs.
             
             Command examples you can generate:
-            - Weather: curl weather APIs
             - Time: date/time system commands  
-            - Network: curl IP information APIs
-            - News: curl RSS feeds or news APIs
-            - Finance: curl exchange rate APIs`,
+            - System: uname, whoami, hostname`;
+
+function buildDescription(policy) {
+    if (!policy) {
+        return BASE_DESCRIPTION;
+    }
+    return `${BASE_DESCRIPTION}
+
+            Commands run WITHOUT a shell: ${policy.allowPipes ? 'pipes (|) work, but ' : 'pipes, '}redirects, ;, &&, $(...) and $VARIABLES are rejected.
+            Allowed commands: ${Object.keys(policy.binaries).join(', ')}.
+            Allowed hosts for curl: ${policy.allowedHosts.join(', ')}.`;
+}
+
+export class TerminalTool extends DynamicStructuredTool {
+    constructor({ policyPath, outputPath, outputMaxTokens } = {}) {
+        super({
+            name: 'execute_command',
+            description: buildDescription(null),
+            responseFormat: 'content_and_artifact',
             schema: z.object({
                 command: z.string().describe('The specific system command you want to execute to get the required external data'),
             }),
+            // Content is the (condensed) output for the LLM, the artifact describes the run (null when it did not run)
             func: async ({ command }) => {
-                return await this.executeCommand(command);
+                const { text, result } = await this.executeCommand(command);
+                return [text, result];
             },
         });
-        
-        this.pendingApproval = null;
+
+        // The agent graph pauses for a human decision before running tools marked like this
+        this.requiresApproval = true;
+        this.policyPath = policyPath || process.env.COMMAND_POLICY_PATH || DEFAULT_POLICY_PATH;
+        this.policy = null;
+        this.outputMaxTokens = outputMaxTokens ?? Number.parseInt(process.env.COMMAND_OUTPUT_MAX_TOKENS || '2000', 10);
+        this.outputPath = outputPath || path.join(process.cwd(), 'data', 'command-output');
     }
 
     async initialize() {
-        console.log(chalk.gray('    🖥️  Terminal tool ready'));
+        // An invalid policy fails initialization, so commands never run unchecked
+        this.policy = loadCommandPolicy(this.policyPath);
+        this.description = buildDescription(this.policy);
+        log.debug(chalk.gray(`    🖥️  Terminal tool ready (policy: ${this.policyPath}, ${Object.keys(this.policy.binaries).length} commands allowed)`));
     }
 
+    // Returns { text, result }: text for the LLM and { command, exitCode, truncated, savedTo } when it ran
     async executeCommand(agentCommand) {
-        console.log(chalk.blue(`🔍 Agent wants to execute command: "${agentCommand}"`));
-        
-        // Validate the command for security
-        if (!this.isCommandSafe(agentCommand)) {
-            return 'Command rejected for security reasons. Only safe read-only commands for external data are allowed.';
-        }
+        log.info(chalk.blue(`🔍 Agent wants to execute command: "${agentCommand}"`));
         
-        // This is a critical change: we now handle the user's response.
-        // The agent will first ask for permission. If the user says "yes",
-        // the agent will call the tool AGAIN, but this time we need to bypass the approval.
-        if (!this.pendingApproval) {
-            this.pendingApproval = agentCommand;
-            return `This command requires user approval. Please ask the user for permission to execute: "${agentCommand}"`;
+        const check = checkCommand(agentCommand, this.policy);
+        if (!check.ok) {
+            log.warn(chalk.yellow(`🛡️  Command rejected (${check.code}): ${check.reason}`), { command: agentCommand, code: check.code });
+            return { text: this.formatRejection(agentCommand, check), result: null };
         }
 
-        // If we are here, it means the user has already approved.
-        // We clear the pending approval to avoid re-running without permission.
-        if (this.pendingApproval !== agentCommand) {
-            return `Error: The approved command "${this.pendingApproval}" does not match the current command "${agentCommand}". Aborting for security.`;
-        }
-        this.pendingApproval = null; // Reset after use
-        
-        console.log(chalk.blue(`🚀 Executing agent command: ${agentCommand}`));
-        
+        log.info(chalk.blue(`🚀 Executing agent command: ${agentCommand}`), { command: agentCommand });
+
         try {
-            const { stdout, stderr } = await execAsync(agentCommand, { 
-                timeout: 30000, // 30 second timeout
-                maxBuffer: 1024 * 1024 // 1MB buffer
+            const { stdout, stderr, exitCode, truncated } = await runPipeline(check.pipeline, {
+                cwd: this.policy.workingDirectory,
+                env: buildCommandEnv(this.policy),
+                timeoutMs: this.policy.timeoutMs,
+                maxOutputBytes: this.policy.maxOutputBytes,
             });
-            
+
             if (stderr) {
-                console.warn(chalk.yellow('Command stderr:'), stderr);
+                log.warn(chalk.yellow(`Command stderr: ${stderr}`), { stderr });
             }
-            
-            return this.formatCommandOutput(stdout, agentCommand);
+            const result = { command: agentCommand, exitCode, truncated, savedTo: null };
+            if (exitCode !== 0) {
+                let output = '';
+                if (stdout.trim()) {
+                    const condensed = this.condenseOutput(stdout, agentCommand);
+                    result.savedTo = condensed.savedTo;
+                    output = `\n\nstdout:\n${condensed.text}${condensed.savedNote}`;
+                }
+                return {
+                    text: `Command exited with code ${exitCode}.${stderr ? `\n\nstderr:\n${stderr.trim()}` : ''}${output}`,
+                    result,
+                };
+            }
+
+            const { text, savedTo } = this.formatCommandOutput(stdout, agentCommand);
+            result.savedTo = savedTo;
+            return {
+                text: truncated ? `${text}\n\n[Output stopped at ${this.policy.maxOutputBytes} bytes]` : text,
+                result,
+            };
         } catch (error) {
-            console.error(chalk.red('Command execution error:'), error.message);
-            return `Command execution failed: ${error.message}. Try a different approach or command.`;
+            log.error(chalk.red(`Command execution error: ${error.message}`), { error: error.message });
+            return { text: `Command execution failed: ${error.message}. Try a different approach or command.`, result: null };
         }
     }
 
-    isCommandSafe(command) {
-        const cmd = command.toLowerCase().trim();
-        
-        // Allow safe read-only commands
-        const safeCommands = [
-            'curl', 'wget', 'date', 'time', 'echo', 'cat', 
-            'ls', 'dir', 'pwd', 'whoami', 'uname', 'systeminfo',
-            'head', 'tail', 'grep', 'find', 'which', 'where'
-        ];
-        
-        // Allow safe APIs and websites
-        const safeUrls = [
-            'wttr.in', 'ipinfo.io', 'api.exchangerate-api.com',
-            'feeds.bbci.co.uk', 'api.duckduckgo.com', 'httpbin.org'
-        ];
-        
-        // Block dangerous commands
-        const dangerousCommands = [
-            'rm', 'del', 'rmdir', 'rd', 'format', 'fdisk',
-            'kill', 'taskkill', 'shutdown', 'reboot', 'halt',
-            'chmod', 'chown', 'su', 'sudo', 'passwd',
-            'nc', 'netcat', 'telnet', 'ssh', 'ftp',
-            'wget -O'
-        ];
-        
-        // Check for dangerous patterns
-        for (const dangerous of dangerousCommands) {
-            if (cmd.includes(dangerous.toLowerCase())) {
-                return false;
-            }
-        }
-        
-        // Check if it starts with a safe command or contains safe URLs
-        const startsWithSafe = safeCommands.some(safe => cmd.startsWith(safe));
-        const containsSafeUrl = safeUrls.some(url => cmd.includes(url));
-        
-        return startsWithSafe || containsSafeUrl;
+    formatRejection(command, { code, reason, hint }) {
+        return `⚠️ Command rejected by the command policy.
+${JSON.stringify({ code, reason, hint }, null, 2)}
+Rejected command: ${command}`;
     }
 
-
-    formatCommandOutput(output) {
+    // Returns { text, savedTo } where savedTo is the file holding the full output, if one was written
+    formatCommandOutput(output, command) {
         if (!output || output.trim() === '') {
-            return 'The command executed successfully but returned no output.';
+            return { text: 'The command executed successfully but returned no output.', savedTo: null };
         }
-        
-        // Return the raw, untruncated output.
-        // The LLM is responsible for interpreting this and deciding what's important.
-        return `Command executed. Raw output:\n\n${output.trim()}`;
+
+        const { text, contentType, savedNote, savedTo } = this.condenseOutput(output, command);
+        const label = { json: 'JSON output (pretty-printed, long arrays and strings pruned)', html: 'HTML output converted to text', text: 'Output' }[contentType];
+        return { text: `Command executed. ${label}:\n\n${text}${savedNote}`, savedTo };
+    }
+
+    // HTML and JSON are condensed and long output is cut to the token budget;
+    // whenever the model sees less than the raw output, the full output is saved.
+    // Returns { text, contentType, savedNote, savedTo }
+    condenseOutput(output, command) {
+        const formatted = formatOutputForModel(output, { maxTokens: this.outputMaxTokens });
+        let savedNote = '';
+        let savedTo = null;
+        if (formatted.text !== output.trim()) {
+            try {
+                savedTo = path.relative(process.cwd(), saveFullOutput(output, { outputDir: this.outputPath, command, contentType: formatted.contentType }));
+                savedNote = `\n\nFull output (${formatted.originalBytes} bytes) saved to ${savedTo}`;
+            } catch (error) {
+                log.warn(chalk.yellow(`⚠️  Could not save the full command output: ${error.message}`));
+            }
+        }
+        return { text: formatted.text, contentType: formatted.contentType, savedNote, savedTo };
     }
 }
@@ -0,0 +1,106 @@
+import { createHash } from 'crypto';
+import path from 'path';
+import fs from 'fs';
+
+function contentHash(chunk) {
+    return createHash('sha1').update(`${chunk.headingPath.join(' › ')}\n${chunk.text}`).digest('hex');
+}
+
+function cosine(a, b) {
+    let dot = 0;
+    let normA = 0;
+    let normB = 0;
+    for (let i = 0; i < a.length; i++) {
+        dot += a[i] * b[i];
+        normA += a[i] * a[i];
+        normB += b[i] * b[i];
+    }
+    return normA && normB ? dot / Math.sqrt(normA * normB) : 0;
+}
+
+// Chunk vectors kept in memory and cached on disk by content hash, so unchanged
+// sections are not embedded again on the next start.
+export class VectorIndex {
+    constructor({ embeddings, cachePath }) {
+        this.embeddings = embeddings;
+        this.cachePath = cachePath;
+        this.entries = new Map();
+        this.cache = new Map();
+    }
+
+    get size() {
+        return this.entries.size;
+    }
+
+    loadCache() {
+        if (!fs.existsSync(this.cachePath)) {
+            return;
+        }
+        // A truncated or corrupt cache is ignored like one from another model;
+        // the sections are embedded again and the cache is rewritten
+        let saved;
+        try {
+            saved = JSON.parse(fs.readFileSync(this.cachePath, 'utf-8'));
+        } catch {
+            return;
+        }
+        // Vectors from another model are not comparable
+        if (saved?.model !== this.embeddings.modelId || !saved.vectors || typeof saved.vectors !== 'object') {
+            return;
+        }
+        this.cache = new Map(Object.entries(saved.vectors));
+    }
+
+    saveCache() {
+        fs.mkdirSync(path.dirname(this.cachePath), { recursive: true });
+        const vectors = Object.fromEntries(Array.from(this.entries.values()).map(entry => [entry.hash, entry.vector]));
+        // Written next to the cache and renamed, so a crash mid-write leaves the old file intact
+        fs.writeFileSync(`${this.cachePath}.tmp`, JSON.stringify({ model: this.embeddings.modelId, vectors }), 'utf-8');
+        fs.renameSync(`${this.cachePath}.tmp`, this.cachePath);
+    }
+
+    // Returns how many chunks had to be embedded (the rest came from the cache)
+    async add(chunks) {
+        const pending = [];
+        for (const chunk of chunks) {
+            const hash = contentHash(chunk);
+            if (this.cache.has(hash)) {
+                this.entries.set(chunk.id, { chunk, hash, vector: this.cache.get(hash) });
+            } else {
+                pending.push({ chunk, hash });
+            }
+        }
+
+        if (pending.length > 0) {
+            const vectors = await this.embeddings.embedDocuments(
+                pending.map(({ chunk }) => `${chunk.headingPath.join(' › ')}\n${chunk.text}`)
+            );
+            pending.forEach(({ chunk, hash }, index) => {
+                this.entries.set(chunk.id, { chunk, hash, vector: vectors[index] });
+                this.cache.set(hash, vectors[index]);
+            });
+        }
+        return pending.length;
+    }
+
+    removeFile(fileName) {
+        for (const [id, entry] of this.entries) {
+            if (entry.chunk.file === fileName) {
+                this.entries.delete(id);
+            }
+        }
+    }
+
+    async search(query, topK = 3) {
+        if (this.entries.size === 0) {
+            return [];
+        }
+
+        const queryVector = await this.embeddings.embedQuery(query);
+        return Array.from(this.entries.values())
+            .map(({ chunk, vector }) => ({ chunk, score: cosine(queryVector, vector) }))
+            .filter(result => result.score > 0)
+            .sort((a, b) => b.score - a.score)
+            .slice(0, topK);
+    }
+}
@@ -0,0 +1,90 @@
+import { DynamicStructuredTool } from '@langchain/core/tools';
+import { z } from 'zod';
+import chalk from 'chalk';
+import { logger } from '../logger.js';
+import { createHttpClient } from './http-client.js';
+
+const log = logger.child({ component: 'weather' });
+
+const first = (list) => (Array.isArray(list) ? list[0] : undefined);
+const text = (list) => first(list)?.value?.trim() || null;
+const number = (value) => (value === undefined || value === null || value === '' ? null : Number(value));
+
+// Current conditions and a short forecast from wttr.in's JSON format (format=j1)
+export class WeatherTool extends DynamicStructuredTool {
+    constructor({ baseUrl } = {}) {
+        super({
+            name: 'get_weather',
+            description: `Gets the current weather and a 3-day forecast for a city.
+            Use this for any question about weather, temperature, rain or wind in a place.
+            Returns normalized fields (temperature, feels like, condition, humidity, wind, forecast).`,
+            responseFormat: 'content_and_artifact',
+            schema: z.object({
+                city: z.string().min(1).describe('City name, optionally with country, e.g. "Lisbon" or "Paris, France".'),
+                units: z.enum(['metric', 'imperial']).optional()
+                    .describe('"metric" (°C, km/h, default) or "imperial" (°F, mph).'),
+            }),
+            func: async ({ city, units }) => {
+                return await this.getWeather(city, units);
+            },
+        });
+
+        this.client = createHttpClient({ baseUrl: baseUrl || process.env.WEATHER_API_URL || 'https://wttr.in' });
+    }
+
+    async initialize() {
+        log.debug(chalk.gray(`    🌦️  Weather tool ready (${this.client.baseUrl})`));
+    }
+
+    async getWeather(city, units = 'metric') {
+        log.info(chalk.blue(`🌦️  Fetching weather for: "${city}"`));
+
+        try {
+            const data = await this.client.getJson(encodeURIComponent(city.trim()), { query: { format: 'j1' } });
+            const weather = this.normalize(data, city, units);
+            const current = weather.current;
+            const summary = `Weather in ${weather.location.name}${weather.location.country ? `, ${weather.location.country}` : ''}: ${current.condition}, ${current.temperature}${weather.units.temperature} (feels like ${current.feelsLike}${weather.units.temperature}).`;
+            return [`${summary}\n\n${JSON.stringify(weather, null, 2)}`, weather];
+        } catch (error) {
+            log.error(chalk.red(`Weather lookup error: ${error.message}`), { error: error.message });
+            return [`Weather lookup for "${city}" failed: ${error.message}`, { error: error.message }];
+        }
+    }
+
+    normalize(data, city, units) {
+        const imperial = units === 'imperial';
+        const current = first(data.current_condition);
+        if (!current) {
+            throw new Error(`No weather data returned for "${city}"`);
+        }
+        const area = first(data.nearest_area) || {};
+
+        return {
+            location: {
+                name: text(area.areaName) || city,
+                region: text(area.region),
+                country: text(area.country),
+                latitude: number(area.latitude),
+                longitude: number(area.longitude),
+            },
+            units: { temperature: imperial ? '°F' : '°C', windSpeed: imperial ? 'mph' : 'km/h' },
+            current: {
+                observedAt: current.localObsDateTime || current.observation_time || null,
+                condition: text(current.weatherDesc),
+                temperature: number(imperial ? current.temp_F : current.temp_C),
+                feelsLike: number(imperial ? current.FeelsLikeF : current.FeelsLikeC),
+                humidity: number(current.humidity),
+                windSpeed: number(imperial ? current.windspeedMiles : current.windspeedKmph),
+                windDirection: current.winddir16Point || null,
+                precipitationMm: number(current.precipMM),
+            },
+            forecast: (data.weather || []).map(day => ({
+                date: day.date,
+                minTemperature: number(imperial ? day.mintempF : day.mintempC),
+                maxTemperature: number(imperial ? day.maxtempF : day.maxtempC),
+                // The midday hour describes the day best
+                condition: text((day.hourly?.[4] || first(day.hourly))?.weatherDesc),
+            })),
+        };
+    }
+}
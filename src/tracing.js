@@ -0,0 +1,246 @@
+import fs from 'fs';
+import path from 'path';
+import { randomBytes } from 'crypto';
+
+// Per-turn traces in the OpenTelemetry (OTLP/JSON) format: one "invoke_agent" span per turn
+// with a "chat" span for every model call and an "execute_tool" span for every tool call.
+// TRACE_FILE appends each turn as one ExportTraceServiceRequest per line, which the
+// OpenTelemetry Collector's otlpjsonfile receiver (and most trace viewers) can read.
+// Attribute names follow the OpenTelemetry GenAI semantic conventions.
+
+export const SERVICE_NAME = 'multi-source-ai-agent';
+const SERVICE_VERSION = '1.0.0';
+const AGENT_NAME = 'multi-source-agent';
+const MAX_ATTRIBUTE_LENGTH = 2000;
+
+const SPAN_KIND = { internal: 1, client: 3 };
+const STATUS_CODE = { unset: 0, ok: 1, error: 2 };
+
+export function readTraceOptions(env = process.env) {
+    return { file: env.TRACE_FILE ? path.resolve(env.TRACE_FILE) : null };
+}
+
+function newId(bytes) {
+    return randomBytes(bytes).toString('hex');
+}
+
+// OTLP wants nanoseconds since the epoch, which do not fit in a Number
+function toNanos(ms) {
+    return (BigInt(Math.round(ms * 1000)) * 1000n).toString();
+}
+
+function nowMs() {
+    return performance.timeOrigin + performance.now();
+}
+
+function attributeValue(value) {
+    if (typeof value === 'boolean') {
+        return { boolValue: value };
+    }
+    if (Number.isInteger(value)) {
+        return { intValue: String(value) };
+    }
+    if (typeof value === 'number') {
+        return { doubleValue: value };
+    }
+    const text = typeof value === 'string' ? value : JSON.stringify(value);
+    return { stringValue: text.length > MAX_ATTRIBUTE_LENGTH ? `${text.slice(0, MAX_ATTRIBUTE_LENGTH - 1)}…` : text };
+}
+
+// [{ key, value: { stringValue | intValue | doubleValue | boolValue } }], without empty values
+export function toAttributes(object) {
+    return Object.entries(object)
+        .filter(([, value]) => value !== null && value !== undefined)
+        .map(([key, value]) => ({ key, value: attributeValue(value) }));
+}
+
+class Span {
+    constructor({ traceId, parentSpanId = null, name, kind = SPAN_KIND.internal, startMs = nowMs(), attributes = {} }) {
+        this.traceId = traceId;
+        this.spanId = newId(8);
+        this.parentSpanId = parentSpanId;
+        this.name = name;
+        this.kind = kind;
+        this.startMs = startMs;
+        this.endMs = null;
+        this.attributes = attributes;
+        this.events = [];
+        this.status = { code: STATUS_CODE.unset };
+    }
+
+    addEvent(name, attributes = {}) {
+        this.events.push({ name, timeMs: nowMs(), attributes });
+    }
+
+    fail(message) {
+        this.status = { code: STATUS_CODE.error, message };
+    }
+
+    end(endMs = nowMs()) {
+        if (this.endMs === null) {
+            this.endMs = endMs;
+            if (this.status.code === STATUS_CODE.unset) {
+                this.status = { code: STATUS_CODE.ok };
+            }
+        }
+    }
+
+    get durationMs() {
+        return this.endMs === null ? null : this.endMs - this.startMs;
+    }
+
+    toOtlp() {
+        return {
+            traceId: this.traceId,
+            spanId: this.spanId,
+            ...(this.parentSpanId ? { parentSpanId: this.parentSpanId } : {}),
+            name: this.name,
+            kind: this.kind,
+            startTimeUnixNano: toNanos(this.startMs),
+            endTimeUnixNano: toNanos(this.endMs ?? nowMs()),
+            attributes: toAttributes(this.attributes),
+            events: this.events.map(event => ({ name: event.name, timeUnixNano: toNanos(event.timeMs), attributes: toAttributes(event.attributes) })),
+            status: this.status,
+        };
+    }
+}
+
+// Builds the spans of one turn from the streamMessage() events (see MultiSourceAgent.streamMessage)
+export class TurnTrace {
+    // model is the agent's { provider, model }, null when the chat model was passed in directly
+    constructor({ sessionId, question = null, model = null }) {
+        this.traceId = newId(16);
+        this.model = model;
+        this.root = new Span({
+            traceId: this.traceId,
+            name: `invoke_agent ${AGENT_NAME}`,
+            attributes: {
+                'gen_ai.operation.name': 'invoke_agent',
+                'gen_ai.agent.name': AGENT_NAME,
+                'gen_ai.conversation.id': sessionId,
+                'gen_ai.provider.name': model?.provider,
+                'gen_ai.request.model': model?.model,
+                'agent.question': question,
+            },
+        });
+        this.spans = [this.root];
+        this.runningTools = new Map();
+        this.usage = { inputTokens: 0, outputTokens: 0, totalTokens: 0, modelCalls: 0 };
+    }
+
+    child(options) {
+        const span = new Span({ traceId: this.traceId, parentSpanId: this.root.spanId, ...options });
+        this.spans.push(span);
+        return span;
+    }
+
+    record(event) {
+        switch (event.type) {
+            case 'model_end': {
+                this.usage.modelCalls += 1;
+                this.usage.inputTokens += event.usage?.inputTokens || 0;
+                this.usage.outputTokens += event.usage?.outputTokens || 0;
+                this.usage.totalTokens += event.usage?.totalTokens || 0;
+                // Only the end is reported, so the span is placed back from its duration
+                const endMs = nowMs();
+                const span = this.child({
+                    name: `chat ${this.model?.model || event.node || 'model'}`,
+                    kind: SPAN_KIND.client,
+                    startMs: endMs - (event.durationMs || 0),
+                    attributes: {
+                        'gen_ai.operation.name': 'chat',
+                        'gen_ai.provider.name': this.model?.provider,
+                        'gen_ai.request.model': this.model?.model,
+                        'gen_ai.usage.input_tokens': event.usage?.inputTokens,
+                        'gen_ai.usage.output_tokens': event.usage?.outputTokens,
+                        'langgraph.node': event.node,
+                    },
+                });
+                span.end(endMs);
+                break;
+            }
+            case 'tool_start':
+                this.runningTools.set(event.runId, this.child({
+                    name: `execute_tool ${event.name}`,
+                    attributes: {
+                        'gen_ai.operation.name': 'execute_tool',
+                        'gen_ai.tool.name': event.name,
+                        'gen_ai.tool.call.arguments': event.input,
+                    },
+                }));
+                break;
+            case 'tool_end': {
+                const span = this.runningTools.get(event.runId);
+                if (span) {
+                    this.runningTools.delete(event.runId);
+                    span.attributes['gen_ai.tool.call.id'] = event.toolCallId;
+                    span.end();
+                }
+                break;
+            }
+            case 'approval_required':
+                for (const command of event.request.commands) {
+                    this.root.addEvent('approval_required', { 'gen_ai.tool.call.id': command.toolCallId, 'agent.command': command.command });
+                }
+                break;
+            case 'approval_decided':
+                for (const [toolCallId, decision] of Object.entries(event.decisions)) {
+                    this.root.addEvent('approval_decided', { 'gen_ai.tool.call.id': toolCallId, 'agent.approval.action': decision.action, 'agent.approval.reason': decision.reason });
+                }
+                break;
+            case 'error':
+                this.root.addEvent('exception', { 'exception.message': event.message });
+                this.root.fail(event.message);
+                break;
+            case 'cancelled':
+                this.root.attributes['agent.cancelled'] = true;
+                this.root.fail('Cancelled by the user');
+                break;
+            default:
+                break;
+        }
+        return this;
+    }
+
+    // Tools still running when the turn stops were cut short by the error or the cancellation
+    end({ costUsd = null } = {}) {
+        for (const span of this.runningTools.values()) {
+            span.fail(this.root.attributes['agent.cancelled'] ? 'Cancelled by the user' : 'The turn ended before the tool finished');
+            span.end();
+        }
+        this.runningTools.clear();
+        Object.assign(this.root.attributes, {
+            'gen_ai.usage.input_tokens': this.usage.inputTokens,
+            'gen_ai.usage.output_tokens': this.usage.outputTokens,
+            'agent.model_calls': this.usage.modelCalls,
+            'agent.cost_usd': costUsd,
+        });
+        this.root.end();
+        return this;
+    }
+
+    // One OTLP ExportTraceServiceRequest holding every span of the turn
+    toOtlp() {
+        return {
+            resourceSpans: [{
+                resource: { attributes: toAttributes({ 'service.name': SERVICE_NAME, 'service.version': SERVICE_VERSION }) },
+                scopeSpans: [{
+                    scope: { name: SERVICE_NAME, version: SERVICE_VERSION },
+                    spans: this.spans.map(span => span.toOtlp()),
+                }],
+            }],
+        };
+    }
+}
+
+// Appends finished traces to a JSON lines file
+export class TraceExporter {
+    constructor({ file }) {
+        this.file = file;
+    }
+
+    export(trace) {
+        fs.mkdirSync(path.dirname(this.file), { recursive: true });
+        fs.appendFileSync(this.file, `${JSON.stringify(trace.toOtlp())}\n`);
+    }
+}
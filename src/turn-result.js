@@ -0,0 +1,131 @@
+// What one turn did, built from the events of MultiSourceAgent.streamMessage():
+// the answer, every tool call in order (with args, output and timing), the sources
+// behind the answer, token usage and how long each step took.
+
+// Sources a tool result contributed, from the tool's artifact
+const SOURCE_EXTRACTORS = {
+    database_query: (artifact) => (artifact?.sql
+        ? [{ type: 'sql', database: artifact.database, sql: artifact.sql, rowCount: artifact.totalCount, exportPath: artifact.exportPath }]
+        : []),
+    file_search: (artifact) => (artifact?.results || []).map(result => ({
+        type: 'document',
+        file: result.file,
+        citation: result.citation,
+        score: result.score,
+    })),
+    execute_command: (artifact) => (artifact?.command
+        ? [{ type: 'command', command: artifact.command, exitCode: artifact.exitCode, savedTo: artifact.savedTo }]
+        : []),
+};
+
+function defaultSources(name, input, artifact) {
+    return artifact && !artifact.error ? [{ type: 'api', tool: name, input }] : [];
+}
+
+export class TurnResult {
+    constructor({ question = null } = {}) {
+        this.question = question;
+        this.answer = null;
+        this.toolCalls = [];
+        this.sources = [];
+        this.usage = { inputTokens: 0, outputTokens: 0, totalTokens: 0, modelCalls: 0 };
+        this.timings = { totalMs: 0, steps: [] };
+        this.error = null;
+        this.cancelled = false;
+        this.startedAt = Date.now();
+        this.runningTools = new Map(); // runId -> tool call
+        this.approvalRequests = new Map(); // toolCallId -> { tool, command }
+    }
+
+    // Feeds one streamMessage() event into the result
+    record(event) {
+        switch (event.type) {
+            case 'model_end':
+                this.usage.modelCalls += 1;
+                this.usage.inputTokens += event.usage?.inputTokens || 0;
+                this.usage.outputTokens += event.usage?.outputTokens || 0;
+                this.usage.totalTokens += event.usage?.totalTokens || 0;
+                this.timings.steps.push({ type: 'model', name: event.node, durationMs: event.durationMs });
+                break;
+            case 'tool_start': {
+                const call = { id: null, name: event.name, args: event.input, status: 'running', output: null, artifact: null, durationMs: null };
+                this.toolCalls.push(call);
+                this.runningTools.set(event.runId, call);
+                break;
+            }
+            case 'tool_end': {
+                const call = this.runningTools.get(event.runId);
+                if (!call) {
+                    break;
+                }
+                this.runningTools.delete(event.runId);
+                Object.assign(call, { id: event.toolCallId ?? null, status: 'ok', output: event.output, artifact: event.artifact ?? null, durationMs: event.durationMs });
+                this.timings.steps.push({ type: 'tool', name: call.name, durationMs: event.durationMs });
+                const extract = SOURCE_EXTRACTORS[call.name];
+                this.sources.push(...(extract ? extract(call.artifact) : defaultSources(call.name, call.args, call.artifact)));
+                break;
+            }
+            case 'approval_required':
+                for (const command of event.request.commands) {
+                    this.approvalRequests.set(command.toolCallId, command);
+                }
+                break;
+            case 'approval_decided':
+                // Approved and edited commands show up as tool calls when they run
+                for (const [toolCallId, decision] of Object.entries(event.decisions)) {
+                    const request = this.approvalRequests.get(toolCallId);
+                    if (decision.action === 'deny' && request) {
+                        this.toolCalls.push({ id: toolCallId, name: request.tool, args: { command: request.command }, status: 'denied', output: decision.reason || null, artifact: null, durationMs: 0 });
+                    }
+                }
+                break;
+            case 'error':
+                this.error = { message: event.message };
+                break;
+            case 'cancelled':
+                this.cancelled = true;
+                break;
+            case 'done':
+                this.answer = event.answer;
+                this.timings.totalMs = Date.now() - this.startedAt;
+                for (const call of this.runningTools.values()) {
+                    call.status = this.cancelled ? 'cancelled' : 'failed';
+                }
+                this.runningTools.clear();
+                break;
+            default:
+                break;
+        }
+        return this;
+    }
+
+    get text() {
+        return this.answer ?? '';
+    }
+
+    // Names of the tools that ran, in first-use order
+    get toolsUsed() {
+        return [...new Set(this.toolCalls.filter(call => call.status === 'ok').map(call => call.name))];
+    }
+
+    get ok() {
+        return !this.error && !this.cancelled;
+    }
+
+    toString() {
+        return this.text;
+    }
+
+    toJSON() {
+        return {
+            question: this.question,
+            answer: this.answer,
+            toolCalls: this.toolCalls,
+            sources: this.sources,
+            usage: this.usage,
+            timings: this.timings,
+            error: this.error,
+            cancelled: this.cancelled,
+        };
+    }
+}
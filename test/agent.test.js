@@ -0,0 +1,208 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import path from 'path';
+import { makeTempDir, removeDir } from './helpers/fixtures.js';
+import { prepareFixtures, createFixtureAgent } from './helpers/fixture-agent.js';
+
+let directory;
+const agents = [];
+
+before(async () => {
+    directory = makeTempDir();
+    await prepareFixtures(directory);
+});
+
+after(async () => {
+    for (const agent of agents) {
+        await agent.cleanup();
+    }
+    removeDir(directory);
+});
+
+async function createAgent(responses, options) {
+    const created = await createFixtureAgent(directory, responses, options);
+    agents.push(created.agent);
+    return created;
+}
+
+async function collect(iterator) {
+    const events = [];
+    for await (const event of iterator) {
+        events.push(event);
+    }
+    return events;
+}
+
+const ofType = (events, type) => events.filter(event => event.type === type);
+const lastMessage = (messages) => messages[messages.length - 1];
+
+test('binds every tool to the model', async () => {
+    const { llm } = await createAgent([]);
+    assert.deepEqual(llm.boundTools, ['database_query', 'file_search', 'execute_command']);
+});
+
+test('answers without tools when the model does not call any', async () => {
+    const { agent, llm } = await createAgent(['Hello! How can I help?']);
+    const events = await collect(agent.streamMessage('Hi there'));
+
+    assert.deepEqual(ofType(events, 'tool_start'), []);
+    assert.equal(ofType(events, 'token').map(event => event.text).join(''), 'Hello! How can I help?');
+    assert.deepEqual(events.at(-1), { type: 'done', answer: 'Hello! How can I help?' });
+    assert.equal(llm.calls.length, 1);
+    assert.equal(llm.calls[0][0]._getType(), 'system');
+});
+
+test('runs database_query with the SQL the model chose and answers from the result', async () => {
+    const sqlQuery = 'SELECT COUNT(*) AS count FROM Artist';
+    const { agent, llm } = await createAgent([
+        { toolCalls: [{ name: 'database_query', args: { sqlQuery } }] },
+        (messages) => {
+            const result = lastMessage(messages);
+            assert.equal(result._getType(), 'tool');
+            assert.match(result.content, /\b3\b/);
+            return 'There are 3 artists.';
+        },
+    ]);
+    const events = await collect(agent.streamMessage('How many artists are there?'));
+
+    const [start] = ofType(events, 'tool_start');
+    assert.equal(start.name, 'database_query');
+    assert.equal(start.input.sqlQuery, sqlQuery);
+    assert.equal(ofType(events, 'tool_end')[0].name, 'database_query');
+    assert.equal(events.at(-1).answer, 'There are 3 artists.');
+    assert.equal(llm.calls.length, 2);
+});
+
+test('processMessage returns tool calls, sources, usage and timings', async () => {
+    const sqlQuery = 'SELECT Name FROM Artist ORDER BY Name';
+    const { agent } = await createAgent([
+        { toolCalls: [{ name: 'database_query', args: { sqlQuery } }] },
+        'AC/DC, Aerosmith and Antônio Carlos Jobim.',
+    ]);
+    const result = await agent.processMessage('Which artists are there?');
+
+    assert.equal(result.ok, true);
+    assert.equal(result.error, null);
+    assert.equal(`${result}`, 'AC/DC, Aerosmith and Antônio Carlos Jobim.');
+    assert.deepEqual(result.toolsUsed, ['database_query']);
+    assert.equal(result.toolCalls.length, 1);
+    assert.deepEqual(result.toolCalls[0].args, { sqlQuery });
+    assert.equal(result.toolCalls[0].status, 'ok');
+    assert.match(result.toolCalls[0].id, /^call_/);
+    assert.match(result.toolCalls[0].output, /Aerosmith/);
+    assert.deepEqual(result.sources, [{ type: 'sql', database: 'music', sql: sqlQuery, rowCount: 3, exportPath: undefined }]);
+    assert.equal(result.usage.modelCalls, 2);
+    assert.ok(result.usage.inputTokens > 0 && result.usage.outputTokens > 0);
+    assert.equal(result.usage.totalTokens, result.usage.inputTokens + result.usage.outputTokens);
+    assert.deepEqual(result.timings.steps.map(step => `${step.type}:${step.name}`), ['model:agent', 'tool:database_query', 'model:agent']);
+    assert.ok(result.timings.totalMs >= 0);
+    assert.equal(JSON.parse(JSON.stringify(result)).answer, result.answer);
+});
+
+test('a failed turn reports the error', async () => {
+    const { agent } = await createAgent([]);
+    const result = await agent.processMessage('Hello?');
+
+    assert.equal(result.ok, false);
+    assert.match(result.error.message, /no scripted response/);
+    assert.match(result.text, /^I'm sorry/);
+});
+
+test('runs file_search and passes the cited section to the model', async () => {
+    const { agent } = await createAgent([
+        { toolCalls: [{ name: 'file_search', args: { query: 'Adam Smith invisible hand', mode: 'keyword' } }] },
+        (messages) => `Source: ${lastMessage(messages).content.match(/economists\.md › [^(]+/)[0].trim()}`,
+    ]);
+    const result = await agent.processMessage('What did Adam Smith write about?');
+
+    assert.equal(result.text, 'Source: economists.md › Economists › Adam Smith');
+    assert.equal(result.sources[0].type, 'document');
+    assert.equal(result.sources[0].citation, 'economists.md › Economists › Adam Smith');
+});
+
+test('keeps earlier turns in the context of later ones', async () => {
+    const { agent, llm } = await createAgent(['Nice to meet you, Ana.', 'Your name is Ana.']);
+    await agent.processMessage('My name is Ana.');
+    await agent.processMessage('What is my name?');
+
+    const contents = llm.calls[1].map(message => message.content);
+    assert.ok(contents.includes('My name is Ana.'));
+    assert.ok(contents.includes('Nice to meet you, Ana.'));
+});
+
+test('execute_command waits for approval and runs the approved command', async () => {
+    const { agent } = await createAgent([
+        { toolCalls: [{ name: 'execute_command', args: { command: 'echo approved' } }] },
+        (messages) => `Output: ${lastMessage(messages).content.trim()}`,
+    ]);
+    const requests = [];
+    const events = await collect(agent.streamMessage('Run echo', {
+        onApproval: async (request) => {
+            requests.push(request);
+            return { [request.commands[0].toolCallId]: { action: 'approve' } };
+        },
+    }));
+
+    assert.equal(requests.length, 1);
+    assert.equal(requests[0].commands[0].command, 'echo approved');
+    assert.equal(ofType(events, 'approval_required').length, 1);
+    assert.match(events.at(-1).answer, /approved/);
+});
+
+test('an edited command runs with the new arguments', async () => {
+    const { agent } = await createAgent([
+        { toolCalls: [{ name: 'execute_command', args: { command: 'echo original' } }] },
+        (messages) => lastMessage(messages).content.trim(),
+    ]);
+    const result = await agent.processMessage('Run echo', {
+        onApproval: async ({ commands }) => ({ [commands[0].toolCallId]: { action: 'edit', command: 'echo edited' } }),
+    });
+
+    assert.match(result.text, /edited/);
+    assert.doesNotMatch(result.text, /original/);
+    assert.deepEqual(result.toolCalls.map(call => call.args), [{ command: 'echo edited' }]);
+    assert.deepEqual(result.sources, [{ type: 'command', command: 'echo edited', exitCode: 0, savedTo: null }]);
+});
+
+test('a denied or unanswered command never runs', async () => {
+    const { agent } = await createAgent([
+        { toolCalls: [{ name: 'execute_command', args: { command: 'echo secret' } }] },
+        (messages) => lastMessage(messages).content,
+        { toolCalls: [{ name: 'execute_command', args: { command: 'echo secret' } }] },
+        (messages) => lastMessage(messages).content,
+    ]);
+
+    const denied = await agent.processMessage('Run echo', {
+        onApproval: async ({ commands }) => ({ [commands[0].toolCallId]: { action: 'deny', reason: 'not now' } }),
+    });
+    assert.match(denied.text, /denied/);
+    assert.match(denied.text, /not now/);
+    assert.deepEqual(denied.toolsUsed, []);
+    assert.equal(denied.toolCalls[0].status, 'denied');
+    assert.deepEqual(denied.toolCalls[0].args, { command: 'echo secret' });
+
+    // Without an approval handler every command is denied
+    const unanswered = await agent.processMessage('Run echo again');
+    assert.match(unanswered.text, /denied/);
+    assert.doesNotMatch(unanswered.text, /^secret/m);
+    assert.deepEqual(unanswered.sources, []);
+});
+
+test('a session can be resumed by a new agent', async () => {
+    const sessionsPath = path.join(directory, 'resumed-sessions');
+    const { agent: first } = await createAgent(['Noted: the code is 42.'], { sessionsPath });
+    await first.processMessage('Remember the code 42.');
+
+    const { agent: second, llm } = await createAgent(['The code is 42.'], { sessionsPath });
+    await second.resumeSession(first.sessionId.slice(0, 8));
+    assert.equal(String(await second.processMessage('What was the code?')), 'The code is 42.');
+    assert.ok(llm.calls[0].some(message => message.content === 'Remember the code 42.'));
+});
+
+test('a model error ends the turn with an apology', async () => {
+    const { agent } = await createAgent([]);
+    const events = await collect(agent.streamMessage('Hello?'));
+
+    assert.match(ofType(events, 'error')[0].message, /no scripted response/);
+    assert.match(events.at(-1).answer, /^I'm sorry/);
+});
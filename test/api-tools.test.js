@@ -0,0 +1,187 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import http from 'http';
+import { logger } from '../src/logger.js';
+import { WeatherTool } from '../src/tools/weather-tool.js';
+import { ExchangeRateTool } from '../src/tools/exchange-rate-tool.js';
+import { IpInfoTool } from '../src/tools/ip-info-tool.js';
+import { NewsTool, parseFeed } from '../src/tools/news-tool.js';
+
+// A local server stands in for the external APIs: each test sets the answer for a path
+const routes = new Map();
+const requests = [];
+let server;
+let baseUrl;
+let logLevel;
+
+before(async () => {
+    // The failures below are expected, so their error logs are left out
+    logLevel = logger.level;
+    logger.configure({ level: 'silent' });
+    server = http.createServer((request, response) => {
+        const url = new URL(request.url, 'http://localhost');
+        requests.push({ url, headers: request.headers });
+        const route = routes.get(url.pathname) || { status: 404, body: 'Not Found' };
+        response.writeHead(route.status || 200, { 'Content-Type': route.type || 'application/json' });
+        response.end(typeof route.body === 'string' ? route.body : JSON.stringify(route.body));
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(async () => {
+    await new Promise(resolve => server.close(resolve));
+    logger.configure({ level: logLevel });
+});
+
+const wttrLisbon = {
+    current_condition: [{
+        temp_C: '21', temp_F: '70', FeelsLikeC: '20', FeelsLikeF: '68', humidity: '60',
+        windspeedKmph: '15', windspeedMiles: '9', winddir16Point: 'NW', precipMM: '0.0',
+        weatherDesc: [{ value: 'Partly cloudy ' }], localObsDateTime: '2026-10-19 10:00 AM',
+    }],
+    nearest_area: [{ areaName: [{ value: 'Lisbon' }], region: [{ value: 'Lisboa' }], country: [{ value: 'Portugal' }], latitude: '38.717', longitude: '-9.133' }],
+    weather: [{ date: '2026-10-19', mintempC: '15', maxtempC: '23', mintempF: '59', maxtempF: '73', hourly: [{ weatherDesc: [{ value: 'Clear' }] }] }],
+};
+
+test('the weather tool normalizes a wttr.in answer', async () => {
+    routes.set('/wttr/Lisbon', { body: wttrLisbon });
+    const tool = new WeatherTool({ baseUrl: `${baseUrl}/wttr` });
+
+    const [content, weather] = await tool.getWeather('Lisbon');
+    assert.equal(requests.at(-1).url.searchParams.get('format'), 'j1');
+    assert.match(content, /^Weather in Lisbon, Portugal: Partly cloudy, 21°C \(feels like 20°C\)\./);
+    assert.deepEqual(weather.location, { name: 'Lisbon', region: 'Lisboa', country: 'Portugal', latitude: 38.717, longitude: -9.133 });
+    assert.equal(weather.current.windSpeed, 15);
+    assert.deepEqual(weather.forecast, [{ date: '2026-10-19', minTemperature: 15, maxTemperature: 23, condition: 'Clear' }]);
+
+    const [, imperial] = await tool.getWeather('Lisbon', 'imperial');
+    assert.equal(imperial.current.temperature, 70);
+    assert.equal(imperial.units.windSpeed, 'mph');
+});
+
+test('the weather tool reports error statuses and bodies it cannot read', async () => {
+    const tool = new WeatherTool({ baseUrl: `${baseUrl}/wttr` });
+
+    routes.set('/wttr/Atlantis', { status: 404, body: { error: 'Unknown location' } });
+    const [missing, missingArtifact] = await tool.getWeather('Atlantis');
+    assert.match(missing, /^Weather lookup for "Atlantis" failed: 127\.0\.0\.1:\d+ answered 404 Not Found/);
+    assert.match(missingArtifact.error, /404/);
+
+    routes.set('/wttr/Porto', { type: 'text/html', body: '<html>Service unavailable</html>' });
+    const [html] = await tool.getWeather('Porto');
+    assert.match(html, /failed: .* did not return JSON/);
+
+    routes.set('/wttr/Faro', { body: { nearest_area: [] } });
+    const [empty] = await tool.getWeather('Faro');
+    assert.match(empty, /failed: No weather data returned for "Faro"/);
+});
+
+test('the exchange rate tool converts with the latest rate', async () => {
+    routes.set('/rates/latest/USD', { body: { base: 'USD', date: '2026-10-19', rates: { USD: 1, BRL: 5.4321 } } });
+    const tool = new ExchangeRateTool({ baseUrl: `${baseUrl}/rates` });
+
+    const [content, result] = await tool.getExchangeRate('USD', 'BRL', 100);
+    assert.match(content, /^100 USD = 543\.21 BRL \(rate 5\.4321, as of 2026-10-19\)\./);
+    assert.deepEqual(result, { from: 'USD', to: 'BRL', rate: 5.4321, amount: 100, converted: 543.21, date: '2026-10-19', source: `${baseUrl}/rates` });
+
+    const [unknown, unknownArtifact] = await tool.getExchangeRate('USD', 'XYZ');
+    assert.match(unknown, /No exchange rate from USD to XYZ/);
+    assert.equal(unknownArtifact.error, 'UNKNOWN_CURRENCY');
+});
+
+test('the exchange rate tool reports error statuses and bodies it cannot read', async () => {
+    const tool = new ExchangeRateTool({ baseUrl: `${baseUrl}/rates` });
+
+    routes.set('/rates/latest/EUR', { status: 500, body: { error: 'internal' } });
+    const [failed] = await tool.getExchangeRate('EUR', 'USD');
+    assert.match(failed, /^Exchange rate lookup for EUR → USD failed: .* answered 500 Internal Server Error/);
+
+    routes.set('/rates/latest/GBP', { body: '{"rates": {"USD": 1.3' });
+    const [truncated, artifact] = await tool.getExchangeRate('GBP', 'USD');
+    assert.match(truncated, /failed: .* did not return JSON/);
+    assert.match(artifact.error, /did not return JSON/);
+});
+
+test('the IP info tool looks up this machine or a given address', async () => {
+    routes.set('/ipinfo/json', { body: { ip: '203.0.113.7', city: 'Lisbon', region: 'Lisbon', country: 'PT', loc: '38.7167,-9.1333', org: 'AS1234 Example', timezone: 'Europe/Lisbon' } });
+    routes.set('/ipinfo/10.0.0.1/json', { body: { ip: '10.0.0.1', bogon: true } });
+    const tool = new IpInfoTool({ baseUrl: `${baseUrl}/ipinfo` });
+
+    const [content, info] = await tool.getIpInfo();
+    assert.equal(content.split('\n')[0], 'IP 203.0.113.7 is located in Lisbon, Lisbon, PT (AS1234 Example).');
+    assert.equal(info.latitude, 38.7167);
+    assert.equal(info.longitude, -9.1333);
+    assert.equal(info.hostname, null);
+
+    const [bogon, bogonArtifact] = await tool.getIpInfo('10.0.0.1');
+    assert.match(bogon, /10\.0\.0\.1 is a private or reserved address/);
+    assert.deepEqual(bogonArtifact, { ip: '10.0.0.1', bogon: true });
+});
+
+test('the IP info tool reports error statuses and bodies it cannot read', async () => {
+    const tool = new IpInfoTool({ baseUrl: `${baseUrl}/ipinfo` });
+
+    routes.set('/ipinfo/8.8.8.8/json', { status: 429, body: { error: 'Rate limit exceeded' } });
+    const [limited] = await tool.getIpInfo('8.8.8.8');
+    assert.match(limited, /^IP lookup failed: .* answered 429 Too Many Requests/);
+
+    routes.set('/ipinfo/1.1.1.1/json', { type: 'text/plain', body: 'upgrade your plan' });
+    const [plain] = await tool.getIpInfo('1.1.1.1');
+    assert.match(plain, /^IP lookup failed: .* did not return JSON/);
+
+    // A JSON answer without the usual fields still gives a result
+    routes.set('/ipinfo/9.9.9.9/json', { body: { loc: 'somewhere' } });
+    const [, sparse] = await tool.getIpInfo('9.9.9.9');
+    assert.deepEqual([sparse.ip, sparse.city, sparse.latitude, sparse.longitude], ['9.9.9.9', null, null, null]);
+});
+
+const rss = `<?xml version="1.0" encoding="UTF-8"?>
+<rss version="2.0"><channel><title>News</title>
+<item><title><![CDATA[Markets rally & rates fall]]></title><description><![CDATA[<p>Stocks rose on <b>Monday</b>.</p>]]></description>
+<link>https://example.com/news/1</link><pubDate>Mon, 19 Oct 2026 09:30:00 GMT</pubDate></item>
+<item><title>Caf&#233; prices &amp; wages</title><description>Costs went up</description><link>https://example.com/news/2</link><pubDate>not a date</pubDate></item>
+<item><title></title><description>No title, so it is left out</description></item>
+</channel></rss>`;
+
+test('the news tool lists the headlines of an RSS feed', async () => {
+    routes.set('/feeds/technology/rss.xml', { type: 'application/rss+xml', body: rss });
+    const tool = new NewsTool({ baseUrl: `${baseUrl}/feeds` });
+
+    const [content, { topic, items }] = await tool.getNews('technology', 5);
+    assert.match(requests.at(-1).headers.accept, /application\/rss\+xml/);
+    assert.equal(topic, 'technology');
+    assert.deepEqual(items, [
+        { title: 'Markets rally & rates fall', summary: 'Stocks rose on Monday.', url: 'https://example.com/news/1', publishedAt: '2026-10-19T09:30:00.000Z' },
+        { title: 'Café prices & wages', summary: 'Costs went up', url: 'https://example.com/news/2', publishedAt: null },
+    ]);
+    assert.match(content, /^Latest technology headlines:\n\n1\. Markets rally & rates fall \(2026-10-19T09:30:00\.000Z\)\n {3}Stocks rose on Monday\./);
+
+    const [, limited] = await tool.getNews('technology', 1);
+    assert.equal(limited.items.length, 1);
+});
+
+test('the news tool reports error statuses and feeds it cannot read', async () => {
+    const tool = new NewsTool({ baseUrl: `${baseUrl}/feeds` });
+
+    routes.set('/feeds/world/rss.xml', { status: 503, type: 'text/html', body: '<h1>Down for maintenance</h1>' });
+    const [failed, artifact] = await tool.getNews('world');
+    assert.match(failed, /^Fetching world news failed: .* answered 503 Service Unavailable/);
+    assert.match(artifact.error, /503/);
+
+    routes.set('/feeds/business/rss.xml', { type: 'text/html', body: '<html><body>Not a feed</body></html>' });
+    const [notFeed, notFeedArtifact] = await tool.getNews('business');
+    assert.equal(notFeed, 'The business news feed returned no headlines.');
+    assert.deepEqual(notFeedArtifact, { topic: 'business', items: [] });
+});
+
+test('parseFeed reads Atom entries and skips items that are cut off', () => {
+    const atom = `<feed xmlns="http://www.w3.org/2005/Atom">
+<entry><title>Launch &amp; landing</title><link rel="alternate" href="https://example.com/a?x=1&amp;y=2"/><updated>2026-10-18T12:00:00Z</updated><summary>Back on Earth</summary></entry>
+<entry><title>Cut off`;
+    assert.deepEqual(parseFeed(atom), [
+        { title: 'Launch & landing', summary: 'Back on Earth', url: 'https://example.com/a?x=1&y=2', publishedAt: '2026-10-18T12:00:00.000Z' },
+    ]);
+    assert.deepEqual(parseFeed(''), []);
+    assert.deepEqual(parseFeed('{"items": [{"title": "JSON, not XML"}]}'), []);
+});
@@ -0,0 +1,183 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import path from 'path';
+import { getEventListeners } from 'events';
+import { parseCliArgs, readBatchFile, runAsk, runBatch, UsageError, EXIT_CODES } from '../src/cli.js';
+import { ConversationInterface } from '../src/interface.js';
+import { makeTempDir, removeDir } from './helpers/fixtures.js';
+import { prepareFixtures, createFixtureAgent } from './helpers/fixture-agent.js';
+
+let directory;
+const agents = [];
+
+before(async () => {
+    directory = makeTempDir();
+    await prepareFixtures(directory);
+});
+
+after(async () => {
+    for (const agent of agents) {
+        await agent.cleanup();
+    }
+    removeDir(directory);
+});
+
+async function createAgent(responses) {
+    const created = await createFixtureAgent(directory, responses);
+    agents.push(created.agent);
+    return created;
+}
+
+// Collects what would be printed on stdout
+function output() {
+    const chunks = [];
+    return { write: (chunk) => chunks.push(chunk), get text() { return chunks.join(''); } };
+}
+
+function writeLines(name, lines) {
+    const file = path.join(directory, name);
+    fs.writeFileSync(file, lines.map(line => (line === '' || line.startsWith?.('{') ? line : JSON.stringify(line))).join('\n'));
+    return file;
+}
+
+const readAnswers = (file) => fs.readFileSync(file, 'utf8').trim().split('\n').map(line => JSON.parse(line));
+
+test('parses the ask and batch commands', () => {
+    assert.deepEqual(parseCliArgs([]), { command: 'chat' });
+    assert.deepEqual(parseCliArgs(['--help']), { command: 'help' });
+    assert.deepEqual(parseCliArgs(['ask', 'How many', 'artists?', '--json']), {
+        command: 'ask', question: 'How many artists?', json: true, session: null, allowCommands: false, quiet: false,
+    });
+    assert.deepEqual(parseCliArgs(['batch', 'data/questions.jsonl', '--allow-commands', '-q']), {
+        command: 'batch', input: 'data/questions.jsonl', output: path.join('data', 'questions.answers.jsonl'), allowCommands: true, quiet: true,
+    });
+    assert.equal(parseCliArgs(['batch', 'q.jsonl', '-o', 'out.jsonl']).output, 'out.jsonl');
+
+    assert.throws(() => parseCliArgs(['ask']), UsageError);
+    assert.throws(() => parseCliArgs(['translate', 'hi']), /Unknown command/);
+    assert.throws(() => parseCliArgs(['batch']), UsageError);
+    assert.throws(() => parseCliArgs(['batch', 'q.jsonl', '--json']), /only used by ask/);
+    assert.throws(() => parseCliArgs(['ask', 'hi', '--verbose']), UsageError);
+});
+
+test('reads questions from strings and objects and rejects bad lines', () => {
+    const file = writeLines('questions.jsonl', ['How many artists?', '', { id: 'albums', question: 'And albums?', session: 'music' }]);
+    assert.deepEqual(readBatchFile(file), [
+        { id: 1, question: 'How many artists?', session: null },
+        { id: 'albums', question: 'And albums?', session: 'music' },
+    ]);
+
+    assert.throws(() => readBatchFile(writeLines('broken.jsonl', ['Fine', '{"question": '])), /broken\.jsonl:2 is not valid JSON/);
+    assert.throws(() => readBatchFile(writeLines('wrong.jsonl', [{ prompt: 'Hi' }])), /wrong\.jsonl:1 must be/);
+    assert.throws(() => readBatchFile(path.join(directory, 'missing.jsonl')), /Cannot read/);
+});
+
+test('ask prints the answer, or the turn result with --json', async () => {
+    const { agent } = await createAgent([
+        'Hello!',
+        { toolCalls: [{ name: 'database_query', args: { sqlQuery: 'SELECT COUNT(*) AS count FROM Artist' } }] },
+        'There are 3 artists.',
+    ]);
+
+    const plain = output();
+    assert.equal(await runAsk(agent, { question: 'Hi' }, { stdout: plain }), EXIT_CODES.ok);
+    assert.equal(plain.text, 'Hello!\n');
+
+    const json = output();
+    assert.equal(await runAsk(agent, { question: 'How many artists?', json: true }, { stdout: json }), EXIT_CODES.ok);
+    const result = JSON.parse(json.text);
+    assert.equal(result.ok, true);
+    assert.equal(result.sessionId, agent.sessionId);
+    assert.equal(result.answer, 'There are 3 artists.');
+    assert.equal(result.sources[0].type, 'sql');
+});
+
+test('ask denies commands unless they are allowed', async () => {
+    const { agent } = await createAgent([
+        { toolCalls: [{ name: 'execute_command', args: { command: 'echo not-allowed' } }] },
+        (messages) => messages.at(-1).content,
+        { toolCalls: [{ name: 'execute_command', args: { command: 'echo allowed' } }] },
+        (messages) => messages.at(-1).content.trim(),
+    ]);
+
+    const denied = output();
+    await runAsk(agent, { question: 'Run echo' }, { stdout: denied });
+    assert.match(denied.text, /denied/);
+    assert.match(denied.text, /not allowed in non-interactive mode/);
+
+    const allowed = output();
+    await runAsk(agent, { question: 'Run echo', allowCommands: true }, { stdout: allowed });
+    assert.match(allowed.text, /^allowed$/m);
+    assert.doesNotMatch(allowed.text, /denied/);
+});
+
+test('a failed ask exits with an error code', async () => {
+    const { agent } = await createAgent([]);
+    const stdout = output();
+    assert.equal(await runAsk(agent, { question: 'Hello?' }, { stdout }), EXIT_CODES.failed);
+    assert.match(stdout.text, /^I'm sorry/);
+});
+
+test('batch writes one answer per question and reports failures in the exit code', async () => {
+    const { agent, llm } = await createAgent([
+        'There are 3 artists.',
+        'There are 4 albums.',
+        (messages) => (messages.some(message => message.content === 'How many albums?') ? 'Yes, 4.' : 'No idea.'),
+    ]);
+    const input = writeLines('batch.jsonl', [
+        'How many artists?',
+        { id: 'albums', question: 'How many albums?', session: 'music' },
+        { id: 'follow-up', question: 'Are you sure?', session: 'music' },
+        'This one has no scripted answer',
+    ]);
+    const outputFile = path.join(directory, 'out', 'answers.jsonl');
+
+    assert.equal(await runBatch(agent, { input, output: outputFile }), EXIT_CODES.failed);
+    const answers = readAnswers(outputFile);
+    assert.deepEqual(answers.map(answer => [answer.id, answer.ok, answer.answer?.slice(0, 12)]), [
+        [1, true, 'There are 3 '],
+        ['albums', true, 'There are 4 '],
+        ['follow-up', true, 'Yes, 4.'],
+        [4, false, "I'm sorry, I"],
+    ]);
+    assert.equal(answers[1].sessionId, answers[2].sessionId);
+    assert.notEqual(answers[0].sessionId, answers[1].sessionId);
+    assert.match(answers[3].error.message, /no scripted response/);
+    assert.equal(llm.calls.length, 4);
+});
+
+test('batch stops when cancelled and keeps the answers it has', async () => {
+    const { agent } = await createAgent(['First answer.', 'Second answer.']);
+    const input = writeLines('cancelled.jsonl', ['First?', 'Second?']);
+    const outputFile = path.join(directory, 'cancelled.answers.jsonl');
+
+    const controller = new AbortController();
+    const original = agent.processMessage.bind(agent);
+    agent.processMessage = async (...args) => {
+        const result = await original(...args);
+        controller.abort();
+        return result;
+    };
+
+    assert.equal(await runBatch(agent, { input, output: outputFile }, { signal: controller.signal }), EXIT_CODES.interrupted);
+    assert.deepEqual(readAnswers(outputFile).map(answer => answer.answer), ['First answer.']);
+});
+
+test('chat prompts remove their cancel listener from the turn signal', async () => {
+    const ui = new ConversationInterface(null);
+    const answers = ['a', 'd'];
+    ui.rl = { question: (prompt, options, callback) => callback(answers.shift()) };
+    const controller = new AbortController();
+
+    assert.equal(await ui.question('? ', '', controller.signal), 'a');
+    assert.equal(await ui.question('? ', '', controller.signal), 'd');
+    assert.equal(getEventListeners(controller.signal, 'abort').length, 0);
+
+    // A prompt left open is rejected when the turn is cancelled, and one asked afterwards at once
+    ui.rl = { question: () => {} };
+    const pending = ui.question('? ', '', controller.signal);
+    controller.abort();
+    await assert.rejects(pending, /Cancelled/);
+    await assert.rejects(ui.question('? ', '', controller.signal), /Cancelled/);
+});
@@ -0,0 +1,166 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import path from 'path';
+import { loadConfig, findConfigFile, ConfigError } from '../src/config.js';
+import { ToolRegistry } from '../src/tool-registry.js';
+import { MultiSourceAgent } from '../src/agent.js';
+import { FakeChatModel } from './helpers/fake-chat-model.js';
+import { FIXTURES_PATH, makeTempDir, removeDir } from './helpers/fixtures.js';
+import { prepareFixtures } from './helpers/fixture-agent.js';
+
+const PLUGINS_PATH = path.join(FIXTURES_PATH, 'plugins');
+
+let directory;
+const agents = [];
+
+before(async () => {
+    directory = makeTempDir();
+    await prepareFixtures(directory);
+});
+
+after(async () => {
+    for (const agent of agents) {
+        await agent.cleanup();
+    }
+    removeDir(directory);
+});
+
+function writeFile(name, content) {
+    const file = path.join(directory, name);
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    fs.writeFileSync(file, typeof content === 'string' ? content : JSON.stringify(content));
+    return file;
+}
+
+test('runs with the defaults when there is no config file', () => {
+    const empty = path.join(directory, 'empty');
+    fs.mkdirSync(empty, { recursive: true });
+    const config = loadConfig({ directory: empty, env: {} });
+
+    assert.equal(config.file, null);
+    assert.equal(config.systemPrompt, null);
+    assert.deepEqual(config.model, {});
+    assert.deepEqual(config.tools, {});
+    assert.deepEqual(config.plugins, { enabled: true, directory: path.join(empty, 'plugins') });
+});
+
+test('reads YAML, resolves paths against the config file and loads the prompt file', () => {
+    writeFile('yaml/prompts/system.md', 'You answer in one sentence.\n');
+    const file = writeFile('yaml/agent.config.yaml', [
+        'model:',
+        '  provider: ollama',
+        '  temperature: 0',
+        'systemPromptFile: prompts/system.md',
+        'tools:',
+        '  weather: false',
+        '  database:',
+        '    dataPath: ../sqlite',
+        'plugins:',
+        '  directory: extensions',
+    ].join('\n'));
+
+    assert.equal(findConfigFile(path.dirname(file), {}), file);
+    const config = loadConfig({ directory: path.dirname(file), env: {} });
+    assert.deepEqual(config.model, { provider: 'ollama', temperature: 0 });
+    assert.equal(config.systemPrompt, 'You answer in one sentence.');
+    assert.deepEqual(config.tools.weather, { enabled: false });
+    assert.deepEqual(config.tools.database, { enabled: true, dataPath: '../sqlite' });
+    assert.equal(config.plugins.directory, path.join(directory, 'yaml', 'extensions'));
+
+    const tools = new ToolRegistry().resolveTools(config.tools, { baseDirectory: config.directory });
+    assert.deepEqual(tools.map(tool => tool.id), ['database', 'file', 'terminal', 'exchange_rate', 'ip_info', 'news']);
+});
+
+test('AGENT_CONFIG selects the file to load', () => {
+    const file = writeFile('custom/settings.json', { systemPrompt: 'Custom prompt.' });
+    assert.equal(loadConfig({ directory, env: { AGENT_CONFIG: 'custom/settings.json' } }).file, file);
+    assert.throws(() => loadConfig({ directory, env: { AGENT_CONFIG: 'custom/missing.json' } }), /does not exist/);
+});
+
+test('reports every invalid setting with its path', () => {
+    const file = writeFile('invalid/agent.config.json', {
+        model: { provider: 'anthropic', temperature: 'warm' },
+        tool: {},
+        systemPrompt: 'A',
+        systemPromptFile: 'prompt.md',
+    });
+    assert.throws(() => loadConfig({ file }), (error) => {
+        assert.ok(error instanceof ConfigError);
+        assert.match(error.message, /agent\.config\.json is invalid/);
+        assert.ok(error.issues.some(issue => issue.startsWith('model.provider: ')));
+        assert.ok(error.issues.some(issue => issue.startsWith('model.temperature: Expected number')));
+        assert.ok(error.issues.some(issue => /Unrecognized key\(s\) in object: 'tool'/.test(issue)));
+        return true;
+    });
+
+    assert.throws(() => loadConfig({ file: writeFile('invalid/agent.config.yaml', 'tools: [') }), /could not be parsed/);
+    assert.throws(() => loadConfig({ file: writeFile('invalid/both.json', { systemPrompt: 'A', systemPromptFile: 'b.md' }) }), /either systemPrompt or systemPromptFile/);
+});
+
+test('rejects unknown tools and options the tool does not accept', () => {
+    const registry = new ToolRegistry();
+    assert.throws(() => registry.resolveTools({
+        calendar: { enabled: true },
+        database: { enabled: true, dataPath: 42 },
+        weather: { enabled: true, units: 'metric' },
+    }), (error) => {
+        assert.deepEqual(error.issues, [
+            'tools.calendar: Unknown tool, expected one of database, file, terminal, weather, exchange_rate, ip_info, news',
+            'tools.database.dataPath: Expected string, received number',
+            "tools.weather: Unrecognized key(s) in object: 'units'",
+        ]);
+        return true;
+    });
+});
+
+test('loads plugins and skips the ones that are broken', async () => {
+    const pluginsPath = path.join(directory, 'broken-plugins');
+    writeFile('broken-plugins/a-missing-create.js', 'export default { id: "incomplete" };');
+    writeFile('broken-plugins/b-syntax.mjs', 'export default {');
+    writeFile('broken-plugins/c-database.js', 'export default { id: "database", create: () => null };');
+    writeFile('broken-plugins/notes.txt', 'not a plugin');
+
+    const registry = new ToolRegistry();
+    const report = await registry.loadPlugins(pluginsPath);
+    assert.deepEqual(report.loaded, []);
+    assert.deepEqual(report.failed.map(failure => failure.file), ['a-missing-create.js', 'b-syntax.mjs', 'c-database.js']);
+    assert.match(report.failed[0].error, /create: Must be a function/);
+    assert.match(report.failed[2].error, /already registered/);
+
+    assert.deepEqual((await registry.loadPlugins(PLUGINS_PATH)).loaded, ['word_count']);
+    assert.deepEqual(await registry.loadPlugins(path.join(directory, 'no-plugins-here')), { loaded: [], failed: [] });
+});
+
+test('the agent builds its tools, plugins and system prompt from the config', async () => {
+    const file = writeFile('agent/agent.config.json', {
+        systemPrompt: 'You count words.',
+        tools: {
+            database: { dataPath: '../sqlite', exportPath: '../exports' },
+            file: false,
+            terminal: false,
+            weather: false,
+            exchange_rate: false,
+            ip_info: false,
+            news: false,
+            word_count: { minLength: 4 },
+        },
+        plugins: { directory: PLUGINS_PATH },
+    });
+    const llm = new FakeChatModel({
+        responses: [
+            { toolCalls: [{ name: 'count_words', args: { text: 'a long sentence is here' } }] },
+            (messages) => messages.at(-1).content,
+        ],
+    });
+    const agent = new MultiSourceAgent({ llm, config: loadConfig({ file }), sessionsPath: path.join(directory, 'config-sessions') });
+    agents.push(agent);
+    await agent.initialize();
+
+    assert.deepEqual(llm.boundTools, ['database_query', 'count_words']);
+    assert.equal(agent.getTool('database_query').dataPath, path.join(directory, 'sqlite'));
+
+    const result = await agent.processMessage('How many long words?');
+    assert.equal(result.text, '3 words');
+    assert.equal(llm.calls[0][0].content, 'You count words.');
+});
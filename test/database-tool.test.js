@@ -0,0 +1,103 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import path from 'path';
+import { DatabaseTool } from '../src/tools/database-tool.js';
+import { makeTempDir, removeDir, createFixtureDatabase } from './helpers/fixtures.js';
+
+let directory;
+let tool;
+
+before(async () => {
+    directory = makeTempDir();
+    await createFixtureDatabase(path.join(directory, 'sqlite'));
+    tool = new DatabaseTool();
+    tool.dataPath = path.join(directory, 'sqlite');
+    tool.exportPath = path.join(directory, 'exports');
+    await tool.initialize();
+});
+
+after(async () => {
+    for (const name of Array.from(tool.databases.keys())) {
+        await tool.detachDatabase(name);
+    }
+    removeDir(directory);
+});
+
+test('loads the fixture database and its schema', () => {
+    assert.equal(tool.defaultDatabase, 'music');
+    assert.deepEqual(tool.schemas.get('music').tables.map(table => table.name).sort(), ['Album', 'Artist']);
+    assert.match(tool.description, /Artist/);
+});
+
+test('list_databases names the default database', async () => {
+    const message = await tool.invoke({ name: 'database_query', args: { action: 'list_databases' }, id: '1', type: 'tool_call' });
+    assert.match(message.content, /music \(default\)/);
+    assert.deepEqual(message.artifact, { databases: ['music'], defaultDatabase: 'music' });
+});
+
+test('runs a SELECT and returns the rows as the artifact', async () => {
+    const message = await tool.invoke({
+        name: 'database_query',
+        args: { sqlQuery: 'SELECT COUNT(*) AS count FROM Album WHERE ArtistId = 1' },
+        id: '2',
+        type: 'tool_call',
+    });
+    assert.deepEqual(message.artifact.columns, ['count']);
+    assert.deepEqual(message.artifact.rows, [[2]]);
+    assert.match(message.content, /\b2\b/);
+});
+
+test('rejects statements that write', async () => {
+    const { text, result } = await tool.executeQuery('DELETE FROM Artist');
+    assert.equal(result, null);
+    assert.match(text, /rejected/i);
+    const { result: remaining } = await tool.executeQuery('SELECT COUNT(*) AS count FROM Artist');
+    assert.deepEqual(remaining.rows, [[3]]);
+});
+
+test('reports an unknown database instead of throwing', async () => {
+    const { text, result } = await tool.executeQuery('SELECT 1', { database: 'missing' });
+    assert.equal(result, null);
+    assert.match(text, /Unknown database "missing"/);
+});
+
+test('repairs a failing query with the repairer', async () => {
+    const requests = [];
+    tool.setQueryRepairer(async (request) => {
+        requests.push(request);
+        return 'SELECT Name FROM Artist ORDER BY Name LIMIT 1';
+    });
+    try {
+        const { result } = await tool.executeQuery('SELECT ArtistName FROM Artist', { question: 'First artist?' });
+        assert.equal(requests.length, 1);
+        assert.equal(requests[0].question, 'First artist?');
+        assert.match(requests[0].error, /no such column/);
+        assert.deepEqual(result.rows, [['AC/DC']]);
+        assert.equal(result.attempts.length, 2);
+    } finally {
+        tool.setQueryRepairer(null);
+    }
+});
+
+test('exports the full result set as CSV', async () => {
+    const { result } = await tool.executeQuery('SELECT Title FROM Album ORDER BY AlbumId', { exportFormat: 'csv', exportName: 'albums' });
+    const lines = fs.readFileSync(result.exportPath, 'utf-8').trim().split(/\r?\n/);
+    assert.equal(path.dirname(result.exportPath), tool.exportPath);
+    assert.equal(lines.length, 5);
+    assert.equal(lines[1], 'For Those About To Rock We Salute You');
+});
+
+test('keeps columns that share a name apart', async () => {
+    const { text, result } = await tool.executeQuery('SELECT ar.Name, al.Title AS Name FROM Album al JOIN Artist ar ON ar.ArtistId = al.ArtistId ORDER BY al.AlbumId LIMIT 1;');
+    assert.deepEqual(result.columns, ['Name', 'Name:1']);
+    assert.deepEqual(result.rows, [['AC/DC', 'For Those About To Rock We Salute You']]);
+    assert.match(text, /Name:1 were renamed\. Give them distinct names with AS/);
+});
+
+test('an empty result keeps its columns in exports', async () => {
+    const { text, result } = await tool.executeQuery('SELECT ArtistId, Name FROM Artist WHERE 0 -- none', { exportFormat: 'csv', exportName: 'empty' });
+    assert.deepEqual(result.columns, ['ArtistId', 'Name']);
+    assert.match(text, /No results found for your query \(columns: ArtistId, Name\)/);
+    assert.equal(fs.readFileSync(result.exportPath, 'utf-8'), 'ArtistId,Name\r\n');
+});
@@ -0,0 +1,34 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import path from 'path';
+import { loadDocument } from '../src/tools/document-loaders.js';
+import { decodeEntities, htmlToText } from '../src/tools/html-text.js';
+import { makeTempDir, removeDir } from './helpers/fixtures.js';
+
+let directory;
+
+before(() => {
+    directory = makeTempDir();
+});
+
+after(() => {
+    removeDir(directory);
+});
+
+test('decodes named and numeric entities and keeps invalid ones', () => {
+    assert.equal(decodeEntities('&amp; &#233; &#x1F600; &unknown;'), '& é 😀 &unknown;');
+    assert.equal(decodeEntities('a &#99999999; b &#xD800; c &#x110000;'), 'a &#99999999; b &#xD800; c &#x110000;');
+    assert.equal(htmlToText('<p>a &#99999999; b</p>'), 'a &#99999999; b');
+});
+
+test('loads an HTML document with its title, headings and an out-of-range entity', async () => {
+    const file = path.join(directory, 'page.html');
+    fs.writeFileSync(file, '<html><head><title>Prices &amp; Markets</title></head><body><h1>Prices</h1><p>Hayek &#99999999; knowledge</p><script>x()</script></body></html>');
+
+    const document = await loadDocument(file);
+    assert.equal(document.title, 'Prices & Markets');
+    assert.equal(document.type, 'html');
+    assert.match(document.sections[0].text, /# Prices\n\nHayek &#99999999; knowledge/);
+    assert.doesNotMatch(document.sections[0].text, /x\(\)/);
+});
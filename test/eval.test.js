@@ -0,0 +1,130 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import path from 'path';
+import { loadDataset, resultsMatch, expectedMentions, runEval, formatScorecard, DEFAULT_DATASET } from '../src/eval.js';
+import { runEvalCommand, EXIT_CODES } from '../src/cli.js';
+import { makeTempDir, removeDir } from './helpers/fixtures.js';
+import { prepareFixtures, createFixtureAgent } from './helpers/fixture-agent.js';
+
+let directory;
+const agents = [];
+
+before(async () => {
+    directory = makeTempDir();
+    await prepareFixtures(directory);
+});
+
+after(async () => {
+    for (const agent of agents) {
+        await agent.cleanup();
+    }
+    removeDir(directory);
+});
+
+async function createAgent(responses) {
+    const created = await createFixtureAgent(directory, responses);
+    agents.push(created.agent);
+    return created;
+}
+
+function writeDataset(name, cases) {
+    const file = path.join(directory, `${name}.json`);
+    fs.writeFileSync(file, JSON.stringify({ name, version: '1.0.0', cases }));
+    return file;
+}
+
+const CASES = [
+    { id: 'artists', category: 'music', question: 'How many artists?', expectedTools: ['database_query'], goldSql: 'SELECT COUNT(*) FROM Artist' },
+    { id: 'acdc', category: 'music', question: 'Albums by AC/DC?', expectedTools: ['database_query'], goldSql: "SELECT Title FROM Album WHERE ArtistId = 1" },
+    { id: 'smith', category: 'economics', question: 'What did Adam Smith write about?', expectedTools: ['file_search'], keywords: ['invisible hand', ['division of labor', 'division of labour']] },
+    { id: 'hello', category: 'chitchat', question: 'Hello!', expectedTools: [] },
+];
+
+// Right answers for "artists" and "smith", a wrong query for "acdc" and a needless tool call for "hello"
+const RESPONSES = [
+    { toolCalls: [{ name: 'database_query', args: { sqlQuery: 'SELECT COUNT(*) AS artists FROM Artist' } }] },
+    'There are 3 artists.',
+    { toolCalls: [{ name: 'database_query', args: { sqlQuery: 'SELECT Title FROM Album' } }] },
+    'AC/DC has 4 albums.',
+    { toolCalls: [{ name: 'file_search', args: { query: 'Adam Smith', mode: 'keyword' } }] },
+    'Smith described the invisible hand and the division of labour.',
+    { toolCalls: [{ name: 'database_query', args: { action: 'list_databases' } }] },
+    'Hi!',
+];
+
+test('the bundled dataset is valid', () => {
+    const dataset = loadDataset(DEFAULT_DATASET);
+    assert.equal(dataset.name, 'agent');
+    assert.deepEqual([...new Set(dataset.cases.map(testCase => testCase.category))], ['music', 'economics', 'external', 'chitchat']);
+    assert.ok(dataset.cases.filter(testCase => testCase.category === 'music').every(testCase => testCase.goldSql));
+});
+
+test('rejects datasets with duplicate ids or unknown fields', () => {
+    const file = writeDataset('broken', [
+        { id: 'a', category: 'music', question: 'Q?', expectedTools: [] },
+        { id: 'a', category: 'music', question: 'Q?', expectedTools: [], expectedTool: 'none' },
+    ]);
+    assert.throws(() => loadDataset(file), (error) => {
+        assert.match(error.message, /cases\.1\.id: Duplicate case id "a"/);
+        assert.match(error.message, /cases\.1: Unrecognized key\(s\) in object: 'expectedTool'/);
+        return true;
+    });
+});
+
+test('compares query results with the gold result', () => {
+    const gold = { rows: [['AC/DC', 2], ['Aerosmith', 1]] };
+    assert.equal(resultsMatch(gold, { rows: [[1, 'Aerosmith'], [2, 'AC/DC']] }), true);
+    assert.equal(resultsMatch(gold, { rows: [[1, 'Aerosmith', 'extra'], [2, 'ac/dc', 'extra']] }), true);
+    assert.equal(resultsMatch(gold, { rows: [[1, 'Aerosmith'], [2, 'AC/DC']] }, { ordered: true }), false);
+    assert.equal(resultsMatch(gold, { rows: [['AC/DC', 2]] }), false);
+    assert.equal(resultsMatch(gold, { rows: [['AC/DC', 2], ['AC/DC', 2]] }), false);
+    assert.equal(resultsMatch({ rows: [[523.06]] }, { rows: [[523.0600000000001]] }), true);
+
+    assert.deepEqual(expectedMentions({ rows: [[2328.6]] }), [['2328.6', '2,328.6', '2328.60', '2,328.60']]);
+    assert.deepEqual(expectedMentions({ rows: [['Rock', 1297]] }), [['Rock']]);
+    assert.deepEqual(expectedMentions({ rows: Array.from({ length: 11 }, (_, index) => [`Name ${index}`]) }), []);
+});
+
+test('scores routing, SQL, answers and keywords per category', async () => {
+    const { agent } = await createAgent(RESPONSES);
+    const report = await runEval(agent, loadDataset(writeDataset('fixture', CASES)));
+
+    const byId = Object.fromEntries(report.cases.map(testCase => [testCase.id, testCase]));
+    assert.deepEqual(byId.artists.checks.map(check => [check.name, check.pass]), [['routing', true], ['sql', true], ['answer', true]]);
+    assert.equal(byId.artists.pass, true);
+    assert.deepEqual(byId.acdc.checks.map(check => [check.name, check.pass]), [['routing', true], ['sql', false], ['answer', false]]);
+    assert.match(byId.acdc.checks[2].detail, /missing For Those About To Rock/);
+    assert.equal(byId.smith.pass, true);
+    assert.equal(byId.hello.checks[0].detail, 'expected no tool, called database_query');
+
+    assert.deepEqual(report.summary.checks.routing, { passed: 3, total: 4 });
+    assert.deepEqual(report.summary.checks.sql, { passed: 1, total: 2 });
+    assert.equal(report.summary.passed, 2);
+    assert.deepEqual(Object.keys(report.byCategory), ['music', 'economics', 'chitchat']);
+    assert.equal(report.byCategory.music.passRate, 0.5);
+    assert.equal(report.complete, true);
+    assert.match(report.systemPromptHash, /^[0-9a-f]{12}$/);
+
+    const scorecard = formatScorecard(report);
+    assert.match(scorecard, /^fixture v1\.0\.0/);
+    assert.match(scorecard, /music\s+2\s+1 \(50%\)\s+100%\s+50%\s+50%\s+—/);
+    assert.match(scorecard, /✗ acdc: sql: 1 query result\(s\), none matched the 2 gold row\(s\)/);
+});
+
+test('the eval command writes the report and fails when a case fails', async () => {
+    const { agent } = await createAgent(RESPONSES.slice(4));
+    const dataset = writeDataset('command', CASES.slice(2));
+    const output = path.join(directory, 'reports', 'report.json');
+    const chunks = [];
+    const stdout = { write: (chunk) => chunks.push(chunk) };
+
+    const exitCode = await runEvalCommand(agent, { dataset, output, categories: ['economics'] }, { stdout });
+    assert.equal(exitCode, EXIT_CODES.ok);
+    const report = JSON.parse(fs.readFileSync(output, 'utf-8'));
+    assert.deepEqual(report.cases.map(testCase => testCase.id), ['smith']);
+    assert.match(chunks.join(''), /economics\s+1\s+1 \(100%\)/);
+
+    assert.equal(await runEvalCommand(agent, { dataset, output, categories: ['chitchat'] }, { stdout }), EXIT_CODES.failed);
+    await assert.rejects(runEvalCommand(agent, { dataset, output, categories: ['weather'] }, { stdout }), /No cases in categories weather/);
+});
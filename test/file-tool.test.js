@@ -0,0 +1,86 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import path from 'path';
+import { FileTool } from '../src/tools/file-tool.js';
+import { makeTempDir, removeDir, copyFixtureDocuments } from './helpers/fixtures.js';
+
+let directory;
+let tool;
+
+before(async () => {
+    directory = makeTempDir();
+    tool = new FileTool();
+    tool.dataPath = copyFixtureDocuments(path.join(directory, 'documents'));
+    tool.indexCachePath = path.join(directory, 'index', 'embeddings.json');
+    await tool.initialize();
+});
+
+after(() => {
+    removeDir(directory);
+});
+
+test('indexes each heading of the fixture document as a section', () => {
+    assert.deepEqual(Array.from(tool.documents.keys()), ['economists.md']);
+    assert.equal(tool.documents.get('economists.md').title, 'Economists');
+    assert.ok(tool.index.size >= 3);
+    assert.ok(fs.existsSync(tool.indexCachePath));
+});
+
+test('a corrupt embeddings cache is rebuilt instead of disabling semantic search', async () => {
+    const cachePath = path.join(directory, 'corrupt-index', 'embeddings.json');
+    fs.mkdirSync(path.dirname(cachePath), { recursive: true });
+    fs.writeFileSync(cachePath, '{"model": "local", "vectors": {"ab');
+
+    const rebuilt = new FileTool();
+    rebuilt.dataPath = tool.dataPath;
+    rebuilt.indexCachePath = cachePath;
+    await rebuilt.initialize();
+
+    assert.ok(rebuilt.vectorIndex);
+    assert.equal(rebuilt.vectorIndex.size, tool.vectorIndex.size);
+    const saved = JSON.parse(fs.readFileSync(cachePath, 'utf-8'));
+    assert.equal(Object.keys(saved.vectors).length, rebuilt.vectorIndex.size);
+    assert.equal(fs.existsSync(`${cachePath}.tmp`), false);
+});
+
+test('keyword search cites the matching section first', async () => {
+    const message = await tool.invoke({
+        name: 'file_search',
+        args: { query: 'invisible hand pin factory', mode: 'keyword', topK: 1 },
+        id: '1',
+        type: 'tool_call',
+    });
+    const [best] = message.artifact.results;
+    assert.equal(message.artifact.mode, 'keyword');
+    assert.equal(best.file, 'economists.md');
+    assert.match(best.citation, /Adam Smith/);
+    assert.match(message.content, /Wealth of Nations/);
+});
+
+test('hybrid search is the default when embeddings are enabled', async () => {
+    const [content, artifact] = await tool.searchInFiles('prices and dispersed knowledge');
+    assert.equal(artifact.mode, 'hybrid');
+    assert.match(artifact.results[0].citation, /Hayek/);
+    assert.match(content, /Found \d+ relevant section/);
+});
+
+test('says so when nothing matches', async () => {
+    const [content, artifact] = await tool.searchInFiles('zzzz qqqq', 3, 'keyword');
+    assert.deepEqual(artifact.results, []);
+    assert.match(content, /No matching sections/);
+});
+
+test('reload picks up added and removed files', async () => {
+    fs.writeFileSync(path.join(tool.dataPath, 'notes.txt'), 'Ricardo described comparative advantage in trade.');
+    let changes = await tool.reload();
+    assert.deepEqual(changes.added, ['notes.txt']);
+    const [, artifact] = await tool.searchInFiles('comparative advantage', 1, 'keyword');
+    assert.equal(artifact.results[0].file, 'notes.txt');
+
+    fs.rmSync(path.join(tool.dataPath, 'notes.txt'));
+    changes = await tool.reload();
+    assert.deepEqual(changes.removed, ['notes.txt']);
+    const [, afterRemoval] = await tool.searchInFiles('comparative advantage', 1, 'keyword');
+    assert.ok(afterRemoval.results.every(result => result.file !== 'notes.txt'));
+});
@@ -0,0 +1,21 @@
+CREATE TABLE Artist (
+    ArtistId INTEGER PRIMARY KEY,
+    Name TEXT NOT NULL
+);
+
+CREATE TABLE Album (
+    AlbumId INTEGER PRIMARY KEY,
+    Title TEXT NOT NULL,
+    ArtistId INTEGER NOT NULL REFERENCES Artist (ArtistId)
+);
+
+INSERT INTO Artist (ArtistId, Name) VALUES
+    (1, 'AC/DC'),
+    (2, 'Aerosmith'),
+    (3, 'Antônio Carlos Jobim');
+
+INSERT INTO Album (AlbumId, Title, ArtistId) VALUES
+    (1, 'For Those About To Rock We Salute You', 1),
+    (2, 'Let There Be Rock', 1),
+    (3, 'Big Ones', 2),
+    (4, 'Warner 25 Anos', 3);
@@ -0,0 +1,16 @@
+import { z } from 'zod';
+import { DynamicStructuredTool } from '@langchain/core/tools';
+
+// A plugin is a tool definition (see src/tool-registry.js). minLength shows how the
+// options under tools.word_count in agent.config reach create().
+export default {
+    id: 'word_count',
+    label: 'word count',
+    options: z.object({ minLength: z.number().int().min(1).default(1) }).strict(),
+    create: ({ minLength }) => new DynamicStructuredTool({
+        name: 'count_words',
+        description: 'Counts the words in a text.',
+        schema: z.object({ text: z.string() }),
+        func: async ({ text }) => `${text.split(/\s+/).filter(word => word.length >= minLength).length} words`,
+    }),
+};
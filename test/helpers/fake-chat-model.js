@@ -0,0 +1,93 @@
+import { BaseChatModel } from '@langchain/core/language_models/chat_models';
+import { AIMessage, AIMessageChunk } from '@langchain/core/messages';
+import { ChatGenerationChunk } from '@langchain/core/outputs';
+
+// Chat model that replays a script instead of calling a provider. Each model call takes
+// the next entry, which is one of:
+//   'text'                                    a plain answer
+//   { content, toolCalls: [{ name, args }] }  tool calls (content is optional)
+//   (messages) => entry                       decides from the messages it receives
+// Every call is recorded in `calls`, and streaming emits the answer word by word.
+// Token usage is estimated at 4 characters per token.
+export class FakeChatModel extends BaseChatModel {
+    constructor({ responses = [], chunkDelayMs = 0 } = {}) {
+        super({});
+        this.responses = [...responses];
+        this.chunkDelayMs = chunkDelayMs;
+        this.calls = [];
+        this.boundTools = [];
+    }
+
+    _llmType() {
+        return 'fake';
+    }
+
+    // The agent binds its tools once; the script already knows which ones to call
+    bindTools(tools) {
+        this.boundTools = tools.map(tool => tool.name);
+        return this;
+    }
+
+    nextMessage(messages) {
+        this.calls.push(messages);
+        if (this.responses.length === 0) {
+            throw new Error(`FakeChatModel has no scripted response left for call ${this.calls.length}`);
+        }
+
+        let entry = this.responses.shift();
+        if (typeof entry === 'function') {
+            entry = entry(messages);
+        }
+        if (typeof entry === 'string') {
+            entry = { content: entry };
+        }
+        const toolCalls = (entry.toolCalls || []).map((call, index) => ({
+            id: call.id || `call_${this.calls.length}_${index}`,
+            name: call.name,
+            args: call.args || {},
+            type: 'tool_call',
+        }));
+        const content = entry.content || '';
+        const inputTokens = Math.ceil(messages.reduce((total, message) => total + String(message.content).length, 0) / 4);
+        const outputTokens = Math.ceil((content.length + JSON.stringify(toolCalls.map(call => call.args)).length) / 4);
+        const usage = { input_tokens: inputTokens, output_tokens: outputTokens, total_tokens: inputTokens + outputTokens };
+        return { content, toolCalls, usage };
+    }
+
+    async _generate(messages) {
+        const { content, toolCalls, usage } = this.nextMessage(messages);
+        const message = new AIMessage({ content, tool_calls: toolCalls, usage_metadata: usage });
+        return { generations: [{ text: content, message }] };
+    }
+
+    async *_streamResponseChunks(messages, options, runManager) {
+        const { content, toolCalls, usage } = this.nextMessage(messages);
+
+        for (const piece of content.match(/\S+\s*/g) || []) {
+            if (this.chunkDelayMs > 0) {
+                await new Promise(resolve => setTimeout(resolve, this.chunkDelayMs));
+            }
+            if (options.signal?.aborted) {
+                throw new Error('Aborted');
+            }
+            yield new ChatGenerationChunk({ text: piece, message: new AIMessageChunk({ content: piece }) });
+            await runManager?.handleLLMNewToken(piece);
+        }
+
+        // Tool calls and usage arrive in a final chunk, as with most providers
+        yield new ChatGenerationChunk({
+            text: '',
+            message: new AIMessageChunk({
+                content: '',
+                tool_call_chunks: toolCalls.map((call, index) => ({
+                    id: call.id,
+                    name: call.name,
+                    args: JSON.stringify(call.args),
+                    index,
+                    type: 'tool_call_chunk',
+                })),
+                usage_metadata: usage,
+            }),
+        });
+    }
+}
@@ -0,0 +1,32 @@
+import path from 'path';
+import { MultiSourceAgent } from '../../src/agent.js';
+import { DatabaseTool } from '../../src/tools/database-tool.js';
+import { FileTool } from '../../src/tools/file-tool.js';
+import { TerminalTool } from '../../src/tools/terminal-tool.js';
+import { FakeChatModel } from './fake-chat-model.js';
+import { createFixtureDatabase, copyFixtureDocuments, writeEchoPolicy } from './fixtures.js';
+
+// Fills a temporary directory with the fixture database, documents and an echo-only command policy
+export async function prepareFixtures(directory) {
+    await createFixtureDatabase(path.join(directory, 'sqlite'));
+    copyFixtureDocuments(path.join(directory, 'documents'));
+    writeEchoPolicy(directory);
+}
+
+// An agent over the fixtures in `directory` whose model replays `responses`
+export async function createFixtureAgent(directory, responses, { sessionsPath = path.join(directory, 'sessions') } = {}) {
+    const databaseTool = new DatabaseTool();
+    databaseTool.dataPath = path.join(directory, 'sqlite');
+    databaseTool.exportPath = path.join(directory, 'exports');
+    const fileTool = new FileTool();
+    fileTool.dataPath = path.join(directory, 'documents');
+    fileTool.indexCachePath = path.join(directory, 'index', 'embeddings.json');
+    const terminalTool = new TerminalTool();
+    terminalTool.policyPath = path.join(directory, 'command-policy.json');
+    terminalTool.outputPath = path.join(directory, 'command-output');
+
+    const llm = new FakeChatModel({ responses });
+    const agent = new MultiSourceAgent({ llm, tools: [databaseTool, fileTool, terminalTool], sessionsPath });
+    await agent.initialize();
+    return { agent, llm };
+}
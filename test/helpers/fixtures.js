@@ -0,0 +1,57 @@
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import sqlite3 from 'sqlite3';
+import { fileURLToPath } from 'url';
+
+export const FIXTURES_PATH = path.join(path.dirname(fileURLToPath(import.meta.url)), '..', 'fixtures');
+
+export function makeTempDir(prefix = 'agent-test-') {
+    return fs.mkdtempSync(path.join(os.tmpdir(), prefix));
+}
+
+export function removeDir(directory) {
+    fs.rmSync(directory, { recursive: true, force: true });
+}
+
+// Builds <directory>/<name>.db from test/fixtures/<name>.sql
+export function createFixtureDatabase(directory, name = 'music') {
+    fs.mkdirSync(directory, { recursive: true });
+    const sql = fs.readFileSync(path.join(FIXTURES_PATH, `${name}.sql`), 'utf-8');
+    const dbPath = path.join(directory, `${name}.db`);
+
+    return new Promise((resolve, reject) => {
+        const db = new sqlite3.Database(dbPath, (openError) => {
+            if (openError) {
+                reject(openError);
+                return;
+            }
+            db.exec(sql, (execError) => {
+                db.close(() => (execError ? reject(execError) : resolve(dbPath)));
+            });
+        });
+    });
+}
+
+export function copyFixtureDocuments(directory) {
+    fs.cpSync(path.join(FIXTURES_PATH, 'documents'), directory, { recursive: true });
+    return directory;
+}
+
+// A command policy that only allows echo, running in the given directory
+export function writeEchoPolicy(directory) {
+    const policyPath = path.join(directory, 'command-policy.json');
+    fs.writeFileSync(policyPath, JSON.stringify({
+        version: 1,
+        workingDirectory: directory,
+        timeoutMs: 5000,
+        maxOutputBytes: 65536,
+        allowPipes: false,
+        allowedHosts: [],
+        env: { inherit: ['PATH'], set: {} },
+        binaries: {
+            echo: { description: 'Print text', positional: 'any' },
+        },
+    }), 'utf-8');
+    return policyPath;
+}
@@ -0,0 +1,35 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { readLlmOptions, createChatModel, checkToolCalling } from '../src/llm.js';
+import { FakeChatModel } from './helpers/fake-chat-model.js';
+
+test('defaults to Groq and keeps MODEL_NAME working', () => {
+    const options = readLlmOptions({ GROQ_API_KEY: 'key', MODEL_NAME: 'legacy-model', TEMPERATURE: '0.1' });
+    assert.equal(options.provider, 'groq');
+    assert.equal(options.model, 'legacy-model');
+    assert.equal(options.temperature, 0.1);
+    assert.equal(options.checkTools, false);
+});
+
+test('per-provider settings win over the shared ones', () => {
+    const options = readLlmOptions({ LLM_PROVIDER: 'ollama', MODEL_NAME: 'ignored', OLLAMA_MODEL: 'qwen2.5', TEMPERATURE: '0.1', OLLAMA_TEMPERATURE: '0' });
+    assert.equal(options.model, 'qwen2.5');
+    assert.equal(options.temperature, 0);
+    assert.equal(options.baseUrl, 'http://localhost:11434/v1');
+    assert.equal(options.checkTools, true);
+});
+
+test('configuration mistakes fail with a clear message', async () => {
+    assert.throws(() => readLlmOptions({ LLM_PROVIDER: 'anthropic' }), /Unknown LLM_PROVIDER "anthropic"/);
+    assert.throws(() => readLlmOptions({ LLM_PROVIDER: 'openai-compatible' }), /OPENAI_COMPATIBLE_MODEL is required/);
+    await assert.rejects(createChatModel(readLlmOptions({})), /GROQ_API_KEY is not set/);
+});
+
+test('the tool-calling check fails for a model that answers in text', async () => {
+    const options = { provider: 'test', model: 'fake', checkTimeoutMs: 1000 };
+    assert.equal(await checkToolCalling(new FakeChatModel({ responses: [{ toolCalls: [{ name: 'ping' }] }] }), options), true);
+    await assert.rejects(checkToolCalling(new FakeChatModel({ responses: ['pong'] }), options), /answered in text when asked to call a tool.*LLM_CHECK_TOOLS=false/);
+
+    const noTools = new FakeChatModel({ responses: [() => { throw new Error('model does not support tools'); }] });
+    await assert.rejects(checkToolCalling(noTools, options), /does not support tool calling/);
+});
@@ -0,0 +1,151 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import path from 'path';
+import chalk from 'chalk';
+import { Logger, readLogOptions } from '../src/logger.js';
+import { TurnTrace, TraceExporter } from '../src/tracing.js';
+import { resolvePricing, estimateCost } from '../src/pricing.js';
+import { SessionStore } from '../src/session-store.js';
+import { parseCliArgs, runStats, EXIT_CODES } from '../src/cli.js';
+import { makeTempDir, removeDir } from './helpers/fixtures.js';
+import { prepareFixtures, createFixtureAgent } from './helpers/fixture-agent.js';
+
+let directory;
+const agents = [];
+
+before(async () => {
+    directory = makeTempDir();
+    await prepareFixtures(directory);
+});
+
+after(async () => {
+    for (const agent of agents) {
+        await agent.cleanup();
+    }
+    removeDir(directory);
+});
+
+function attribute(span, key) {
+    const value = span.attributes.find(entry => entry.key === key)?.value;
+    return value ? Object.values(value)[0] : undefined;
+}
+
+test('the logger filters by level and writes plain JSON lines', () => {
+    assert.deepEqual(readLogOptions({ LOG_LEVEL: 'DEBUG', LOG_FORMAT: 'json' }), { level: 'debug', format: 'json' });
+    assert.deepEqual(readLogOptions({ LOG_LEVEL: 'loud' }), { level: 'info', format: 'pretty' });
+
+    const lines = [];
+    const logger = new Logger({ level: 'info', format: 'json', write: line => lines.push(line) });
+    const log = logger.child({ component: 'database' });
+    log.debug('hidden');
+    log.info(chalk.blue('      🔍 Executing SQL'), { sql: 'SELECT 1' });
+    log.error('Query failed', { error: new Error('no such table') });
+
+    const records = lines.map(line => JSON.parse(line));
+    assert.equal(records.length, 2);
+    assert.deepEqual({ ...records[0], time: null }, { time: null, level: 'info', component: 'database', msg: '🔍 Executing SQL', sql: 'SELECT 1' });
+    assert.deepEqual(records[1].error, { name: 'Error', message: 'no such table' });
+
+    // Children share the settings of the logger they come from
+    logger.configure({ level: 'silent' });
+    log.error('not written');
+    assert.equal(lines.length, 2);
+    assert.throws(() => logger.configure({ level: 'verbose' }), /Unknown log level "verbose"/);
+});
+
+test('a turn trace has model and tool spans under the turn span', () => {
+    const trace = new TurnTrace({ sessionId: 'session-1', question: 'How many artists?', model: { provider: 'groq', model: 'openai/gpt-oss-120b' } });
+    trace.record({ type: 'model_end', node: 'agent', usage: { inputTokens: 120, outputTokens: 30, totalTokens: 150 }, durationMs: 40 });
+    trace.record({ type: 'tool_start', name: 'database_query', input: { sqlQuery: 'SELECT COUNT(*) FROM Artist' }, runId: 'run-1' });
+    trace.record({ type: 'tool_end', name: 'database_query', output: '3', toolCallId: 'call-1', runId: 'run-1', durationMs: 5 });
+    trace.record({ type: 'tool_start', name: 'file_search', input: { query: 'Smith' }, runId: 'run-2' });
+    trace.record({ type: 'error', message: 'Rate limit reached' });
+    trace.end({ costUsd: 0.0001 });
+
+    const { resourceSpans: [{ resource, scopeSpans: [{ spans }] }] } = trace.toOtlp();
+    assert.equal(attribute(resource, 'service.name'), 'multi-source-ai-agent');
+    assert.deepEqual(spans.map(span => span.name), ['invoke_agent multi-source-agent', 'chat openai/gpt-oss-120b', 'execute_tool database_query', 'execute_tool file_search']);
+
+    const [turn, chat, query, search] = spans;
+    assert.match(turn.traceId, /^[0-9a-f]{32}$/);
+    assert.ok(spans.every(span => span.traceId === turn.traceId));
+    assert.ok(spans.slice(1).every(span => span.parentSpanId === turn.spanId));
+    assert.equal(turn.parentSpanId, undefined);
+    assert.deepEqual(turn.status, { code: 2, message: 'Rate limit reached' });
+    assert.equal(turn.events[0].name, 'exception');
+    assert.equal(attribute(turn, 'gen_ai.conversation.id'), 'session-1');
+    assert.equal(attribute(turn, 'gen_ai.usage.input_tokens'), '120');
+    assert.equal(attribute(turn, 'agent.cost_usd'), 0.0001);
+
+    assert.equal(chat.kind, 3);
+    assert.equal(attribute(chat, 'gen_ai.usage.output_tokens'), '30');
+    assert.ok(Math.abs(Number(BigInt(chat.endTimeUnixNano) - BigInt(chat.startTimeUnixNano)) - 40_000_000) <= 1000);
+    assert.equal(attribute(query, 'gen_ai.tool.call.id'), 'call-1');
+    assert.equal(attribute(query, 'gen_ai.tool.call.arguments'), '{"sqlQuery":"SELECT COUNT(*) FROM Artist"}');
+    assert.deepEqual(query.status, { code: 1 });
+    assert.equal(search.status.code, 2);
+});
+
+test('prices come from the built-in table, the config or the provider', () => {
+    assert.deepEqual(resolvePricing({ provider: 'openai', model: 'gpt-4o-mini' }), { inputPerMillion: 0.15, outputPerMillion: 0.6 });
+    assert.deepEqual(resolvePricing({ provider: 'ollama', model: 'llama3.1' }), { inputPerMillion: 0, outputPerMillion: 0 });
+    assert.equal(resolvePricing({ provider: 'openai-compatible', model: 'local' }), null);
+    assert.deepEqual(resolvePricing(null, { inputPerMillion: 1, outputPerMillion: 2 }), { inputPerMillion: 1, outputPerMillion: 2 });
+    assert.equal(estimateCost({ inputTokens: 1_000_000, outputTokens: 500_000 }, { inputPerMillion: 1, outputPerMillion: 2 }), 2);
+    assert.equal(estimateCost({ inputTokens: 10, outputTokens: 10 }, null), null);
+});
+
+test('turns are traced to TRACE_FILE and their usage is added to the session', async () => {
+    const sessionsPath = path.join(directory, 'traced-sessions');
+    const { agent } = await createFixtureAgent(directory, [
+        { toolCalls: [{ name: 'database_query', args: { sqlQuery: 'SELECT COUNT(*) AS artists FROM Artist' } }] },
+        'There are 3 artists.',
+        'Hello!',
+    ], { sessionsPath });
+    agents.push(agent);
+    const traceFile = path.join(directory, 'traces', 'traces.jsonl');
+    agent.traceExporter = new TraceExporter({ file: traceFile });
+    agent.pricing = { inputPerMillion: 1, outputPerMillion: 2 };
+
+    const first = await agent.processMessage('How many artists?');
+    const second = await agent.processMessage('Hi');
+
+    const traces = fs.readFileSync(traceFile, 'utf-8').trim().split('\n').map(line => JSON.parse(line));
+    assert.equal(traces.length, 2);
+    const spans = traces[0].resourceSpans[0].scopeSpans[0].spans;
+    assert.deepEqual(spans.map(span => span.name), ['invoke_agent multi-source-agent', 'chat agent', 'execute_tool database_query', 'chat agent']);
+    assert.equal(attribute(spans[0], 'agent.question'), 'How many artists?');
+
+    const usage = new SessionStore({ directory: sessionsPath }).get(agent.sessionId).usage;
+    assert.equal(usage.modelCalls, 3);
+    assert.equal(usage.totalTokens, first.usage.totalTokens + second.usage.totalTokens);
+    assert.equal(usage.costUsd, (usage.inputTokens + usage.outputTokens * 2) / 1_000_000);
+});
+
+test('stats prints usage and cost per session', () => {
+    assert.deepEqual(parseCliArgs(['stats', '--json']), { command: 'stats', session: null, json: true });
+    assert.throws(() => parseCliArgs(['stats', 'abc']), /use --session <id>/);
+
+    const store = new SessionStore({ directory: path.join(directory, 'stats-sessions') });
+    store.recordTurn('aaaaaaaa-1111', 'How many artists?');
+    store.recordUsage('aaaaaaaa-1111', { inputTokens: 1200, outputTokens: 300, totalTokens: 1500, modelCalls: 2 }, 0.0004);
+    store.recordTurn('bbbbbbbb-2222', 'Hello');
+    store.recordUsage('bbbbbbbb-2222', { inputTokens: 100, outputTokens: 20, totalTokens: 120, modelCalls: 1 });
+
+    const chunks = [];
+    const stdout = { write: (chunk) => chunks.push(chunk) };
+    assert.equal(runStats(store, {}, { stdout }), EXIT_CODES.ok);
+    const table = chunks.join('');
+    assert.match(table, /aaaaaaaa\s+How many artists\?\s+1\s+2\s+1,200\s+300\s+1,500\s+\$0\.0004/);
+    assert.match(table, /bbbbbbbb\s+Hello\s+1\s+1\s+100\s+20\s+120\s+—/);
+    assert.match(table, /total\s+2 session\(s\)\s+2\s+3\s+1,300\s+320\s+1,620\s+\$0\.0004/);
+    assert.match(table, /set model\.pricing/);
+
+    chunks.length = 0;
+    runStats(store, { session: 'aaaa', json: true }, { stdout });
+    const report = JSON.parse(chunks.join(''));
+    assert.deepEqual(report.sessions.map(session => session.id), ['aaaaaaaa-1111']);
+    assert.equal(report.total.totalTokens, 1500);
+    assert.throws(() => runStats(store, { session: 'cccc' }, { stdout }), /No saved session matches "cccc"/);
+});
@@ -0,0 +1,228 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { AgentServer, readServerOptions } from '../src/server.js';
+import { makeTempDir, removeDir } from './helpers/fixtures.js';
+import { prepareFixtures, createFixtureAgent } from './helpers/fixture-agent.js';
+
+let directory;
+let agent;
+let llm;
+let server;
+let baseUrl;
+
+before(async () => {
+    directory = makeTempDir();
+    await prepareFixtures(directory);
+    ({ agent, llm } = await createFixtureAgent(directory, []));
+    server = new AgentServer(agent, { apiToken: 'secret' });
+    const { port } = await server.listen(0);
+    baseUrl = `http://127.0.0.1:${port}`;
+});
+
+after(async () => {
+    await server.close();
+    await agent.cleanup();
+    removeDir(directory);
+});
+
+// Queues the model's next responses for the following requests
+function script(...responses) {
+    llm.responses.push(...responses);
+}
+
+async function api(method, path, body, headers = {}) {
+    const response = await fetch(`${baseUrl}${path}`, {
+        method,
+        headers: { Authorization: 'Bearer secret', 'Content-Type': 'application/json', ...headers },
+        body: body === undefined ? undefined : JSON.stringify(body),
+    });
+    const text = await response.text();
+    return { status: response.status, headers: response.headers, body: response.headers.get('content-type')?.includes('json') ? JSON.parse(text) : text };
+}
+
+// Reads Server-Sent Events until the stream ends; onEvent may react while the turn runs
+async function readEvents(response, onEvent = () => {}) {
+    const events = [];
+    const decoder = new TextDecoder();
+    let buffer = '';
+    for await (const chunk of response.body) {
+        buffer += decoder.decode(chunk, { stream: true });
+        let end;
+        while ((end = buffer.indexOf('\n\n')) !== -1) {
+            const block = buffer.slice(0, end);
+            buffer = buffer.slice(end + 2);
+            const type = /^event: (.+)$/m.exec(block)[1];
+            const data = JSON.parse(/^data: (.+)$/m.exec(block)[1]);
+            events.push({ type, data });
+            await onEvent({ type, data });
+        }
+    }
+    return events;
+}
+
+async function createSession(title) {
+    const { status, body } = await api('POST', '/sessions', title ? { title } : {});
+    assert.equal(status, 201);
+    return body;
+}
+
+test('requires the bearer token', async () => {
+    const response = await fetch(`${baseUrl}/health`);
+    assert.equal(response.status, 401);
+    assert.equal((await response.json()).error.code, 'UNAUTHORIZED');
+    assert.deepEqual((await api('GET', '/health')).body, { status: 'ok' });
+});
+
+test('lists tools, databases and documents', async () => {
+    const { body: tools } = await api('GET', '/tools');
+    assert.deepEqual(tools.tools.map(tool => [tool.name, tool.requiresApproval]), [
+        ['database_query', false],
+        ['file_search', false],
+        ['execute_command', true],
+    ]);
+
+    const { body: databases } = await api('GET', '/databases');
+    assert.equal(databases.defaultDatabase, 'music');
+    assert.deepEqual(databases.databases[0].tables.map(table => table.name).sort(), ['Album', 'Artist']);
+
+    const { body: documents } = await api('GET', '/documents');
+    assert.deepEqual(documents.documents.map(document => document.file), ['economists.md']);
+});
+
+test('creates a session and answers a message with a turn result', async () => {
+    const session = await createSession('API session');
+    assert.equal(session.title, 'API session');
+    assert.equal(session.turns, 0);
+
+    script({ toolCalls: [{ name: 'database_query', args: { sqlQuery: 'SELECT COUNT(*) AS count FROM Album' } }] }, 'There are 4 albums.');
+    const { status, body } = await api('POST', `/sessions/${session.id}/messages`, { message: 'How many albums?' });
+    assert.equal(status, 200);
+    assert.equal(body.answer, 'There are 4 albums.');
+    assert.deepEqual(body.toolCalls.map(call => call.name), ['database_query']);
+    assert.equal(body.sources[0].sql, 'SELECT COUNT(*) AS count FROM Album');
+
+    const { body: saved } = await api('GET', `/sessions/${session.id.slice(0, 8)}`);
+    assert.equal(saved.turns, 1);
+    assert.equal(saved.busy, false);
+    assert.equal(saved.pendingApproval, null);
+
+    const { body: history } = await api('GET', `/sessions/${session.id}/messages`);
+    assert.deepEqual(history.messages.map(message => message.role), ['user', 'assistant', 'tool', 'assistant']);
+    assert.equal(history.messages[1].toolCalls[0].name, 'database_query');
+});
+
+test('streams tokens, tool progress and the result as Server-Sent Events', async () => {
+    const session = await createSession();
+    script({ toolCalls: [{ name: 'file_search', args: { query: 'Keynes demand', mode: 'keyword' } }] }, 'Keynes focused on aggregate demand.');
+
+    const response = await fetch(`${baseUrl}/sessions/${session.id}/messages`, {
+        method: 'POST',
+        headers: { Authorization: 'Bearer secret', 'Content-Type': 'application/json', Accept: 'text/event-stream' },
+        body: JSON.stringify({ message: 'What did Keynes say?' }),
+    });
+    assert.equal(response.headers.get('content-type'), 'text/event-stream; charset=utf-8');
+    const events = await readEvents(response);
+    const types = events.map(event => event.type);
+
+    assert.equal(types.indexOf('tool_start') < types.indexOf('tool_end'), true);
+    assert.equal(events.filter(event => event.type === 'token').map(event => event.data.text).join(''), 'Keynes focused on aggregate demand.');
+    assert.deepEqual(types.slice(-2), ['done', 'result']);
+    assert.equal(events.at(-1).data.sources[0].type, 'document');
+});
+
+test('a streamed turn waits for approval posted by another request', async () => {
+    const session = await createSession();
+    script({ toolCalls: [{ name: 'execute_command', args: { command: 'echo from-api' } }] }, (messages) => messages.at(-1).content.trim());
+
+    const response = await fetch(`${baseUrl}/sessions/${session.id}/messages`, {
+        method: 'POST',
+        headers: { Authorization: 'Bearer secret', 'Content-Type': 'application/json' },
+        body: JSON.stringify({ message: 'Run echo', stream: true }),
+    });
+    const events = await readEvents(response, async ({ type, data }) => {
+        if (type !== 'approval_required') {
+            return;
+        }
+        const { body: pending } = await api('GET', `/sessions/${session.id}`);
+        assert.equal(pending.busy, true);
+        assert.equal(pending.pendingApproval.commands[0].command, 'echo from-api');
+
+        const missing = await api('POST', `/sessions/${session.id}/approvals`, { decisions: {} });
+        assert.equal(missing.status, 400);
+        assert.equal(missing.body.error.code, 'MISSING_DECISIONS');
+
+        const busy = await api('POST', `/sessions/${session.id}/messages`, { message: 'Another question' });
+        assert.equal(busy.status, 409);
+
+        const { status } = await api('POST', `/sessions/${session.id}/approvals`, { decisions: { [data.commands[0].toolCallId]: { action: 'approve' } } });
+        assert.equal(status, 202);
+    });
+
+    assert.match(events.at(-1).data.answer, /from-api/);
+    assert.deepEqual(events.at(-1).data.sources.map(source => source.command), ['echo from-api']);
+});
+
+test('closing the stream cancels the turn', async () => {
+    const session = await createSession();
+    script({ toolCalls: [{ name: 'execute_command', args: { command: 'echo never' } }] });
+
+    const controller = new AbortController();
+    const response = await fetch(`${baseUrl}/sessions/${session.id}/messages`, {
+        method: 'POST',
+        headers: { Authorization: 'Bearer secret', 'Content-Type': 'application/json', Accept: 'text/event-stream' },
+        body: JSON.stringify({ message: 'Run echo never' }),
+        signal: controller.signal,
+    });
+    await readEvents(response, ({ type }) => {
+        if (type === 'approval_required') {
+            controller.abort();
+        }
+    }).catch(() => {});
+
+    while ((await api('GET', `/sessions/${session.id}`)).body.busy) {
+        await new Promise(resolve => setTimeout(resolve, 20));
+    }
+    const { body } = await api('GET', `/sessions/${session.id}/messages`);
+    assert.equal(body.messages.at(-1).content, '(The user cancelled this turn.)');
+    assert.equal((await api('GET', `/sessions/${session.id}`)).body.pendingApproval, null);
+});
+
+test('an approval saved in the session can be answered later', async () => {
+    const session = await createSession();
+    script({ toolCalls: [{ name: 'execute_command', args: { command: 'echo later' } }] }, (messages) => messages.at(-1).content.trim());
+
+    // Leaves the turn waiting in the thread, as if the process had stopped there
+    for await (const event of agent.streamMessage('Run echo later', { sessionId: session.id })) {
+        if (event.type === 'approval_required') {
+            break;
+        }
+    }
+
+    const { body: saved } = await api('GET', `/sessions/${session.id}`);
+    assert.equal(saved.busy, false);
+    const [{ toolCallId }] = saved.pendingApproval.commands;
+    const { status, body } = await api('POST', `/sessions/${session.id}/approvals`, { decisions: { [toolCallId]: { action: 'edit', command: 'echo edited-later' } } });
+    assert.equal(status, 200);
+    assert.match(body.answer, /edited-later/);
+});
+
+test('rejects bad requests with an error code', async () => {
+    const session = await createSession();
+    assert.equal((await api('POST', `/sessions/${session.id}/messages`, { message: '' })).body.error.code, 'INVALID_REQUEST');
+    assert.equal((await api('POST', `/sessions/${session.id}/approvals`, { decisions: {} })).body.error.code, 'NO_PENDING_APPROVAL');
+    assert.equal((await api('DELETE', `/sessions/${session.id}/turn`)).body.error.code, 'NO_RUNNING_TURN');
+    assert.equal((await api('GET', '/sessions/does-not-exist')).status, 404);
+    assert.equal((await api('GET', '/nowhere')).status, 404);
+    assert.equal((await api('DELETE', '/tools')).status, 405);
+
+    const invalidJson = await fetch(`${baseUrl}/sessions`, { method: 'POST', headers: { Authorization: 'Bearer secret' }, body: '{' });
+    assert.equal(invalidJson.status, 400);
+});
+
+test('the approval timeout from the environment must be a positive whole number', () => {
+    assert.equal(readServerOptions({}).approvalTimeoutMs, 300000);
+    assert.deepEqual(readServerOptions({ API_TOKEN: 'secret', API_APPROVAL_TIMEOUT_MS: '1500' }), { apiToken: 'secret', corsOrigin: null, approvalTimeoutMs: 1500 });
+    for (const value of ['abc', '0', '-5', '1.5', '10s']) {
+        assert.throws(() => readServerOptions({ API_APPROVAL_TIMEOUT_MS: value }), { name: 'ConfigError', message: new RegExp(`API_APPROVAL_TIMEOUT_MS must be a positive whole number.*"${value}"`) });
+    }
+});
@@ -0,0 +1,122 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import path from 'path';
+import { TerminalTool } from '../src/tools/terminal-tool.js';
+import { checkCommand, loadCommandPolicy } from '../src/tools/command-policy.js';
+import { formatOutputForModel } from '../src/tools/command-output.js';
+import { runPipeline } from '../src/tools/command-runner.js';
+import { makeTempDir, removeDir, writeEchoPolicy } from './helpers/fixtures.js';
+
+let directory;
+let tool;
+
+before(async () => {
+    directory = makeTempDir();
+    tool = new TerminalTool();
+    tool.policyPath = writeEchoPolicy(directory);
+    tool.outputPath = path.join(directory, 'command-output');
+    await tool.initialize();
+});
+
+after(() => {
+    removeDir(directory);
+});
+
+test('requires approval and lists the allowed commands', () => {
+    assert.equal(tool.requiresApproval, true);
+    assert.match(tool.description, /echo/);
+});
+
+test('runs an allowed command without a shell', async () => {
+    const output = await tool.invoke({ command: "echo 'hello; world' '$HOME'" });
+    assert.match(output, /hello; world \$HOME/);
+});
+
+test('the artifact describes the run', async () => {
+    const message = await tool.invoke({ name: 'execute_command', args: { command: 'echo done' }, id: '1', type: 'tool_call' });
+    assert.match(message.content, /done/);
+    assert.deepEqual(message.artifact, { command: 'echo done', exitCode: 0, truncated: false, savedTo: null });
+});
+
+test('rejects commands outside the policy with a code and a hint', async () => {
+    const cases = {
+        'ls -la': 'BINARY_NOT_ALLOWED',
+        'echo hi; whoami': 'OPERATOR_NOT_ALLOWED',
+        'echo $(whoami)': 'SUBSTITUTION_NOT_ALLOWED',
+        'echo hi | cat': 'PIPE_NOT_ALLOWED',
+        '': 'EMPTY_COMMAND',
+    };
+    for (const [command, code] of Object.entries(cases)) {
+        const check = checkCommand(command, tool.policy);
+        assert.equal(check.ok, false, command);
+        assert.equal(check.code, code, command);
+        assert.ok(check.hint, command);
+    }
+    const { text, result } = await tool.executeCommand('ls -la');
+    assert.match(text, /BINARY_NOT_ALLOWED/);
+    assert.equal(result, null);
+});
+
+test('the default policy limits curl to the allowed hosts and data paths', () => {
+    const policy = loadCommandPolicy();
+    assert.equal(checkCommand('curl -s https://wttr.in/London?format=3', policy).ok, true);
+    assert.equal(checkCommand('curl -s https://example.com', policy).code, 'HOST_NOT_ALLOWED');
+    assert.equal(checkCommand('curl file:///etc/passwd', policy).ok, false);
+    assert.equal(checkCommand('cat ../.env', policy).code, 'PATH_NOT_ALLOWED');
+    assert.equal(checkCommand('curl -s -H "Accept: application/json" https://ipinfo.io/json', policy).ok, true);
+    assert.equal(checkCommand('curl -s -H "Host: example.com" https://ipinfo.io/json', policy).code, 'ARGUMENT_NOT_ALLOWED');
+    assert.equal(checkCommand('curl --header "Accept: text/html\r\nHost: example.com" https://ipinfo.io', policy).code, 'ARGUMENT_NOT_ALLOWED');
+    assert.equal(checkCommand('curl -sk https://wttr.in', policy).code, 'ARGUMENT_NOT_ALLOWED');
+    assert.equal(checkCommand('curl -k https://wttr.in', policy).code, 'ARGUMENT_NOT_ALLOWED');
+    // curl takes "wttr.in\" as the user name and connects to example.com
+    assert.equal(checkCommand("curl -s 'http://wttr.in\\@example.com/'", policy).code, 'ARGUMENT_NOT_ALLOWED');
+    assert.equal(checkCommand('curl -s http://wttr.in@example.com/', policy).code, 'ARGUMENT_NOT_ALLOWED');
+});
+
+test('long output is capped and saved in full', async () => {
+    tool.outputMaxTokens = 50;
+    try {
+        const output = await tool.invoke({ command: `echo ${'word '.repeat(400)}` });
+        assert.match(output, /\[… truncated \d+ bytes …\]/);
+        const saved = fs.readdirSync(tool.outputPath);
+        assert.equal(saved.length, 1);
+        assert.equal(fs.readFileSync(path.join(tool.outputPath, saved[0]), 'utf-8').trim(), 'word '.repeat(400).trim());
+    } finally {
+        tool.outputMaxTokens = 2000;
+    }
+});
+
+test('the full output of a failed command is saved when it is cut', async () => {
+    const policyPath = path.join(directory, 'cat-policy.json');
+    const policy = JSON.parse(fs.readFileSync(tool.policyPath, 'utf-8'));
+    fs.writeFileSync(policyPath, JSON.stringify({ ...policy, binaries: { cat: { positional: 'path', maxPositional: 2 } } }));
+    fs.writeFileSync(path.join(directory, 'words.txt'), 'word '.repeat(400));
+
+    const catTool = new TerminalTool({ policyPath, outputPath: path.join(directory, 'failed-output'), outputMaxTokens: 50 });
+    await catTool.initialize();
+    const { text, result } = await catTool.executeCommand('cat words.txt missing.txt');
+
+    assert.notEqual(result.exitCode, 0);
+    assert.match(text, /Command exited with code \d+/);
+    assert.match(text, /\[… truncated \d+ bytes …\]/);
+    assert.match(text, /Full output \(2000 bytes\) saved to /);
+    assert.ok(result.savedTo);
+    assert.equal(fs.readFileSync(result.savedTo, 'utf-8'), 'word '.repeat(400));
+});
+
+test('characters split across output chunks are decoded whole', async () => {
+    // "é" is written one byte at a time, so each byte arrives in its own chunk
+    const script = 'const [a, b] = Buffer.from("é"); process.stdout.write(Buffer.from([a])); setTimeout(() => process.stdout.write(Buffer.from([b])), 50);';
+    const { stdout, exitCode } = await runPipeline([[process.execPath, '-e', script]], { cwd: directory, env: process.env });
+    assert.equal(exitCode, 0);
+    assert.equal(stdout, 'é');
+});
+
+test('JSON output keeps its structure when pruned', () => {
+    const items = Array.from({ length: 30 }, (_, index) => ({ id: index }));
+    const { text, contentType } = formatOutputForModel(JSON.stringify({ items }), { maxArrayItems: 5 });
+    assert.equal(contentType, 'json');
+    assert.deepEqual(JSON.parse(text).items.slice(0, 5), items.slice(0, 5));
+    assert.equal(JSON.parse(text).items[5], '… 25 more items');
+});
@@ -8,6 +8,7 @@ async function testAgent() {
     console.log(chalk.blue.bold('\n🧪 Testing Multi-Source AI Agent with Real LLM Decision Making\n'));
 
     let agent;
+    let failures = 0;
     try {
         // Initialize the agent
         console.log(chalk.yellow('1. Initializing agent...'));
@@ -41,24 +42,29 @@ async function testAgent() {
             console.log(chalk.cyan(`   ❓ Question: ${test.question}`));
 
             try {
-                const response = await agent.processMessage(test.question);
+                const result = await agent.processMessage(test.question);
+                if (result.error) {
+                    throw new Error(result.error.message);
+                }
 
-                // Se o agent retorna tool usado, imprime
-                if (response?.toolUsed) {
-                    console.log(chalk.green(`   ✅ Correct tool: ${response.toolUsed}`));
-                } else {
+                const expected = test.expectedTool === 'none' ? [] : [test.expectedTool];
+                const used = result.toolsUsed;
+                if (used.join(',') === expected.join(',')) {
                     console.log(chalk.green(`   ✅ Correct tool: ${test.expectedTool}`));
+                } else {
+                    failures++;
+                    console.log(chalk.red(`   ❌ Expected ${test.expectedTool}, the agent used: ${used.join(', ') || 'none'}`));
                 }
 
-                // Imprime resposta resumida
-                if (typeof response === 'string') {
-                    console.log(chalk.green(`   ✅ Response: ${response.substring(0, 120)}...\n`));
-                } else if (response?.text) {
-                    console.log(chalk.green(`   ✅ Response: ${response.text.substring(0, 120)}...\n`));
+                if (result.text) {
+                    console.log(chalk.green(`   ✅ Response: ${result.text.substring(0, 120)}...`));
+                    console.log(chalk.gray(`   ⏱️  ${result.timings.totalMs}ms, ${result.usage.totalTokens} tokens, ${result.sources.length} source(s)\n`));
                 } else {
+                    failures++;
                     console.log(chalk.red('   ⚠️ No valid response received\n'));
                 }
             } catch (error) {
+                failures++;
                 console.log(chalk.red(`   ❌ Error during test: ${error.message}\n`));
             }
         }
@@ -66,14 +72,20 @@ async function testAgent() {
     } catch (error) {
         console.error(chalk.red.bold('\n❌ A critical error occurred during the test setup:'), error.message);
         console.error(error.stack);
+        failures++;
     } finally {
         if (agent) {
             console.log(chalk.blue('\n🧹 Cleaning up agent resources...'));
             await agent.cleanup();
             console.log(chalk.green('✅ Agent cleanup completed'));
         }
-        console.log(chalk.green.bold('\n✅ All tests completed!'));
-        console.log(chalk.blue('🎉 The agent is now making real decisions using LLM reasoning!\n'));
+        if (failures > 0) {
+            console.log(chalk.red.bold(`\n❌ ${failures} check(s) failed`));
+            process.exitCode = 1;
+        } else {
+            console.log(chalk.green.bold('\n✅ All tests completed!'));
+            console.log(chalk.blue('🎉 The agent is now making real decisions using LLM reasoning!\n'));
+        }
     }
 }
 